@@ -1,13 +1,18 @@
 #!/usr/bin/env node
 
-const express = require('express');
 const { program } = require('commander');
 const path = require('path');
 const chalk = require('chalk');
-const cors = require('cors');
 const fs = require('fs');
 const readline = require('readline');
 const ApiMocker = require('../lib/index');
+const { ADMIN_PREFIX } = require('../lib/admin');
+const { createApp, createServer, closeServer } = require('../lib/server');
+const { getLocalCertificate, readCertificate } = require('../lib/certificate');
+const { FAULTS, normalizeChaos, parseChaosAssignments } = require('../lib/chaos');
+const { readSpec, writeSpec, importOpenApi, exportOpenApi } = require('../lib/openapi');
+const { parseMessage } = require('../lib/realtime');
+const { CONFIG_FILES, findConfigFile, loadConfig } = require('../lib/config');
 
 // Version from package.json
 const packageJson = require('../package.json');
@@ -17,19 +22,76 @@ program
   .name('api-mocker')
   .description('Simple directory-based API mock server')
   .version(packageJson.version)
+  .option('-c, --config <file>', `Load settings from a config file (default: ${CONFIG_FILES.join(' or ')})`)
   .option('-p, --port <number>', 'Port to run the server on', '3000')
   .option('-d, --directory <path>', 'Directory containing mock data', 'mocks')
   .option('-D, --delay <number>', 'Delay in milliseconds for all responses', '0')
+  .option('--error-rate <rate>', 'Probability (0-1) of answering with a random error')
+  .option('--error-mix <codes>', 'Weighted error codes for --error-rate, e.g. 500:3,503:1,429:1')
+  .option('--latency <spec>', 'Extra latency in ms: 200, 100-800, 300~100 (mean~jitter) or p50:100,p95:800,p99:2000')
+  .option('--bandwidth <rate>', 'Throttle response bodies to bytes per second, e.g. 51200 or 50k')
+  .option(
+    '--faults <spec>',
+    'Connection fault rates, e.g. drop=0.05,reset=0.02,timeout=0.01,truncate=0.05,malformed=0.05'
+  )
+  .option('--https', 'Serve over HTTPS with a self-signed localhost certificate, or the one from --cert and --key')
+  .option('--cert <file>', 'TLS certificate (PEM) for HTTPS')
+  .option('--key <file>', 'TLS private key (PEM) for HTTPS')
+  .option('--http2', 'Serve HTTP/2 over HTTPS (HTTP/1.1 clients still work)')
+  .option('--http-port <number>', 'Also serve plain HTTP on this port, alongside HTTPS')
   .option('--cors', 'Enable CORS for all routes', false)
+  .option('--base-path <path>', 'Serve the mocks under a URL prefix, e.g. /api/v1')
+  .option('--scenario <name>', 'Serve the _scenarios/<name> overlay on top of the mocks')
+  .option('--auth-secret <secret>', 'Secret for signing and verifying mock JWTs')
+  .option('--seed <value>', 'Seed for {{fake.*}} data so generated responses are the same on every run')
+  .option('--stateful', 'Persist POST/PUT/PATCH/DELETE changes to collections in memory', false)
+  .option('--proxy <url>', 'Forward requests without a mock to this upstream URL')
+  .option('--record <url>', 'Proxy all requests to this upstream URL and save responses as mocks')
+  .option('--record-params', 'Save numeric and UUID path segments as [param] directories', false)
+  .option('--record-overwrite', 'Overwrite existing mock files when recording', false)
+  .option('--journal-limit <number>', 'Number of requests to keep in the request journal (0 to turn it off)', '1000')
+  .option('--save-requests <file>', 'Write the request journal to a .json or .har file when the server stops')
   .option('--init', 'Initialize a new mocks directory with examples', false)
-  .option('--interactive', 'Enable interactive CLI mode', true)
+  .option('--interactive', 'Enable interactive CLI mode (default)', true)
+  .option('--no-interactive', 'Run without the interactive prompt')
+  .option('--import-openapi <file>', 'Generate mocks from an OpenAPI 3 spec (JSON or YAML) and exit')
+  .option('--export-openapi <file>', 'Write an OpenAPI 3 spec (JSON or YAML) for the mocks and exit')
+  .option('--overwrite', 'Overwrite existing mock files when importing', false)
+  .option('--openapi <file>', 'Validate requests against an OpenAPI 3 spec (JSON or YAML)')
+  .option('--no-watch', 'Disable reloading mocks when files change')
+  .option('--no-admin', `Disable the ${ADMIN_PREFIX} control API`)
   .parse(process.argv);
 
 const options = program.opts();
 
+// Settings from the config file; flags given on the command line win
+const configFile = options.config ? path.resolve(process.cwd(), options.config) : findConfigFile();
+if (configFile) {
+  let config;
+  try {
+    config = loadConfig(configFile);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (program.getOptionValueSource(key) !== 'cli') {
+      options[key] = value;
+    }
+  });
+
+  // The last of the layered directories is the one mocks are written to (--init, --import-openapi, --record)
+  if (program.getOptionValueSource('directory') === 'cli') {
+    delete options.directories;
+  } else if (options.directories) {
+    options.directory = options.directories[options.directories.length - 1];
+  }
+}
+
 // Handle initialization
 if (options.init) {
-  const targetDir = path.join(process.cwd(), options.directory);
+  const targetDir = path.resolve(process.cwd(), options.directory);
   const sourceMocksDir = path.join(__dirname, '../examples/mocks');
 
   // Copy all files from sourceMocksDir to targetDir
@@ -45,24 +107,54 @@ if (options.init) {
   process.exit(0);
 }
 
-// Create Express app
-const app = express();
-
-// Enable CORS if requested
-if (options.cors) {
-  app.use(cors());
-  console.log(chalk.blue('CORS enabled for all routes'));
+// Handle OpenAPI import
+if (options.importOpenapi) {
+  const targetDir = path.resolve(process.cwd(), options.directory);
+
+  try {
+    const spec = readSpec(path.resolve(process.cwd(), options.importOpenapi));
+    const results = importOpenApi(spec, targetDir, { overwrite: options.overwrite });
+    const written = results.filter((result) => result.written);
+    const existing = results.filter((result) => !result.written && !result.reason);
+    const refused = results.filter((result) => result.reason);
+
+    written.forEach((result) => console.log(chalk.green(`  created ${path.relative(targetDir, result.filePath)}`)));
+    console.log(chalk.green(`\nGenerated ${written.length} mock files in ${targetDir}`));
+    if (existing.length > 0) {
+      console.log(chalk.yellow(`Skipped ${existing.length} existing files (use --overwrite to replace)`));
+    }
+    refused.forEach((result) => console.log(chalk.yellow(`Skipped path ${result.apiPath}: ${result.reason}`)));
+    process.exit(0);
+  } catch (error) {
+    console.error(chalk.red(`Error: Failed to import OpenAPI spec: ${error.message}`));
+    process.exit(1);
+  }
 }
 
-// Parse JSON request bodies
-app.use(express.json());
+// Handle OpenAPI export
+if (options.exportOpenapi) {
+  const sourceDir = path.resolve(process.cwd(), options.directory);
+
+  if (!fs.existsSync(sourceDir)) {
+    console.error(chalk.red(`Error: Directory not found: ${sourceDir}`));
+    process.exit(1);
+  }
 
-// Parse URL-encoded form data
-app.use(express.urlencoded({ extended: true }));
+  const outputPath = path.resolve(process.cwd(), options.exportOpenapi);
+  const doc = exportOpenApi(new ApiMocker({ directory: sourceDir }), { version: packageJson.version });
+  writeSpec(outputPath, doc);
+  console.log(chalk.green(`Exported ${Object.keys(doc.paths).length} paths to ${outputPath}`));
+  process.exit(0);
+}
 
 // Get absolute path to mocks directory
 const mocksDirectory = path.resolve(process.cwd(), options.directory);
 
+// Recording starts from an empty tree, so create the directory
+if (options.record && !fs.existsSync(mocksDirectory)) {
+  fs.mkdirSync(mocksDirectory, { recursive: true });
+}
+
 // Check if directory exists
 if (!fs.existsSync(mocksDirectory)) {
   console.error(chalk.red(`Error: Directory not found: ${mocksDirectory}`));
@@ -70,92 +162,354 @@ if (!fs.existsSync(mocksDirectory)) {
   process.exit(1);
 }
 
+// Shared mock sets layered underneath the mocks directory, from the config file's `directories`
+const mockLayers = (options.directories || []).slice(0, -1).map((dir) => path.resolve(process.cwd(), dir));
+const missingLayer = mockLayers.find((dir) => !fs.existsSync(dir));
+if (missingLayer) {
+  console.error(chalk.red(`Error: Directory not found: ${missingLayer}`));
+  process.exit(1);
+}
+
 // Create custom logger
 const logger = (message) => {
   console.log(chalk.blue(`[${new Date().toISOString()}] ${message}`));
 };
 
 // Create API mocker
+let openapi;
+if (options.openapi) {
+  try {
+    openapi = readSpec(path.resolve(process.cwd(), options.openapi));
+  } catch (error) {
+    console.error(chalk.red(`Error: Failed to load OpenAPI spec: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Network and failure simulation
+let chaos;
+try {
+  const faults = options.faults ? parseChaosAssignments(options.faults.split(',').join(' ')) : {};
+  const unknownFault = Object.keys(faults).find((key) => !FAULTS.includes(key));
+  if (unknownFault) {
+    throw new Error(`Unknown fault "${unknownFault}"; use ${FAULTS.join(', ')}`);
+  }
+
+  // Flags and top-level settings win over the config file's `chaos` block
+  const settings = {
+    errorRate: options.errorRate,
+    errors: options.errorMix,
+    latency: options.latency,
+    bandwidth: options.bandwidth,
+    ...faults,
+  };
+  chaos = normalizeChaos({
+    ...options.chaos,
+    ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined)),
+  });
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+
+// Scenario overlays live in _scenarios/<name>/ inside the mocks directory
+if (options.scenario && !fs.existsSync(path.join(mocksDirectory, '_scenarios', options.scenario))) {
+  console.error(chalk.red(`Error: Scenario not found: ${path.join(mocksDirectory, '_scenarios', options.scenario)}`));
+  process.exit(1);
+}
+
 const apiMocker = new ApiMocker({
-  directory: mocksDirectory,
+  directories: [...mockLayers, mocksDirectory],
+  basePath: options.basePath,
+  headers: options.headers,
+  routes: options.routes,
+  proxyRoutes: options.proxyRoutes,
+  scenario: options.scenario,
+  authSecret: options.authSecret,
   delay: parseInt(options.delay, 10),
-  errorRate: parseFloat(options.errorRate),
+  chaos,
+  stateful: options.stateful,
+  journalLimit: parseInt(options.journalLimit, 10),
+  seed: options.seed,
+  proxy: options.record || options.proxy,
+  record: Boolean(options.record),
+  recordParams: options.recordParams,
+  recordOverwrite: options.recordOverwrite,
+  openapi,
+  watch: options.watch,
+  onRoutesChanged: ({ added, removed }) => {
+    if (added.length === 0 && removed.length === 0) {
+      logger('Mock files changed, reloaded');
+      return;
+    }
+
+    logger('Mock routes changed:');
+    added.forEach((route) => console.log(chalk.green(`  + ${route.method.padEnd(6)} ${route.path}`)));
+    removed.forEach((route) => console.log(chalk.red(`  - ${route.method.padEnd(6)} ${route.path}`)));
+  },
   logger,
 });
 
-// Setup for controlling errors via CLI
-let nextErrorCode = null;
-let errorForPath = null;
+// HTTPS with the given certificate, or a self-signed localhost one cached in ~/.api-mocker; HTTP/2 implies HTTPS
+const useTls = Boolean(options.https || options.http2 || options.cert);
+let tls = null;
+try {
+  if (Boolean(options.cert) !== Boolean(options.key)) {
+    throw new Error('--cert and --key must be given together');
+  }
+  if (options.cert) {
+    tls = readCertificate(path.resolve(process.cwd(), options.cert), path.resolve(process.cwd(), options.key));
+  }
+  if (options.httpPort !== undefined && !useTls) {
+    throw new Error('--http-port serves plain HTTP alongside HTTPS, so it needs --https');
+  }
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
 
-// Request logger middleware
-app.use((req, res, next) => {
-  logger(`${req.method} ${req.path}`);
-  next();
-});
+// Express app with body parsing, request logging, the control API and the mocks
+const app = createApp(apiMocker, { cors: options.cors, admin: options.admin });
+if (options.cors) {
+  console.log(chalk.blue('CORS enabled for all routes'));
+}
 
-// Middleware to apply next error if set
-app.use((req, res, next) => {
-  if (nextErrorCode && (!errorForPath || req.path.includes(errorForPath))) {
-    console.log(chalk.yellow(`Forcing error ${nextErrorCode} for request: ${req.method} ${req.path}`));
-    req._forceError = nextErrorCode;
-    nextErrorCode = null;
-    errorForPath = null;
-  }
-  next();
-});
+// Servers: the main one on --port, plus plain HTTP on --http-port next to HTTPS
+const PORT = parseInt(options.port, 10);
+const listeners = [];
+const baseUrl = (listener) => `${listener.secure ? 'https' : 'http'}://localhost:${listener.port}`;
+
+// Start server, once the generated certificate is ready if one is needed
+Promise.resolve(useTls && !tls ? getLocalCertificate() : tls)
+  .then((certificate) => {
+    tls = certificate;
+    listeners.push({ server: createServer(app, { tls, http2: options.http2 }), port: PORT, secure: Boolean(tls) });
+    if (options.httpPort !== undefined) {
+      listeners.push({ server: createServer(app), port: parseInt(options.httpPort, 10), secure: false });
+    }
+
+    // WebSocket mocks (WS.json) upgrade connections on the same servers
+    listeners.forEach(({ server }) => apiMocker.attach(server));
+    return Promise.all(listeners.map(listen));
+  })
+  .then(() => {
+    console.log(chalk.green('┌───────────────────────────────────────────────┐'));
+    console.log(chalk.green('│            Simple API Mocker Server           │'));
+    console.log(chalk.green('└───────────────────────────────────────────────┘'));
+    console.log('');
+    listeners.forEach((listener) => {
+      const url = chalk.cyan(`${baseUrl(listener)}${apiMocker.basePath}`);
+      const protocol = listener.secure && options.http2 ? chalk.gray(' (HTTP/2)') : '';
+      console.log(chalk.white(`✓ Server running on: ${url}${protocol}`));
+    });
+    if (tls && tls.generated !== undefined) {
+      const certificate = `self-signed for localhost, ${tls.generated ? 'generated' : 'cached'} in ${tls.certPath}`;
+      console.log(chalk.white(`✓ TLS certificate: ${chalk.cyan(certificate)}`));
+      console.log(chalk.gray('    Trust it in your OS or browser to avoid certificate warnings'));
+    } else if (tls) {
+      console.log(chalk.white(`✓ TLS certificate: ${chalk.cyan(tls.certPath)}`));
+    }
+    if (configFile) {
+      console.log(chalk.white(`✓ Config file: ${chalk.cyan(configFile)}`));
+    }
+    if (mockLayers.length > 0) {
+      console.log(chalk.white('✓ Mock data directories (later ones override earlier ones):'));
+      [...mockLayers, mocksDirectory].forEach((dir) => console.log(chalk.cyan(`    ${dir}`)));
+    } else {
+      console.log(chalk.white(`✓ Mock data directory: ${chalk.cyan(mocksDirectory)}`));
+    }
+    console.log(chalk.white(`✓ Response delay: ${chalk.cyan(options.delay)}ms`));
+    if (Object.keys(chaos).length > 0) {
+      console.log(chalk.white(`✓ Chaos: ${chalk.cyan(formatChaos(chaos))}`));
+    }
+    if (options.scenario) {
+      console.log(chalk.white(`✓ Scenario: ${chalk.cyan(options.scenario)}`));
+    }
+    if (options.seed !== undefined) {
+      console.log(chalk.white(`✓ Fake data seed: ${chalk.cyan(options.seed)}`));
+    }
+    if (options.stateful) {
+      console.log(chalk.white(`✓ Stateful mode: ${chalk.cyan('enabled')}`));
+    }
+    if (options.admin) {
+      console.log(chalk.white(`✓ Control API: ${chalk.cyan(`${baseUrl(listeners[0])}${ADMIN_PREFIX}`)}`));
+    }
+    if (options.record) {
+      console.log(chalk.white(`✓ Recording responses from: ${chalk.cyan(options.record)}`));
+    } else if (options.proxy) {
+      console.log(chalk.white(`✓ Proxying unmatched requests to: ${chalk.cyan(options.proxy)}`));
+    }
+
+    // Display available routes
+    const routes = apiMocker.listRoutes();
+    if (routes.length > 0) {
+      console.log(chalk.green('\nAvailable mock endpoints:'));
 
-// Use API mocker middleware
-app.use(apiMocker.middleware());
+      printRoutes(routes);
+    } else {
+      console.log(chalk.yellow('\nNo mock endpoints found.'));
+      console.log(chalk.yellow(`Tip: Initialize example mocks with: npx @arkarmintun/api-mocker --init`));
+    }
 
-// Fallback for non-mocked routes
-app.use((req, res) => {
-  logger(`No mock found for: ${req.method} ${req.path}`);
-  res.status(404).json({
-    error: 'Endpoint not found',
-    message: `No mock defined for ${req.method} ${req.path}`,
+    printRouteDiagnostics();
+
+    if (options.interactive) {
+      setupInteractiveCLI();
+    } else {
+      console.log(chalk.white('\nPress Ctrl+C to stop the server'));
+    }
+  })
+  .catch((error) => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
   });
-});
 
-// Start server
-const PORT = parseInt(options.port, 10);
-const server = app.listen(PORT, () => {
-  console.log(chalk.green('┌───────────────────────────────────────────────┐'));
-  console.log(chalk.green('│            Simple API Mocker Server           │'));
-  console.log(chalk.green('└───────────────────────────────────────────────┘'));
-  console.log(chalk.white(`\n✓ Server running on: ${chalk.cyan(`http://localhost:${PORT}`)}`));
-  console.log(chalk.white(`✓ Mock data directory: ${chalk.cyan(mocksDirectory)}`));
-  console.log(chalk.white(`✓ Response delay: ${chalk.cyan(options.delay)}ms`));
-
-  // Display available routes
-  const routes = apiMocker.listRoutes();
-  if (routes.length > 0) {
-    console.log(chalk.green('\nAvailable mock endpoints:'));
-
-    routes.forEach((route) => {
-      // Format the endpoint for display (replace [param] with :param)
-      const displayPath = route.path.replace(/\[(\w+)\]/g, ':$1');
-      const methodColor =
-        {
-          GET: chalk.green,
-          POST: chalk.yellow,
-          PUT: chalk.blue,
-          DELETE: chalk.red,
-          PATCH: chalk.magenta,
-        }[route.method] || chalk.white;
-
-      console.log(`  ${methodColor(route.method.padEnd(6))} ${chalk.cyan(displayPath)}`);
+// Without the REPL, Ctrl+C and `kill` go straight to the process
+process.on('SIGTERM', stopServer);
+if (!options.interactive) {
+  process.on('SIGINT', stopServer);
+}
+
+/**
+ * Start listening, rejecting with a readable message if the port can't be used
+ */
+function listen({ server, port }) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => {
+      const reasons = { EADDRINUSE: `port ${port} is in use`, EACCES: `no permission to listen on port ${port}` };
+      reject(new Error(reasons[error.code] || error.message));
+    };
+    server.once('error', onError);
+    server.listen(port, () => {
+      server.removeListener('error', onError);
+      resolve();
     });
-  } else {
-    console.log(chalk.yellow('\nNo mock endpoints found.'));
-    console.log(chalk.yellow(`Tip: Initialize example mocks with: npx @arkarmintun/api-mocker --init`));
+  });
+}
+
+/**
+ * Write the request journal to a file, as HAR for .har files and JSON otherwise
+ * @param {string} file - Output path
+ * @returns {number} - Number of requests written
+ */
+function saveRequests(file) {
+  const outputPath = path.resolve(process.cwd(), file);
+  const format = path.extname(outputPath).toLowerCase() === '.har' ? 'har' : 'json';
+  const exported = apiMocker.exportRequests(format);
+  fs.writeFileSync(outputPath, JSON.stringify(exported, null, 2));
+  return format === 'har' ? exported.log.entries.length : exported.length;
+}
+
+let stopping = false;
+
+/**
+ * Save the journal if --save-requests was given, then stop the server and exit
+ */
+function stopServer() {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  console.log(chalk.green('Stopping server...'));
+
+  if (options.saveRequests) {
+    try {
+      const count = saveRequests(options.saveRequests);
+      console.log(chalk.green(`Saved ${count} requests to ${options.saveRequests}`));
+    } catch (error) {
+      console.error(chalk.red(`Error: Failed to save requests: ${error.message}`));
+    }
   }
 
-  if (options.interactive) {
-    setupInteractiveCLI();
-  } else {
-    console.log(chalk.white('\nPress Ctrl+C to stop the server'));
+  apiMocker.close();
+  Promise.all(listeners.map(({ server }) => closeServer(server))).then(() => {
+    process.exit(0);
+  });
+}
+
+/**
+ * Print routes with colored methods, their response variants and GraphQL operations
+ * @param {Array<object>} routes - Routes from apiMocker.listRoutes()
+ */
+function printRoutes(routes) {
+  routes.forEach((route) => {
+    // Format the endpoint for display (replace [param] with :param)
+    const displayPath = `${apiMocker.basePath}${route.path}`.replace(/\[(\w+)\]/g, ':$1');
+    const methodColor =
+      {
+        GET: chalk.green,
+        POST: chalk.yellow,
+        PUT: chalk.blue,
+        DELETE: chalk.red,
+        PATCH: chalk.magenta,
+      }[route.method] || chalk.white;
+    const variants = route.variants && route.variants.length > 0 ? chalk.gray(` (${route.variants.join(', ')})`) : '';
+    const format = route.format && route.format !== 'json' ? chalk.gray(` [${route.format}]`) : '';
+
+    console.log(`  ${methodColor(route.method.padEnd(6))} ${chalk.cyan(displayPath)}${format}${variants}`);
+    // GraphQL operations with mock files, one per line under the endpoint
+    (route.operations || []).forEach((operation) => console.log(chalk.gray(`           ${operation}`)));
+  });
+}
+
+/**
+ * Warn about routes that are ambiguous or can never be reached
+ */
+function printRouteDiagnostics() {
+  const { ambiguous, shadowed } = apiMocker.diagnoseRoutes();
+
+  ambiguous.forEach((item) => {
+    console.log(chalk.yellow(`\n⚠ Ambiguous ${item.method} routes for ${item.sample}: ${item.routes.join(', ')}`));
+  });
+
+  shadowed.forEach((item) => {
+    console.log(chalk.yellow(`\n⚠ ${item.method} ${item.route} is never reached; shadowed by ${item.by.join(', ')}`));
+  });
+}
+
+/**
+ * Format chaos settings for display
+ * @param {object} settings - Chaos config
+ * @returns {string}
+ */
+function formatChaos(settings) {
+  const entries = Object.entries(settings);
+  if (entries.length === 0) {
+    return 'off';
   }
-});
+
+  return entries
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+/**
+ * Print the interactive commands
+ */
+function printCommands() {
+  console.log(chalk.cyan('  error <code>           ') + 'Trigger error for next request');
+  console.log(chalk.cyan('  error <code> <path>    ') + 'Trigger error for next request to path');
+  console.log(chalk.cyan('  error <code> <path> n  ') + 'Trigger error for the next n requests to path');
+  console.log(chalk.cyan('  delay <ms>             ') + 'Set response delay');
+  console.log(chalk.cyan('  variant <m> <path> [v] ') + 'Serve variant v for a route (omit v to unset)');
+  console.log(chalk.cyan('  variant clear          ') + 'Serve default variants again');
+  console.log(chalk.cyan('  chaos [m path] k=v ... ') + 'Set chaos, e.g. chaos latency=100-800 drop=0.1');
+  console.log(chalk.cyan('  chaos off              ') + 'Turn off latency, faults and random errors');
+  console.log(chalk.cyan('  sequence reset [route] ') + 'Start sequences over (all, or [method] path)');
+  console.log(chalk.cyan('  scenario [name|off]    ') + 'Switch scenario (no name: list scenarios)');
+  console.log(chalk.cyan('  token [claim=v ...]    ') + 'Sign a JWT, e.g. token sub=1 role=admin expiresIn=15m');
+  console.log(chalk.cyan('  send <path> <message>  ') + 'Send to WebSocket/SSE clients (event=<name> first for SSE)');
+  console.log(chalk.cyan('  connections            ') + 'List open WebSocket and SSE connections');
+  console.log(chalk.cyan('  disconnect [path]      ') + 'Close open connections (all, or on path)');
+  console.log(chalk.cyan('  requests [n]           ') + 'Show the last n requests (default 10)');
+  console.log(chalk.cyan('  requests clear         ') + 'Empty the request journal');
+  console.log(chalk.cyan('  requests save <file>   ') + 'Write the request journal to a .json or .har file');
+  console.log(chalk.cyan('  routes                 ') + 'List available routes');
+  console.log(chalk.cyan('  errors                 ') + 'List available error types');
+  console.log(chalk.cyan('  reset                  ') + 'Reset all runtime changes (state, errors, variants, etc.)');
+  console.log(chalk.cyan('  help                   ') + 'Show available commands');
+  console.log(chalk.cyan('  exit                   ') + 'Stop the server and exit');
+}
 
 /**
  * Setup interactive CLI mode
@@ -169,13 +523,7 @@ function setupInteractiveCLI() {
 
   // Display available commands
   console.log(chalk.green('\nInteractive mode enabled. Available commands:'));
-  console.log(chalk.cyan('  error <code>           ') + 'Trigger error for next request');
-  console.log(chalk.cyan('  error <code> <path>    ') + 'Trigger error for next request to path');
-  console.log(chalk.cyan('  delay <ms>             ') + 'Set response delay');
-  console.log(chalk.cyan('  routes                 ') + 'List available routes');
-  console.log(chalk.cyan('  errors                 ') + 'List available error types');
-  console.log(chalk.cyan('  help                   ') + 'Show available commands');
-  console.log(chalk.cyan('  exit                   ') + 'Stop the server and exit');
+  printCommands();
 
   rl.prompt();
 
@@ -186,13 +534,16 @@ function setupInteractiveCLI() {
     switch (command) {
       case 'error':
         if (args.length < 2) {
-          console.log(chalk.red('Error code required: error <code> [path]'));
+          console.log(chalk.red('Error code required: error <code> [path] [count]'));
         } else {
-          nextErrorCode = args[1];
-          errorForPath = args[2] || null;
-          console.log(
-            chalk.yellow(`Next request${errorForPath ? ` to ${errorForPath}` : ''} will return ${nextErrorCode} error`)
-          );
+          try {
+            const forced = apiMocker.forceError(args[1], { path: args[2], count: args[3] });
+            const target = forced.path ? ` to ${forced.path}` : '';
+            const requests = forced.remaining > 1 ? `${forced.remaining} requests` : 'request';
+            console.log(chalk.yellow(`Next ${requests}${target} will return ${forced.code} error`));
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
         }
         break;
 
@@ -200,32 +551,189 @@ function setupInteractiveCLI() {
         if (args.length < 2) {
           console.log(chalk.red('Delay in ms required: delay <ms>'));
         } else {
-          const newDelay = parseInt(args[1], 10);
-          if (isNaN(newDelay)) {
-            console.log(chalk.red('Invalid delay value. Must be a number.'));
-          } else {
-            apiMocker.delay = newDelay;
+          try {
+            const newDelay = apiMocker.setDelay(args[1]);
             console.log(chalk.yellow(`Response delay set to ${newDelay}ms`));
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
+        }
+        break;
+
+      case 'variant':
+        if (args[1] === 'clear') {
+          apiMocker.clearVariants();
+          console.log(chalk.yellow('All routes back to their default variant'));
+        } else if (args.length < 3) {
+          console.log(chalk.red('Usage: variant <method> <path> [name] | variant clear'));
+        } else {
+          try {
+            const override = apiMocker.setVariant(args[1], args[2], args[3]);
+            console.log(
+              chalk.yellow(
+                override.variant
+                  ? `${override.method} ${override.path} will return the "${override.variant}" variant`
+                  : `${override.method} ${override.path} back to its default variant`
+              )
+            );
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
+        }
+        break;
+
+      case 'chaos':
+        try {
+          if (args.length < 2) {
+            console.log(chalk.yellow(`Chaos: ${formatChaos(apiMocker.getControlState().chaos)}`));
+          } else if (args[1] === 'off') {
+            apiMocker.clearChaos();
+            console.log(chalk.yellow('Chaos turned off'));
+          } else if (/^[A-Za-z]+$/.test(args[1]) && args[2] && args[2].startsWith('/')) {
+            const override = apiMocker.setChaos(parseChaosAssignments(args.slice(3).join(' ')), {
+              method: args[1],
+              path: args[2],
+            });
+            const target = `${override.method} ${override.path}`;
+            console.log(chalk.yellow(`Chaos for ${target}: ${formatChaos(override.chaos)}`));
+          } else {
+            const settings = apiMocker.setChaos(parseChaosAssignments(args.slice(1).join(' ')));
+            console.log(chalk.yellow(`Chaos: ${formatChaos(settings)}`));
+          }
+        } catch (error) {
+          console.log(chalk.red(error.message));
+        }
+        break;
+
+      case 'sequence':
+        if (args[1] !== 'reset') {
+          console.log(chalk.red('Usage: sequence reset [method path]'));
+        } else {
+          try {
+            // The method is optional: "sequence reset /jobs/1" means GET
+            const [method, routePath] = args[2] && args[2].startsWith('/') ? ['GET', args[2]] : [args[2], args[3]];
+            apiMocker.resetSequences({ method, path: routePath });
+            const target = routePath ? ` for ${method.toUpperCase()} ${routePath}` : '';
+            console.log(chalk.yellow(`Response sequences${target} start over`));
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
+        }
+        break;
+
+      case 'scenario':
+        if (args.length < 2) {
+          const scenarios = apiMocker.listScenarios();
+          if (scenarios.length === 0) {
+            console.log(chalk.yellow('No scenarios; add folders under _scenarios/'));
+          }
+          scenarios.forEach((name) => {
+            const active = name === apiMocker.scenario;
+            console.log(active ? chalk.green(`* ${name}`) : `  ${name}`);
+          });
+        } else {
+          try {
+            const scenario = apiMocker.setScenario(args[1] === 'off' ? null : args[1]);
+            console.log(chalk.yellow(scenario ? `Serving scenario "${scenario}"` : 'Serving the base mocks'));
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
+        }
+        break;
+
+      case 'token':
+        try {
+          const claims = {};
+          let expiresIn;
+          args.slice(1).filter(Boolean).forEach((assignment) => {
+            const [key, ...rest] = assignment.split('=');
+            if (rest.length === 0) {
+              throw new Error(`Expected claim=value, got "${assignment}"`);
+            }
+            if (key === 'expiresIn') {
+              expiresIn = rest.join('=');
+            } else {
+              claims[key] = rest.join('=');
+            }
+          });
+
+          const issued = apiMocker.issueToken(claims, expiresIn);
+          console.log(chalk.yellow(`Token (expires in ${issued.expiresIn}s):`));
+          console.log(issued.token);
+        } catch (error) {
+          console.log(chalk.red(error.message));
+        }
+        break;
+
+      case 'send': {
+        const rest = args.slice(2);
+        const event = rest[0] && rest[0].startsWith('event=') ? rest.shift().slice('event='.length) : undefined;
+        if (!args[1] || rest.length === 0) {
+          console.log(chalk.red('Usage: send <path> [event=<name>] <json|text>'));
+          break;
+        }
+
+        try {
+          const sent = apiMocker.sendMessage({ path: args[1], event, data: parseMessage(rest.join(' ')) });
+          console.log(
+            sent > 0 ? chalk.yellow(`Sent to ${sent} connection(s)`) : chalk.red(`No open connections on ${args[1]}`)
+          );
+        } catch (error) {
+          console.log(chalk.red(error.message));
+        }
+        break;
+      }
+
+      case 'connections': {
+        const connections = apiMocker.listConnections();
+        if (connections.length === 0) {
+          console.log(chalk.yellow('No open connections'));
+        }
+        connections.forEach((connection) => {
+          console.log(`  ${chalk.cyan(`#${connection.id}`)} ${connection.type.padEnd(4)} ${connection.path}`);
+        });
+        break;
+      }
+
+      case 'disconnect': {
+        const closed = apiMocker.closeConnections({ path: args[1] });
+        console.log(chalk.yellow(`Closed ${closed} connection(s)`));
+        break;
+      }
+
+      case 'requests':
+        if (args[1] === 'clear') {
+          console.log(chalk.yellow(`Cleared ${apiMocker.clearRequests()} requests from the journal`));
+        } else if (args[1] === 'save') {
+          if (!args[2]) {
+            console.log(chalk.red('Usage: requests save <file.json|file.har>'));
+          } else {
+            try {
+              console.log(chalk.yellow(`Saved ${saveRequests(args[2])} requests to ${args[2]}`));
+            } catch (error) {
+              console.log(chalk.red(error.message));
+            }
           }
+        } else {
+          const requests = apiMocker.findRequests({ limit: parseInt(args[1], 10) || 10 });
+          if (requests.length === 0) {
+            console.log(chalk.yellow('No requests yet'));
+          }
+          requests.forEach((request) => {
+            const status = request.status >= 400 ? chalk.red(request.status) : chalk.green(request.status);
+            const mock = request.mock ? chalk.gray(` ${request.mock}`) : '';
+            console.log(
+              `  ${chalk.cyan(`#${request.id}`)} ${request.method.padEnd(6)} ${request.url} ${status} ` +
+                `${request.duration}ms${mock}`
+            );
+          });
         }
         break;
 
       case 'routes':
         const routes = apiMocker.listRoutes();
         console.log(chalk.green('\nAvailable mock endpoints:'));
-        routes.forEach((route) => {
-          const displayPath = route.path.replace(/\[(\w+)\]/g, ':$1');
-          const methodColor =
-            {
-              GET: chalk.green,
-              POST: chalk.yellow,
-              PUT: chalk.blue,
-              DELETE: chalk.red,
-              PATCH: chalk.magenta,
-            }[route.method] || chalk.white;
-
-          console.log(`  ${methodColor(route.method.padEnd(6))} ${chalk.cyan(displayPath)}`);
-        });
+        printRoutes(routes);
         break;
 
       case 'errors':
@@ -247,23 +755,18 @@ function setupInteractiveCLI() {
         });
         break;
 
+      case 'reset':
+        apiMocker.reset();
+        console.log(chalk.yellow('Stateful data, queued errors, variants, sequences, delay, chaos and scenario reset'));
+        break;
+
       case 'help':
         console.log(chalk.green('\nAvailable commands:'));
-        console.log(chalk.cyan('  error <code>           ') + 'Trigger error for next request');
-        console.log(chalk.cyan('  error <code> <path>    ') + 'Trigger error for next request to path');
-        console.log(chalk.cyan('  delay <ms>             ') + 'Set response delay');
-        console.log(chalk.cyan('  routes                 ') + 'List available routes');
-        console.log(chalk.cyan('  errors                 ') + 'List available error types');
-        console.log(chalk.cyan('  help                   ') + 'Show available commands');
-        console.log(chalk.cyan('  exit                   ') + 'Stop the server and exit');
+        printCommands();
         break;
 
       case 'exit':
-        console.log(chalk.green('Stopping server...'));
         rl.close();
-        server.close(() => {
-          process.exit(0);
-        });
         break;
 
       case '':
@@ -276,10 +779,5 @@ function setupInteractiveCLI() {
     }
 
     rl.prompt();
-  }).on('close', () => {
-    console.log(chalk.green('Stopping server...'));
-    server.close(() => {
-      process.exit(0);
-    });
-  });
+  }).on('close', stopServer);
 }
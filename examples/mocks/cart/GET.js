@@ -0,0 +1,19 @@
+/**
+ * Return the cart with computed totals. Items are added by cart/POST.js.
+ */
+module.exports = ({ query, state }) => {
+  const items = state.cartItems || [];
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const taxRate = query.taxRate !== undefined ? Number(query.taxRate) : 0.08;
+  const tax = Math.round(subtotal * taxRate * 100) / 100;
+
+  return {
+    statusCode: 200,
+    body: {
+      items,
+      subtotal,
+      tax,
+      total: Math.round((subtotal + tax) * 100) / 100,
+    },
+  };
+};
@@ -0,0 +1,20 @@
+/**
+ * Add an item to the cart kept in the shared handler state
+ */
+module.exports = ({ body, state }) => {
+  if (!body.productId || typeof body.price !== 'number') {
+    return {
+      statusCode: 400,
+      body: { error: 'Bad Request', message: 'productId and a numeric price are required' },
+    };
+  }
+
+  const item = { productId: body.productId, price: body.price, quantity: body.quantity || 1 };
+  state.cartItems = [...(state.cartItems || []), item];
+
+  return {
+    statusCode: 201,
+    headers: { Location: '/cart' },
+    body: item,
+  };
+};
@@ -0,0 +1,190 @@
+const express = require('express');
+
+// Reserved path prefix for the control API
+const ADMIN_PREFIX = '/__mocker';
+
+/**
+ * Create an Express router that controls a running ApiMocker over HTTP, for
+ * test runners that can't type into the REPL. Mount it at ADMIN_PREFIX:
+ *
+ *   GET    /routes      List routes and their variants
+ *   GET    /scenarios   List error scenarios
+ *   GET    /state       Current scenario, delay, queued errors, open connections and other overrides
+ *   GET    /requests    Journaled requests, filtered by ?method=&path=&status=&mock=&limit=
+ *   POST   /requests/find    Journaled requests matching a filter: { method, path, body, query, headers, ... }
+ *   POST   /requests/verify  Check a request count: { ...filter, times } or { ...filter, atLeast, atMost }
+ *   GET    /requests/export  Download the journal: ?format=json (default) or ?format=har
+ *   DELETE /requests    Empty the journal
+ *   POST   /errors      Queue errors: { code, path?, method?, count? }
+ *   DELETE /errors      Drop queued errors
+ *   PUT    /scenario    Switch the scenario overlay: { scenario } (null for the base mocks)
+ *   PUT    /delay       Set the response delay: { delay }
+ *   PUT    /variants    Pin a variant: { method, path, variant } (variant null to unpin)
+ *   DELETE /variants    Unpin all variants
+ *   POST   /overrides   Answer a route with a fixed response: { method, path, response, times? }, where response
+ *                        is { statusCode, headers, body }
+ *   DELETE /overrides   Remove overrides: all, or { id } for one
+ *   PUT    /chaos       Merge chaos settings: { latency, errorRate, drop, ... } plus optional { method, path }
+ *   DELETE /chaos       Turn off all chaos settings
+ *   POST   /tokens      Sign a JWT: { claims, expiresIn } (e.g. "15m", or "-1m" for an expired token)
+ *   GET    /connections List open WebSocket and SSE connections
+ *   POST   /messages    Send to open connections: { path?, data, event?, id? } (all connections without a path)
+ *   DELETE /connections Close open connections: all, or { path } for one path or route
+ *   DELETE /sequences   Start response sequences over: all, or { method, path } for one route
+ *   POST   /reset       Reset stateful data, queued errors, variants, overrides, sequences, delay, chaos, scenario
+ *                        and journal
+ *
+ * @param {ApiMocker} apiMocker - The mocker to control
+ * @returns {object} - Express router
+ */
+function createAdminRouter(apiMocker) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Run an action and send its result, reporting bad input as a 400
+  const handle = (action) => (req, res) => {
+    try {
+      const result = action(req.body || {}, req);
+      res.json(result === undefined ? apiMocker.getControlState() : result);
+    } catch (error) {
+      res.status(400).json({ error: 'Bad Request', message: error.message });
+    }
+  };
+
+  router.get('/routes', handle(() => apiMocker.listRoutes()));
+  router.get('/scenarios', handle(() => apiMocker.listErrorScenarios()));
+  router.get('/state', handle(() => apiMocker.getControlState()));
+
+  // Simple filters from the query string; POST /requests/find takes matchers for bodies and headers
+  const queryFilter = (query) => ({
+    method: query.method,
+    path: query.path,
+    status: query.status,
+    mock: query.mock,
+    limit: query.limit,
+  });
+
+  router.get('/requests', handle((body, req) => apiMocker.findRequests(queryFilter(req.query))));
+  router.post('/requests/find', handle((body) => apiMocker.findRequests(body)));
+  router.post(
+    '/requests/verify',
+    handle((body) => {
+      const { times, atLeast, atMost, ...filter } = body;
+      return apiMocker.verifyRequests(filter, { times, atLeast, atMost });
+    })
+  );
+  router.get('/requests/export', (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const exported = apiMocker.exportRequests(format, queryFilter(req.query));
+      res.attachment(`requests.${format}`).json(exported);
+    } catch (error) {
+      res.status(400).json({ error: 'Bad Request', message: error.message });
+    }
+  });
+  router.delete('/requests', handle(() => ({ cleared: apiMocker.clearRequests() })));
+
+  router.post(
+    '/errors',
+    handle((body) => {
+      apiMocker.forceError(body.code, body);
+    })
+  );
+  router.delete(
+    '/errors',
+    handle(() => {
+      apiMocker.clearForcedErrors();
+    })
+  );
+
+  router.put(
+    '/scenario',
+    handle((body) => {
+      apiMocker.setScenario(body.scenario);
+    })
+  );
+
+  router.put(
+    '/delay',
+    handle((body) => {
+      apiMocker.setDelay(body.delay);
+    })
+  );
+
+  router.put(
+    '/variants',
+    handle((body) => {
+      apiMocker.setVariant(body.method, body.path, body.variant);
+    })
+  );
+  router.delete(
+    '/variants',
+    handle(() => {
+      apiMocker.clearVariants();
+    })
+  );
+
+  router.post(
+    '/overrides',
+    handle((body) => apiMocker.addOverride(body.method, body.path, body.response, { times: body.times }))
+  );
+  router.delete(
+    '/overrides',
+    handle((body) => {
+      if (body.id === undefined) {
+        apiMocker.clearOverrides();
+      } else if (!apiMocker.removeOverride(body.id)) {
+        throw new Error(`No override with id ${body.id}`);
+      }
+    })
+  );
+
+  router.put(
+    '/chaos',
+    handle((body) => {
+      const { method, path, ...settings } = body;
+      apiMocker.setChaos(settings, { method, path });
+    })
+  );
+  router.delete(
+    '/chaos',
+    handle(() => {
+      apiMocker.clearChaos();
+    })
+  );
+
+  router.post('/tokens', handle((body) => apiMocker.issueToken(body.claims, body.expiresIn)));
+
+  router.get('/connections', handle(() => apiMocker.listConnections()));
+  router.post('/messages', handle((body) => ({ sent: apiMocker.sendMessage(body) })));
+  router.delete('/connections', handle((body) => ({ closed: apiMocker.closeConnections({ path: body.path }) })));
+
+  router.delete(
+    '/sequences',
+    handle((body) => {
+      apiMocker.resetSequences({ method: body.method, path: body.path });
+    })
+  );
+
+  router.post(
+    '/reset',
+    handle(() => {
+      apiMocker.reset();
+    })
+  );
+
+  // Keep unknown control paths from falling through to the mocks
+  router.use((req, res) => {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `Unknown control endpoint: ${req.method} ${ADMIN_PREFIX}${req.path}`,
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  ADMIN_PREFIX,
+  createAdminRouter,
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+
+/**
+ * Authentication simulation: signed JWTs (HS256), API keys, basic auth and
+ * cookie sessions.
+ *
+ * Routes are protected with an `_auth.json` file in a directory (applies to the
+ * directory and everything below it; the nearest file wins) or an `_auth`
+ * directive in a method file, which takes precedence:
+ *
+ *   true                                  any valid credentials
+ *   false                                 public, even below a protected directory
+ *   {
+ *     "type": ["bearer", "session"],      accepted credentials (default: all)
+ *     "roles": ["admin"],                 `role`/`roles` claim must include one of these
+ *     "scopes": ["orders:write"],         `scope`/`scopes` claim must include all of these
+ *     "methods": ["POST", "DELETE"]       only protect these methods (default: all)
+ *   }
+ *
+ * Credentials are read from, in order:
+ *   Authorization: Bearer <jwt>           token issued by a `_login` mock or the control API
+ *   Authorization: Basic <user:pass>      checked against _users.json
+ *   x-api-key header or api_key query     checked against the users' `apiKey`
+ *   mock_session cookie                   set by a `_login` mock with `"session": true`
+ */
+
+const AUTH_TYPES = ['bearer', 'basic', 'apiKey', 'session'];
+
+const SESSION_COOKIE = 'mock_session';
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_QUERY_PARAM = 'api_key';
+
+const DEFAULT_SECRET = 'api-mocker-secret';
+const DEFAULT_EXPIRES_IN = '1h';
+const DEFAULT_REFRESH_EXPIRES_IN = '7d';
+
+// Claims managed by the token itself rather than copied between tokens
+const REGISTERED_CLAIMS = ['iat', 'exp', 'nbf', 'typ'];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a duration such as 900, "30s", "15m", "1h" or "7d" into seconds.
+ * Negative values ("-5m") give tokens that are already expired.
+ * @param {number|string} value - Duration
+ * @returns {number} - Seconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value)
+    .trim()
+    .match(/^(-?\d+)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}"; use seconds or 30s, 15m, 1h, 7d`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Encode a string or buffer as base64url
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Sign a JWT with HS256
+ * @param {object} claims - Token claims
+ * @param {string} secret - Signing secret
+ * @param {number|string} [expiresIn] - Lifetime (see parseDuration); no expiry if null
+ * @returns {string} - The token
+ */
+function signToken(claims, secret, expiresIn = DEFAULT_EXPIRES_IN) {
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat };
+  if (expiresIn !== null && expiresIn !== undefined) {
+    payload.exp = iat + parseDuration(expiresIn);
+  }
+
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Verify a JWT signed with signToken()
+ * @param {string} token - The token
+ * @param {string} secret - Signing secret
+ * @returns {object} - { claims } if valid, otherwise { error } describing why not
+ */
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return { error: 'The token is not a valid JWT' };
+  }
+
+  // Only HS256 is accepted, so a token can't pick a weaker algorithm (e.g. "none") for itself
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'The token is not a valid JWT' };
+  }
+  if (!header || header.alg !== 'HS256') {
+    return { error: 'The token algorithm must be HS256' };
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'The token signature is invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'The token is not a valid JWT' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && claims.exp <= now) {
+    return { error: 'The token has expired' };
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    return { error: 'The token is not valid yet' };
+  }
+
+  return { claims };
+}
+
+/**
+ * Read a cookie from the request headers. A value that isn't valid percent-encoding is
+ * returned as sent, so it fails verification instead of failing the request.
+ * @param {object} headers - Request headers
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(headers, name) {
+  const match = (headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]*)`));
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Build the claims for a user from _users.json
+ * @param {object} user - { username, password, apiKey, claims }
+ * @returns {object}
+ */
+function userClaims(user) {
+  return { sub: String(user.id !== undefined ? user.id : user.username), ...user.claims };
+}
+
+/**
+ * Strip the claims a new token sets itself
+ * @param {object} claims - Claims from an existing token
+ * @returns {object}
+ */
+function copyClaims(claims) {
+  return Object.fromEntries(Object.entries(claims).filter(([key]) => !REGISTERED_CLAIMS.includes(key)));
+}
+
+/**
+ * Find and check the credentials on a request
+ * @param {object} headers - Request headers
+ * @param {object} query - Query parameters
+ * @param {object} options - { secret, users }
+ * @returns {object|null} - { type, claims } if valid, { type, error } if not, or null if there are none
+ */
+function authenticate(headers = {}, query = {}, options = {}) {
+  const { secret = DEFAULT_SECRET, users = [] } = options;
+  const authorization = headers.authorization || '';
+
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    const result = verifyToken(bearer[1].trim(), secret);
+    return result.claims && result.claims.typ === 'refresh'
+      ? { type: 'bearer', error: 'A refresh token cannot be used for access' }
+      : { type: 'bearer', ...result };
+  }
+
+  const basic = authorization.match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const [username, ...rest] = Buffer.from(basic[1].trim(), 'base64').toString('utf8').split(':');
+    const user = users.find((candidate) => candidate.username === username && candidate.password === rest.join(':'));
+    return user
+      ? { type: 'basic', claims: userClaims(user) }
+      : { type: 'basic', error: 'Invalid username or password' };
+  }
+
+  const apiKey = headers[API_KEY_HEADER] || query[API_KEY_QUERY_PARAM];
+  if (apiKey) {
+    const user = users.find((candidate) => candidate.apiKey && candidate.apiKey === apiKey);
+    return user ? { type: 'apiKey', claims: userClaims(user) } : { type: 'apiKey', error: 'Invalid API key' };
+  }
+
+  const session = readCookie(headers, SESSION_COOKIE);
+  if (session) {
+    return { type: 'session', ...verifyToken(session, secret) };
+  }
+
+  return null;
+}
+
+/**
+ * Read a list-valued claim that may be a string ("a b") or an array
+ */
+function claimList(claims, singular, plural) {
+  const values = [claims[plural], claims[singular]].flatMap((value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(/[\s,]+/).filter(Boolean);
+    return [];
+  });
+  return values.map(String);
+}
+
+/**
+ * Normalize an `_auth` rule
+ * @param {boolean|object} rule - Rule from `_auth.json` or an `_auth` directive
+ * @returns {object|null} - { types, roles, scopes, methods }, or null for a public route
+ */
+function normalizeRule(rule) {
+  if (!rule || rule.public === true) {
+    return null;
+  }
+
+  const options = rule === true ? {} : rule;
+  const types = options.type ? [].concat(options.type) : AUTH_TYPES;
+  const unknown = types.find((type) => !AUTH_TYPES.includes(type));
+  if (unknown) {
+    throw new Error(`Unknown auth type "${unknown}"; use ${AUTH_TYPES.join(', ')}`);
+  }
+
+  return {
+    types,
+    roles: options.roles ? [].concat(options.roles).map(String) : null,
+    scopes: options.scopes ? [].concat(options.scopes).map(String) : null,
+    methods: options.methods ? [].concat(options.methods).map((method) => String(method).toUpperCase()) : null,
+  };
+}
+
+/**
+ * Check a request's credentials against a rule
+ * @param {object|null} rule - Normalized rule
+ * @param {object|null} credentials - Result of authenticate()
+ * @param {string} method - The HTTP method
+ * @returns {object|null} - { statusCode, message, challenge } if access is denied, otherwise null
+ */
+function checkAccess(rule, credentials, method) {
+  if (!rule || (rule.methods && !rule.methods.includes(method))) {
+    return null;
+  }
+
+  const challenge =
+    rule.types.includes('basic') && !rule.types.includes('bearer') ? 'Basic realm="api-mocker"' : 'Bearer';
+
+  if (!credentials || !rule.types.includes(credentials.type)) {
+    return { statusCode: 401, message: 'Authentication is required to access this resource.', challenge };
+  }
+
+  if (credentials.error) {
+    // RFC 6750 error codes let clients tell an expired token from a missing one
+    const challengeError =
+      credentials.type === 'bearer' ? ` error="invalid_token", error_description="${credentials.error}"` : '';
+    return { statusCode: 401, message: credentials.error, challenge: `${challenge}${challengeError}` };
+  }
+
+  const roles = claimList(credentials.claims, 'role', 'roles');
+  if (rule.roles && !rule.roles.some((role) => roles.includes(role))) {
+    return { statusCode: 403, message: `Requires one of the roles: ${rule.roles.join(', ')}` };
+  }
+
+  const scopes = claimList(credentials.claims, 'scope', 'scopes');
+  const missing = (rule.scopes || []).filter((scope) => !scopes.includes(scope));
+  if (missing.length > 0) {
+    return {
+      statusCode: 403,
+      message: `Missing scopes: ${missing.join(', ')}`,
+      challenge:
+        credentials.type === 'bearer' ? `Bearer error="insufficient_scope", scope="${rule.scopes.join(' ')}"` : null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build a Set-Cookie header for the session cookie
+ * @param {string|null} token - Session token, or null to clear the cookie
+ * @param {number} [maxAge] - Lifetime in seconds
+ * @returns {string}
+ */
+function sessionCookie(token, maxAge) {
+  if (!token) {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.max(0, maxAge)}`;
+}
+
+module.exports = {
+  AUTH_TYPES,
+  DEFAULT_SECRET,
+  DEFAULT_EXPIRES_IN,
+  DEFAULT_REFRESH_EXPIRES_IN,
+  parseDuration,
+  signToken,
+  verifyToken,
+  authenticate,
+  userClaims,
+  copyClaims,
+  normalizeRule,
+  checkAccess,
+  sessionCookie,
+  readCookie,
+};
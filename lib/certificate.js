@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+/**
+ * TLS certificates for serving mocks over HTTPS: either the user's own cert/key
+ * files, or a self-signed localhost certificate generated once with the
+ * `selfsigned` package and cached.
+ */
+
+// Names the generated certificate is valid for
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Browsers refuse server certificates valid for longer than 398 days
+const VALIDITY_DAYS = 397;
+
+// Where the generated certificate is cached between runs
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.api-mocker');
+
+/**
+ * Convert an IPv6 address to its 16 bytes
+ */
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+  return bytes;
+}
+
+/**
+ * Generate a self-signed certificate for local development (ECDSA P-256, SHA-256)
+ * @param {object} [options] - { hosts, days }
+ * @returns {Promise<object>} - { cert, key } as PEM strings
+ */
+async function generateCertificate(options = {}) {
+  const { hosts = LOCAL_HOSTS, days = VALIDITY_DAYS } = options;
+  const notBeforeDate = new Date(Date.now() - 60 * 1000); // Allow for clocks slightly behind ours
+
+  const pems = await selfsigned.generate(
+    [
+      { name: 'commonName', value: hosts[0] },
+      { name: 'organizationName', value: 'api-mocker' },
+    ],
+    {
+      keyType: 'ec',
+      curve: 'P-256',
+      algorithm: 'sha256',
+      notBeforeDate,
+      notAfterDate: new Date(notBeforeDate.getTime() + days * 24 * 60 * 60 * 1000),
+      extensions: [
+        { name: 'basicConstraints', cA: false, critical: true },
+        { name: 'keyUsage', digitalSignature: true, critical: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        {
+          name: 'subjectAltName',
+          altNames: hosts.map((host) => (net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host })),
+        },
+      ],
+    }
+  );
+  return { cert: pems.cert, key: pems.private };
+}
+
+/**
+ * Describe a host as it appears in X509Certificate#subjectAltName, e.g. DNS:localhost or IP Address:0:0:0:0:0:0:0:1
+ */
+function altNameEntry(host) {
+  if (net.isIPv6(host)) {
+    const bytes = ipv6Bytes(host);
+    const groups = Array.from({ length: 8 }, (value, index) => bytes.readUInt16BE(index * 2).toString(16));
+    return `IP Address:${groups.join(':')}`;
+  }
+  return net.isIPv4(host) ? `IP Address:${host}` : `DNS:${host}`;
+}
+
+/**
+ * Check that a certificate can be used for another day and covers the given hosts
+ * @param {object} credentials - { cert, key } as PEM
+ * @param {Array<string>} hosts - Host names and IP addresses
+ * @returns {boolean}
+ */
+function isUsable(credentials, hosts) {
+  try {
+    const x509 = new crypto.X509Certificate(credentials.cert);
+    const entries = (x509.subjectAltName || '').toLowerCase().split(', ');
+    return (
+      x509.checkPrivateKey(crypto.createPrivateKey(credentials.key)) &&
+      new Date(x509.validTo).getTime() > Date.now() + 24 * 60 * 60 * 1000 &&
+      hosts.every((host) => entries.includes(altNameEntry(host).toLowerCase()))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the cached self-signed localhost certificate, generating it on first use or once it expires
+ * @param {object} [options] - { cacheDir, hosts }
+ * @returns {Promise<object>} - { cert, key, certPath, keyPath, generated }
+ */
+async function getLocalCertificate(options = {}) {
+  const { cacheDir = DEFAULT_CACHE_DIR, hosts = LOCAL_HOSTS } = options;
+  const certPath = path.join(cacheDir, 'localhost-cert.pem');
+  const keyPath = path.join(cacheDir, 'localhost-key.pem');
+
+  if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+    const cached = { cert: fs.readFileSync(certPath, 'utf8'), key: fs.readFileSync(keyPath, 'utf8') };
+    if (isUsable(cached, hosts)) {
+      return { ...cached, certPath, keyPath, generated: false };
+    }
+  }
+
+  const credentials = await generateCertificate({ hosts });
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(keyPath, credentials.key, { mode: 0o600 });
+  fs.writeFileSync(certPath, credentials.cert);
+  return { ...credentials, certPath, keyPath, generated: true };
+}
+
+/**
+ * Read a certificate and its private key, checking that they belong together
+ * @param {string} certPath - PEM certificate (chain) file
+ * @param {string} keyPath - PEM private key file
+ * @returns {object} - { cert, key, certPath, keyPath }
+ */
+function readCertificate(certPath, keyPath) {
+  const read = (filePath, label) => {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ${label} file ${filePath}: ${error.message}`);
+    }
+  };
+  const cert = read(certPath, 'certificate');
+  const key = read(keyPath, 'key');
+
+  let x509;
+  try {
+    x509 = new crypto.X509Certificate(cert);
+  } catch (error) {
+    throw new Error(`${certPath} is not a PEM certificate: ${error.message}`);
+  }
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(key);
+  } catch (error) {
+    throw new Error(`${keyPath} is not a PEM private key: ${error.message}`);
+  }
+  if (!x509.checkPrivateKey(privateKey)) {
+    throw new Error(`The key in ${keyPath} does not belong to the certificate in ${certPath}`);
+  }
+
+  return { cert, key, certPath, keyPath };
+}
+
+module.exports = {
+  LOCAL_HOSTS,
+  generateCertificate,
+  getLocalCertificate,
+  readCertificate,
+};
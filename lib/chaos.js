@@ -0,0 +1,339 @@
+/**
+ * Network and failure simulation ("chaos") for mock responses.
+ *
+ * A chaos config can be set globally (CLI flags / constructor), per mock file
+ * with a `_chaos` directive, and at runtime. Fields:
+ *
+ *   latency     200                          fixed extra delay in ms
+ *               { "min": 100, "max": 800 }   uniform range
+ *               { "mean": 300, "jitter": 100 }
+ *               { "p50": 100, "p95": 800, "p99": 2000 }   percentile distribution
+ *   bandwidth   51200                        throttle bodies to bytes per second
+ *   errorRate   0.1                          chance of an error response
+ *   errors      { "500": 3, "503": 1 }       weighted mix of error codes to pick from
+ *   timeout     0.01                         chance of never responding
+ *   drop        0.05                         chance of closing the connection before responding
+ *   reset       0.05                         chance of closing the connection halfway through the body
+ *   truncate    0.05                         chance of sending only the first half of the body
+ *   malformed   0.05                         chance of sending a body that is not valid JSON
+ */
+
+// Failure modes, checked in this order with one roll
+const FAULTS = ['timeout', 'drop', 'reset', 'truncate', 'malformed'];
+
+const RATE_FIELDS = ['errorRate', ...FAULTS];
+
+// Error codes used when errorRate is set without a mix (the historical uniform pick)
+const DEFAULT_ERROR_MIX = { 400: 1, 401: 1, 403: 1, 404: 1, 500: 1 };
+
+// Throttled bodies are written in slices this many ms apart
+const THROTTLE_INTERVAL = 100;
+
+/**
+ * Parse a latency spec from the command line:
+ *   "200", "100-800" (min-max), "300~100" (mean~jitter) or "p50:100,p95:800,p99:2000"
+ * @param {string|number|object} value - Latency spec
+ * @returns {number|object} - Latency config
+ */
+function parseLatency(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const text = value.trim();
+  let match;
+
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  if ((match = text.match(/^(\d+)-(\d+)$/))) {
+    return { min: Number(match[1]), max: Number(match[2]) };
+  }
+  if ((match = text.match(/^(\d+)~(\d+)$/))) {
+    return { mean: Number(match[1]), jitter: Number(match[2]) };
+  }
+  if (/^(p\d{1,2}|min|max):\d+(,(p\d{1,2}|min|max):\d+)*$/.test(text)) {
+    return Object.fromEntries(text.split(',').map((part) => [part.split(':')[0], Number(part.split(':')[1])]));
+  }
+
+  throw new Error(`Invalid latency "${value}"; use 200, 100-800, 300~100 or p50:100,p95:800`);
+}
+
+/**
+ * Parse a byte rate such as "51200", "50k" or "1m" (per second)
+ * @param {string|number} value - Byte rate
+ * @returns {number}
+ */
+function parseBytes(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*([km]?)b?$/);
+  if (!match) {
+    throw new Error(`Invalid bandwidth "${value}"; use bytes per second such as 51200, 50k or 1m`);
+  }
+
+  const multiplier = { '': 1, k: 1024, m: 1024 * 1024 }[match[2]];
+  return Math.round(Number(match[1]) * multiplier);
+}
+
+/**
+ * Parse an error mix such as "500:3,503:1,429" (weight defaults to 1)
+ * @param {string|object} value - Error mix
+ * @returns {object} - Map of error code to weight
+ */
+function parseErrorMix(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return Object.fromEntries(
+    value
+      .split(',')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const [code, weight = '1'] = part.split(':');
+        if (!code || isNaN(Number(weight))) {
+          throw new Error(`Invalid error mix entry "${part}"; use code:weight, e.g. 500:3`);
+        }
+        return [code, Number(weight)];
+      })
+  );
+}
+
+/**
+ * Parse space-separated key=value assignments, e.g.
+ * "latency=100-800 errorRate=0.2 errors=500:3,503:1 drop=0.05"
+ * @param {string} text - Assignments
+ * @returns {object} - Chaos config
+ */
+function parseChaosAssignments(text) {
+  const config = {};
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((assignment) => {
+      const [key, ...rest] = assignment.split('=');
+      if (rest.length === 0) {
+        throw new Error(`Expected key=value, got "${assignment}"`);
+      }
+      config[key] = rest.join('=');
+    });
+  return normalizeChaos(config);
+}
+
+/**
+ * Validate a chaos config and convert string values
+ * @param {object} config - Raw config
+ * @returns {object} - Normalized config (only the fields that were given)
+ */
+function normalizeChaos(config = {}) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(config)) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    switch (key) {
+      case 'latency':
+        normalized.latency = parseLatency(value);
+        sampleLatency(normalized.latency); // Throws on an unusable spec
+        break;
+      case 'bandwidth':
+        normalized.bandwidth = parseBytes(value);
+        break;
+      case 'errors':
+        normalized.errors = parseErrorMix(value);
+        break;
+      default: {
+        if (!RATE_FIELDS.includes(key)) {
+          throw new Error(`Unknown chaos setting "${key}"`);
+        }
+        const rate = Number(value);
+        if (isNaN(rate) || rate < 0 || rate > 1) {
+          throw new Error(`${key} must be a probability between 0 and 1`);
+        }
+        normalized[key] = rate;
+      }
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Check whether a config has anything enabled
+ * @param {object} chaos - Chaos config
+ * @returns {boolean}
+ */
+function isChaosActive(chaos) {
+  return Boolean(chaos && (chaos.latency || chaos.bandwidth || RATE_FIELDS.some((field) => chaos[field] > 0)));
+}
+
+/**
+ * Draw a latency in ms from a latency config
+ * @param {number|object} spec - Latency config
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number}
+ */
+function sampleLatency(spec, random = Math.random) {
+  if (!spec) {
+    return 0;
+  }
+
+  if (typeof spec === 'number') {
+    return Math.max(0, spec);
+  }
+
+  if (spec.min !== undefined && spec.max !== undefined && !Object.keys(spec).some((key) => /^p\d+$/.test(key))) {
+    return Math.round(spec.min + random() * (spec.max - spec.min));
+  }
+
+  if (spec.mean !== undefined) {
+    const jitter = spec.jitter || 0;
+    return Math.max(0, Math.round(spec.mean + (random() * 2 - 1) * jitter));
+  }
+
+  // Percentiles: interpolate linearly between the given points
+  const points = Object.entries(spec)
+    .filter(([key]) => /^p\d+$/.test(key))
+    .map(([key, value]) => [Number(key.slice(1)) / 100, Number(value)])
+    .sort((a, b) => a[0] - b[0]);
+  if (points.length === 0) {
+    throw new Error(`Invalid latency ${JSON.stringify(spec)}`);
+  }
+
+  points.unshift([0, spec.min !== undefined ? spec.min : 0]);
+  points.push([1, spec.max !== undefined ? spec.max : points[points.length - 1][1]]);
+
+  const roll = random();
+  for (let i = 1; i < points.length; i++) {
+    const [upperP, upperValue] = points[i];
+    const [lowerP, lowerValue] = points[i - 1];
+    if (roll <= upperP) {
+      const share = upperP === lowerP ? 1 : (roll - lowerP) / (upperP - lowerP);
+      return Math.round(lowerValue + share * (upperValue - lowerValue));
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Pick a key from a map of weights
+ * @param {object} weights - Map of key to weight
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {string}
+ */
+function pickWeighted(weights, random = Math.random) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  let roll = random() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) {
+      return key;
+    }
+  }
+  return entries.length > 0 ? entries[entries.length - 1][0] : '500';
+}
+
+/**
+ * Roll for an error response
+ * @param {object} chaos - Chaos config
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {string|null} - Error code, or null
+ */
+function rollError(chaos, random = Math.random) {
+  if (!(chaos.errorRate > 0) || random() >= chaos.errorRate) {
+    return null;
+  }
+  return pickWeighted(chaos.errors || DEFAULT_ERROR_MIX, random);
+}
+
+/**
+ * Roll for a connection or body fault
+ * @param {object} chaos - Chaos config
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {string|null} - One of FAULTS, or null
+ */
+function rollFault(chaos, random = Math.random) {
+  const roll = random();
+  let threshold = 0;
+  for (const fault of FAULTS) {
+    threshold += chaos[fault] || 0;
+    if (roll < threshold) {
+      return fault;
+    }
+  }
+  return null;
+}
+
+/**
+ * Write a response slowly and/or broken, according to the chaos settings
+ * @param {object} res - Express response
+ * @param {object} response - { statusCode, headers, body }
+ * @param {object} options - { bandwidth, fault }
+ */
+async function writeChaosResponse(res, response, options = {}) {
+  const { bandwidth, fault } = options;
+  const isRaw = Buffer.isBuffer(response.body);
+  const hasBody = response.statusCode !== 204 && response.statusCode !== 304;
+
+  res.status(response.statusCode);
+  Object.entries(response.headers || {}).forEach(([key, value]) => res.set(key, value));
+  if (!isRaw && !res.get('Content-Type')) {
+    res.set('Content-Type', 'application/json; charset=utf-8');
+  }
+
+  let payload = !hasBody ? Buffer.alloc(0) : isRaw ? response.body : Buffer.from(JSON.stringify(response.body));
+  if (fault === 'truncate') {
+    payload = payload.subarray(0, Math.floor(payload.length / 2));
+  } else if (fault === 'malformed' && payload.length > 0) {
+    // Drop the last byte and add a dangling comma, which no JSON parser accepts
+    payload = Buffer.concat([payload.subarray(0, payload.length - 1), Buffer.from(',}')]);
+  }
+
+  // A reset advertises the full length, then stops halfway
+  res.set('Content-Length', String(payload.length));
+  const cutoff = fault === 'reset' ? Math.floor(payload.length / 2) : payload.length;
+  const sliceSize = bandwidth ? Math.max(1, Math.floor((bandwidth * THROTTLE_INTERVAL) / 1000)) : payload.length || 1;
+
+  res.flushHeaders();
+  for (let offset = 0; offset < cutoff; offset += sliceSize) {
+    if (res.destroyed) {
+      return;
+    }
+    await new Promise((resolve) => res.write(payload.subarray(offset, Math.min(offset + sliceSize, cutoff)), resolve));
+    if (bandwidth && offset + sliceSize < cutoff) {
+      await new Promise((resolve) => setTimeout(resolve, THROTTLE_INTERVAL));
+    }
+  }
+
+  if (fault === 'reset') {
+    res.socket.destroy();
+  } else {
+    res.end();
+  }
+}
+
+module.exports = {
+  FAULTS,
+  normalizeChaos,
+  parseChaosAssignments,
+  parseLatency,
+  parseBytes,
+  parseErrorMix,
+  isChaosActive,
+  sampleLatency,
+  pickWeighted,
+  rollError,
+  rollFault,
+  writeChaosResponse,
+};
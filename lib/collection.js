@@ -0,0 +1,260 @@
+const { getValueAtPath } = require('./template');
+const { matchValue } = require('./conditions');
+
+/**
+ * Query-string driven paging, filtering, sorting and search over a collection.
+ *
+ * A mock opts in with `_collection`, naming the array to query:
+ *
+ *   { "_collection": "products", "products": [...], "total": 3, "page": 1, "limit": 10 }
+ *
+ * or, with options:
+ *
+ *   { "_collection": { "key": "products", "limit": 20, "maxLimit": 100, "search": ["name"] }, ... }
+ *
+ * Supported query parameters:
+ *   page, limit              1-based page and page size
+ *   sort=price,-name         sort fields, "-" for descending (or order=desc)
+ *   q=phone                  case-insensitive search over string fields
+ *   category=sports          filter on a field (repeat the key to match any of several values)
+ *   price_gte=10, price_lt=  range filters (_gt, _gte, _lt, _lte, _ne, _like)
+ */
+
+// Query parameters that control the listing rather than filter on a field
+const RESERVED_QUERY_PARAMS = ['page', 'limit', 'sort', 'order', 'q', '_variant'];
+
+// Filter suffixes and the condition operator each one maps to
+const FILTER_SUFFIXES = {
+  _gte: '$gte',
+  _gt: '$gt',
+  _lte: '$lte',
+  _lt: '$lt',
+  _ne: '$ne',
+  _like: null, // case-insensitive substring, handled separately
+};
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Normalize a `_collection` directive
+ * @param {string|object} directive - Array key, or { key, limit, maxLimit, search }
+ * @returns {object} - { key, limit, maxLimit, search }
+ */
+function normalizeOptions(directive) {
+  const options = typeof directive === 'string' ? { key: directive } : { ...directive };
+  if (!options.key || typeof options.key !== 'string') {
+    throw new Error('_collection must name the array to query');
+  }
+
+  return {
+    key: options.key,
+    limit: options.limit || DEFAULT_LIMIT,
+    maxLimit: options.maxLimit || null,
+    search: Array.isArray(options.search) ? options.search : null,
+  };
+}
+
+/**
+ * Read a positive integer from the query string
+ */
+function toPositiveInt(value, fallback) {
+  const number = parseInt(Array.isArray(value) ? value[0] : value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Turn a query parameter into a field filter, if it names a field of the items
+ * @param {string} param - Query parameter name
+ * @param {*} value - Query value (string or array of strings)
+ * @param {Array<object>} items - Collection items
+ * @returns {Function|null} - Predicate over items, or null if the parameter isn't a filter
+ */
+function buildFilter(param, value, items) {
+  const suffix = Object.keys(FILTER_SUFFIXES).find((candidate) => param.endsWith(candidate));
+  const field = suffix ? param.slice(0, -suffix.length) : param;
+
+  // Unknown fields (cache busters, tracking params) are ignored rather than matching nothing
+  if (!field || !items.some((item) => getValueAtPath(item, field) !== undefined)) {
+    return null;
+  }
+
+  if (suffix === '_like') {
+    const needle = String(value).toLowerCase();
+    return (item) => {
+      const actual = getValueAtPath(item, field);
+      return actual !== undefined && actual !== null && String(actual).toLowerCase().includes(needle);
+    };
+  }
+
+  const matcher = suffix ? { [FILTER_SUFFIXES[suffix]]: value } : Array.isArray(value) ? { $in: value } : value;
+  return (item) => matchValue(getValueAtPath(item, field), matcher, { loose: true });
+}
+
+/**
+ * Check whether an item contains the search text in any of its string fields
+ */
+function matchesSearch(item, text, fields) {
+  const needle = text.toLowerCase();
+  const values = fields
+    ? fields.map((field) => getValueAtPath(item, field))
+    : Object.values(item && typeof item === 'object' ? item : { value: item });
+
+  return values.some((value) => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+/**
+ * Parse `sort` (and `order`) into [{ field, direction }]
+ */
+function parseSort(sort, order) {
+  if (!sort) {
+    return [];
+  }
+
+  const descending = String(order || '').toLowerCase() === 'desc';
+  return String(sort)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const field = part.replace(/^[-+]/, '');
+      const direction = part.startsWith('-') || (descending && !part.startsWith('+')) ? -1 : 1;
+      return { field, direction };
+    });
+}
+
+/**
+ * Compare two values for sorting: numbers numerically, everything else as text,
+ * with missing values last
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Filter, search, sort and paginate items according to the query string
+ * @param {Array<object>} items - All items in the collection
+ * @param {object} query - Parsed query string
+ * @param {object} options - Normalized `_collection` options
+ * @returns {object} - { items, total, page, limit, pages }
+ */
+function queryItems(items, query = {}, options = {}) {
+  let results = items;
+
+  const filters = Object.entries(query)
+    .filter(([param]) => !RESERVED_QUERY_PARAMS.includes(param))
+    .map(([param, value]) => buildFilter(param, value, items))
+    .filter(Boolean);
+  if (filters.length > 0) {
+    results = results.filter((item) => filters.every((filter) => filter(item)));
+  }
+
+  if (query.q) {
+    results = results.filter((item) => matchesSearch(item, String(query.q), options.search));
+  }
+
+  const sorters = parseSort(query.sort, query.order);
+  if (sorters.length > 0) {
+    results = [...results].sort((a, b) => {
+      for (const { field, direction } of sorters) {
+        const comparison = compareValues(getValueAtPath(a, field), getValueAtPath(b, field));
+        if (comparison !== 0) {
+          return comparison * direction;
+        }
+      }
+      return 0;
+    });
+  }
+
+  let limit = toPositiveInt(query.limit, options.limit || DEFAULT_LIMIT);
+  if (options.maxLimit) {
+    limit = Math.min(limit, options.maxLimit);
+  }
+
+  const total = results.length;
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const page = toPositiveInt(query.page, 1);
+  const start = (page - 1) * limit;
+
+  return {
+    items: results.slice(start, start + limit),
+    total,
+    page,
+    limit,
+    pages,
+  };
+}
+
+/**
+ * Build X-Total-Count and Link headers for a page of results
+ * @param {string} requestPath - The request path
+ * @param {object} query - Parsed query string
+ * @param {object} result - Result of queryItems()
+ * @returns {object} - Response headers
+ */
+function paginationHeaders(requestPath, query, result) {
+  const pageUrl = (page) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...query, page, limit: result.limit }).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach((item) => params.append(key, item));
+    });
+    return `${requestPath}?${params.toString()}`;
+  };
+
+  const links = [`<${pageUrl(1)}>; rel="first"`];
+  if (result.page > 1) {
+    links.push(`<${pageUrl(Math.min(result.page - 1, result.pages))}>; rel="prev"`);
+  }
+  if (result.page < result.pages) {
+    links.push(`<${pageUrl(result.page + 1)}>; rel="next"`);
+  }
+  links.push(`<${pageUrl(result.pages)}>; rel="last"`);
+
+  return {
+    'X-Total-Count': String(result.total),
+    Link: links.join(', '),
+    // Let browser clients on other origins read the paging headers
+    'Access-Control-Expose-Headers': 'X-Total-Count, Link',
+  };
+}
+
+/**
+ * Apply a `_collection` directive to a mock body
+ * @param {object} body - Mock body (directives already removed)
+ * @param {string|object} directive - The `_collection` value
+ * @param {object} context - Template context with path and query
+ * @param {Array<object>} items - Items to query; defaults to the array in the body
+ * @returns {object} - { body, headers }
+ */
+function applyCollection(body, directive, context, items) {
+  const options = normalizeOptions(directive);
+  const source = items || body[options.key];
+  if (!Array.isArray(source)) {
+    throw new Error(`_collection "${options.key}" is not an array in the mock body`);
+  }
+
+  const result = queryItems(source, context.query, options);
+  const responseBody = { ...body, [options.key]: result.items };
+
+  // Keep the mock's own envelope, correcting whichever paging fields it has
+  ['total', 'page', 'limit', 'pages', 'totalPages'].forEach((field) => {
+    if (field in responseBody) {
+      responseBody[field] = field === 'totalPages' ? result.pages : result[field];
+    }
+  });
+
+  return {
+    body: responseBody,
+    headers: paginationHeaders(context.path, context.query, result),
+  };
+}
+
+module.exports = {
+  applyCollection,
+  queryItems,
+  paginationHeaders,
+  normalizeOptions,
+};
@@ -0,0 +1,203 @@
+/**
+ * Condition language for `_conditions` in error scenarios and response variants.
+ *
+ * `_conditions` is a list of conditions; the request matches if ANY of them match.
+ * Each condition maps request sources (`body`, `query`, `headers`, `params`, and
+ * `variables` for GraphQL operations) to field matchers, all of which must match.
+ * Field names may be dotted paths such as `user.address.zip`. Conditions can also
+ * be grouped with `all`, `any` and `not`:
+ *
+ *   { "body": { "title": { "$minLength": 101 } } }
+ *   { "any": [{ "query": { "plan": "premium" } }, { "headers": { "x-beta": { "$exists": true } } }] }
+ *
+ * A matcher is either a literal (equality), a plain object (nested match), or an
+ * operator object:
+ *
+ *   $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex (+ $flags), $exists,
+ *   $length, $minLength, $maxLength, $not
+ */
+
+const { getValueAtPath } = require('./template');
+
+const SOURCES = ['body', 'query', 'headers', 'params', 'variables'];
+
+// Values from these sources are always strings, so literals are compared as strings
+const STRING_SOURCES = ['query', 'headers', 'params'];
+
+/**
+ * Check whether an object is an operator matcher ({ "$gt": 5 })
+ */
+function isOperatorObject(matcher) {
+  return (
+    matcher !== null &&
+    typeof matcher === 'object' &&
+    !Array.isArray(matcher) &&
+    Object.keys(matcher).length > 0 &&
+    Object.keys(matcher).every((key) => key.startsWith('$'))
+  );
+}
+
+/**
+ * Convert a value to a number for comparisons, or NaN if it isn't numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Compare two values for equality
+ * @param {*} actual - Value from the request
+ * @param {*} expected - Value from the condition
+ * @param {boolean} loose - Compare as strings (for URL and header values)
+ */
+function isEqual(actual, expected, loose) {
+  if (loose && actual !== undefined && actual !== null && typeof expected !== 'object') {
+    return String(actual) === String(expected);
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+
+  return actual === expected;
+}
+
+/**
+ * Evaluate a single operator against a value
+ * @returns {boolean}
+ */
+function applyOperator(operator, operand, actual, options) {
+  switch (operator) {
+    case '$eq':
+      return isEqual(actual, operand, options.loose);
+    case '$ne':
+      return !isEqual(actual, operand, options.loose);
+    case '$gt':
+      return toNumber(actual) > toNumber(operand);
+    case '$gte':
+      return toNumber(actual) >= toNumber(operand);
+    case '$lt':
+      return toNumber(actual) < toNumber(operand);
+    case '$lte':
+      return toNumber(actual) <= toNumber(operand);
+    case '$in':
+      return Array.isArray(operand) && operand.some((item) => isEqual(actual, item, options.loose));
+    case '$nin':
+      return Array.isArray(operand) && !operand.some((item) => isEqual(actual, item, options.loose));
+    case '$regex':
+      return (
+        actual !== undefined &&
+        actual !== null &&
+        new RegExp(operand, options.flags || '').test(typeof actual === 'string' ? actual : JSON.stringify(actual))
+      );
+    case '$flags':
+      // Consumed by $regex
+      return true;
+    case '$exists':
+      return (actual !== undefined && actual !== null) === Boolean(operand);
+    case '$length':
+      return hasLength(actual) && matchValue(actual.length, operand, { loose: false });
+    case '$minLength':
+      return hasLength(actual) && actual.length >= operand;
+    case '$maxLength':
+      return hasLength(actual) && actual.length <= operand;
+    case '$not':
+      return !matchValue(actual, operand, options);
+    default:
+      throw new Error(`Unknown condition operator: ${operator}`);
+  }
+}
+
+function hasLength(value) {
+  return typeof value === 'string' || Array.isArray(value);
+}
+
+/**
+ * Match a single request value against a matcher
+ * @param {*} actual - Value from the request
+ * @param {*} matcher - Literal, nested object or operator object
+ * @param {object} options - { loose } for string comparisons
+ * @returns {boolean}
+ */
+function matchValue(actual, matcher, options = {}) {
+  if (isOperatorObject(matcher)) {
+    const operatorOptions = { ...options, flags: matcher.$flags };
+    return Object.entries(matcher).every(([operator, operand]) =>
+      applyOperator(operator, operand, actual, operatorOptions)
+    );
+  }
+
+  if (matcher !== null && typeof matcher === 'object' && !Array.isArray(matcher)) {
+    // Nested partial match: every listed field must match
+    if (actual === null || typeof actual !== 'object') {
+      return false;
+    }
+    return Object.entries(matcher).every(([key, nested]) => matchValue(getValueAtPath(actual, key), nested, options));
+  }
+
+  return isEqual(actual, matcher, options.loose);
+}
+
+/**
+ * Evaluate one condition (AND of all its parts)
+ * @param {object} condition - Condition object
+ * @param {object} request - { body, query, headers, params, variables }
+ * @returns {boolean}
+ */
+function matchCondition(condition, request) {
+  if (!condition || typeof condition !== 'object') {
+    return false;
+  }
+
+  if (condition.all && !condition.all.every((item) => matchCondition(item, request))) {
+    return false;
+  }
+
+  if (condition.any && !condition.any.some((item) => matchCondition(item, request))) {
+    return false;
+  }
+
+  if (condition.not && matchCondition(condition.not, request)) {
+    return false;
+  }
+
+  for (const source of SOURCES) {
+    if (!condition[source]) {
+      continue;
+    }
+
+    const data = request[source] || {};
+    const options = { loose: STRING_SOURCES.includes(source) };
+
+    for (const [key, matcher] of Object.entries(condition[source])) {
+      // Header names are case-insensitive and express lowercases them
+      const fieldPath = source === 'headers' ? key.toLowerCase() : key;
+      const actual = source === 'headers' ? data[fieldPath] : getValueAtPath(data, fieldPath);
+
+      if (!matchValue(actual, matcher, options)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate `_conditions` against a request
+ * @param {Array<object>|object} conditions - One condition or a list (OR)
+ * @param {object} request - { body, query, headers, params, variables }
+ * @returns {boolean} - True if any condition matches
+ */
+function matchConditions(conditions, request) {
+  const list = Array.isArray(conditions) ? conditions : [conditions];
+  return list.some((condition) => matchCondition(condition, request));
+}
+
+module.exports = {
+  matchConditions,
+  matchCondition,
+  matchValue,
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { FAULTS, normalizeChaos } = require('./chaos');
+
+/**
+ * Project config: `api-mocker.config.js` or `api-mocker.config.json` in the
+ * working directory. It takes the CLI flags by their camelCase names, plus
+ * settings that only make sense in a file:
+ *
+ *   {
+ *     "port": 4000,
+ *     "https": true,                                 self-signed localhost certificate unless cert and key are given
+ *     "directories": ["../team-mocks", "./mocks"],  later directories override earlier ones, file by file
+ *     "basePath": "/api/v1",                         serve the mocks under this prefix
+ *     "cors": { "origin": "http://localhost:5173", "credentials": true },
+ *     "delay": 100,
+ *     "errorRate": 0.05,
+ *     "headers": { "X-Mock-Server": "api-mocker" },  sent with every response
+ *     "routes": {                                    "METHOD /path" or "/path"; /* covers a subtree
+ *       "GET /users/[id]": { "delay": 1500 },
+ *       "/payments/*": { "errorRate": 0.3, "headers": { "Retry-After": "5" } }
+ *     }
+ *   }
+ *
+ * Relative paths are resolved from the config file's directory. Flags given on
+ * the command line win over the file.
+ */
+
+const CONFIG_FILES = ['api-mocker.config.js', 'api-mocker.config.json'];
+
+// Settings holding file paths, resolved against the config file's directory
+const PATH_SETTINGS = ['directory', 'directories', 'openapi', 'saveRequests', 'cert', 'key'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+const expectText = (value) => (isText(value) ? null : 'must be a non-empty string');
+const expectBoolean = (value) => (typeof value === 'boolean' ? null : 'must be true or false');
+const expectUrl = (value) => (isText(value) && /^https?:\/\//.test(value) ? null : 'must be an http(s) URL');
+
+/**
+ * Check response headers: an object of string or number values
+ */
+const expectHeaders = (value) =>
+  isObject(value) && Object.values(value).every((header) => ['string', 'number'].includes(typeof header))
+    ? null
+    : 'must be an object of header names to string values';
+
+/**
+ * Check a setting with a function that throws on invalid values
+ */
+const expectValid = (normalize) => (value) => {
+  try {
+    normalize(value);
+    return null;
+  } catch (error) {
+    return `is invalid: ${error.message}`;
+  }
+};
+
+const expectPort = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 65535
+    ? null
+    : 'must be a port number between 0 and 65535';
+
+// Known settings => check returning a problem description, or null if the value is fine
+const SETTINGS = {
+  port: expectPort,
+  https: expectBoolean,
+  http2: expectBoolean,
+  httpPort: expectPort,
+  cert: expectText,
+  key: expectText,
+  directory: expectText,
+  directories: (value) =>
+    Array.isArray(value) && value.length > 0 && value.every(isText) ? null : 'must be a non-empty list of paths',
+  basePath: (value) => (isText(value) && value.startsWith('/') ? null : 'must be a path starting with "/"'),
+  cors: (value) => (typeof value === 'boolean' || isObject(value) ? null : 'must be true, false or cors options'),
+  delay: (value) => (typeof value === 'number' && value >= 0 ? null : 'must be a number of milliseconds'),
+  errorRate: (value) => (typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be between 0 and 1'),
+  chaos: (value) => (isObject(value) ? expectValid(normalizeChaos)(value) : 'must be an object of chaos settings'),
+  headers: expectHeaders,
+  routes: expectValid((value) => normalizeRoutes(value)),
+  proxyRoutes: (value) =>
+    isObject(value) && Object.values(value).every((mode) => mode === 'proxy' || mode === 'mock')
+      ? null
+      : 'must map route patterns to "proxy" or "mock"',
+  scenario: expectText,
+  authSecret: expectText,
+  seed: (value) => (isText(value) || typeof value === 'number' ? null : 'must be a string or number'),
+  stateful: expectBoolean,
+  proxy: expectUrl,
+  record: expectUrl,
+  recordParams: expectBoolean,
+  recordOverwrite: expectBoolean,
+  journalLimit: (value) => (Number.isInteger(value) && value >= 0 ? null : 'must be a whole number (0 turns it off)'),
+  saveRequests: expectText,
+  openapi: expectText,
+  watch: expectBoolean,
+  admin: expectBoolean,
+  interactive: expectBoolean,
+};
+
+/**
+ * Parse the `routes` setting into a list of per-route settings
+ * @param {object} [routes] - "METHOD /path" or "/path" => { delay, headers, errorRate, latency, ... }
+ * @returns {Array<object>} - { method, pattern, delay, headers, chaos }; method is null for any method
+ */
+function normalizeRoutes(routes = {}) {
+  if (!isObject(routes)) {
+    throw new Error('expected an object of "METHOD /path" => settings');
+  }
+
+  return Object.entries(routes).map(([key, settings]) => {
+    const match = key.trim().match(/^(?:([A-Za-z]+)\s+)?(\/\S*)$/);
+    if (!match) {
+      throw new Error(`route "${key}" must look like "GET /users/[id]" or "/users/*"`);
+    }
+    if (!isObject(settings)) {
+      throw new Error(`route "${key}" must map to an object of settings`);
+    }
+
+    const { delay, headers, ...chaos } = settings;
+    if (delay !== undefined && !(typeof delay === 'number' && delay >= 0)) {
+      throw new Error(`route "${key}": "delay" must be a number of milliseconds`);
+    }
+    if (headers !== undefined && expectHeaders(headers)) {
+      throw new Error(`route "${key}": "headers" ${expectHeaders(headers)}`);
+    }
+
+    let routeChaos;
+    try {
+      routeChaos = normalizeChaos(chaos);
+    } catch (error) {
+      const known = ['delay', 'headers', 'errorRate', 'errors', 'latency', 'bandwidth', ...FAULTS].join(', ');
+      const hint = error.message.startsWith('Unknown') ? ` (use ${known})` : '';
+      throw new Error(`route "${key}": ${error.message}${hint}`);
+    }
+
+    return {
+      method: match[1] ? match[1].toUpperCase() : null,
+      pattern: match[2],
+      delay,
+      headers: headers || {},
+      chaos: routeChaos,
+    };
+  });
+}
+
+/**
+ * Normalize a base path to "/prefix" without a trailing slash
+ * @param {string} [basePath] - e.g. "api/v1/" or "/api/v1"
+ * @returns {string} - e.g. "/api/v1", or "" for none
+ */
+function normalizeBasePath(basePath) {
+  const parts = String(basePath || '').split('/').filter(Boolean);
+  return parts.length > 0 ? `/${parts.join('/')}` : '';
+}
+
+/**
+ * Check a config object, listing every problem at once
+ * @param {object} config - Loaded config
+ * @param {string} source - File name for error messages
+ */
+function validateConfig(config, source) {
+  if (!isObject(config)) {
+    throw new Error(`${source} must export an object of settings`);
+  }
+
+  const problems = [];
+  Object.entries(config).forEach(([key, value]) => {
+    if (!SETTINGS[key]) {
+      problems.push(`Unknown setting "${key}"`);
+    } else if (value !== undefined && value !== null) {
+      const problem = SETTINGS[key](value);
+      if (problem) {
+        // Objects are described by the problem itself; scalars and lists are shown as given
+        problems.push(`"${key}" ${problem}${isObject(value) ? '' : ` (got ${JSON.stringify(value)})`}`);
+      }
+    }
+  });
+
+  if (config.directory !== undefined && config.directories !== undefined) {
+    problems.push('Use either "directory" or "directories", not both');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  }
+}
+
+/**
+ * Find the config file in a directory
+ * @param {string} [dir] - Directory to look in; the working directory by default
+ * @returns {string|null} - Absolute path, or null if there is none
+ */
+function findConfigFile(dir = process.cwd()) {
+  return CONFIG_FILES.map((file) => path.resolve(dir, file)).find((filePath) => fs.existsSync(filePath)) || null;
+}
+
+/**
+ * Load and check a config file. A .js file may export the settings or a function returning them.
+ * @param {string} filePath - Path to the config file
+ * @returns {object} - Settings, with paths made absolute
+ */
+function loadConfig(filePath) {
+  const resolved = path.resolve(filePath);
+  const source = path.basename(resolved);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${resolved}`);
+  }
+
+  let config;
+  try {
+    if (resolved.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } else {
+      const exported = require(resolved);
+      config = typeof exported === 'function' ? exported() : exported;
+    }
+  } catch (error) {
+    throw new Error(`Failed to load ${source}: ${error.message}`);
+  }
+
+  validateConfig(config, source);
+
+  const baseDir = path.dirname(resolved);
+  const settings = { ...config };
+  PATH_SETTINGS.filter((key) => settings[key] !== undefined && settings[key] !== null).forEach((key) => {
+    settings[key] = Array.isArray(settings[key])
+      ? settings[key].map((value) => path.resolve(baseDir, value))
+      : path.resolve(baseDir, settings[key]);
+  });
+  return settings;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  normalizeRoutes,
+  normalizeBasePath,
+  validateConfig,
+  findConfigFile,
+  loadConfig,
+};
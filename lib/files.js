@@ -0,0 +1,113 @@
+/**
+ * Helpers for mocks whose body is a file rather than JSON, such as GET.csv,
+ * GET.xml or GET.png. Headers and other directives for these live in a
+ * METHOD.meta.json file next to them.
+ */
+
+// Content types by file extension
+const CONTENT_TYPES = {
+  txt: 'text/plain; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  htm: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  yaml: 'application/yaml; charset=utf-8',
+  yml: 'application/yaml; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  bin: 'application/octet-stream',
+};
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+// Extensions that are handled as JSON mocks or JS handlers instead
+const NON_FILE_EXTENSIONS = ['json', 'js'];
+
+/**
+ * Check whether a file name is a non-JSON body file for a method, e.g. GET.csv
+ * @param {string} filename - File name
+ * @param {string} [method] - HTTP method; any method if omitted
+ * @returns {boolean}
+ */
+function isBodyFile(filename, method) {
+  const match = filename.match(/^(GET|POST|PUT|DELETE|PATCH|OPTIONS|HEAD)\.([a-zA-Z0-9]+)$/);
+  return Boolean(match) && (!method || match[1] === method) && !NON_FILE_EXTENSIONS.includes(match[2].toLowerCase());
+}
+
+/**
+ * Look up the content type for a file extension
+ * @param {string} extension - Extension without the dot
+ * @returns {string}
+ */
+function contentTypeFor(extension) {
+  return CONTENT_TYPES[extension.toLowerCase()] || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Check whether a content type is text that can be rendered as a template
+ * @param {string} contentType - Content-Type value
+ * @returns {boolean}
+ */
+function isTextContentType(contentType) {
+  return /^text\/|[/+](xml|json|yaml)\b/.test(contentType);
+}
+
+/**
+ * Parse a Range header against a body size. Only single byte ranges are
+ * supported; anything else is ignored and the full body is sent.
+ * @param {string} header - Range header value
+ * @param {number} size - Body size in bytes
+ * @returns {object|null} - { start, end } (inclusive), { unsatisfiable: true }, or null for the full body
+ */
+function parseRange(header, size) {
+  const match = typeof header === 'string' && header.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+}
+
+module.exports = {
+  isBodyFile,
+  contentTypeFor,
+  isTextContentType,
+  parseRange,
+};
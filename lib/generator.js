@@ -0,0 +1,143 @@
+/**
+ * Fake data for mock templates, available as `{{fake.*}}` tokens.
+ *
+ *   {{fake.uuid}}                 "3b241101-e2bb-4255-8caf-4136c566a962"
+ *   {{fake.firstName}}            "Maria"
+ *   {{fake.lastName}}             "Okafor"
+ *   {{fake.name}}                 "Maria Okafor"
+ *   {{fake.email}}                "maria.okafor@example.com"
+ *   {{fake.username}}             "maria_okafor42"
+ *   {{fake.phone}}                "+1-555-014-2231"
+ *   {{fake.city}}                 "Lisbon"
+ *   {{fake.number(1, 100)}}       42 (integer, inclusive)
+ *   {{fake.float(0, 500, 2)}}     129.99
+ *   {{fake.boolean}}              true
+ *   {{fake.date}}                 ISO date-time between 2020 and 2025
+ *   {{fake.date('2024-01-01', '2024-12-31')}}
+ *   {{fake.word}}, {{fake.words(3)}}, {{fake.sentence}}, {{fake.paragraph(3)}}, {{fake.lorem(50)}}
+ *   {{fake.pick('admin', 'editor', 'viewer')}}
+ *
+ * Every generator draws from one pseudo-random sequence. Given the same seed it
+ * produces the same values in the same order.
+ */
+
+const FIRST_NAMES = (
+  'James Maria Wei Aisha Lucas Sofia Hiroshi Amara Noah Elena Mateo Priya Liam Chloe Omar Yuki Daniel Fatima ' +
+  'Ethan Ingrid Kwame Olivia Arjun Zara Felix Leila Marcus Nadia Tomás Hana'
+).split(' ');
+
+const LAST_NAMES = (
+  "Smith Garcia Chen Okafor Müller Rossi Tanaka Khan Johnson Silva Novak Patel Andersen Dubois Kowalski Nguyen " +
+  "Hernández Ivanova Brown Mensah Larsen Cohen Yilmaz Park O'Brien Costa Haddad Fischer Moreau Sato"
+).split(' ');
+
+const CITIES = (
+  'Lisbon,Nairobi,Osaka,Toronto,Berlin,São Paulo,Melbourne,Seoul,Cairo,Oslo,Mexico City,Mumbai,Dublin,' +
+  'Singapore,Buenos Aires,Reykjavík,Lagos,Vancouver'
+).split(',');
+
+const LOREM_WORDS = (
+  'lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et ' +
+  'dolore magna aliqua enim ad minim veniam quis nostrud exercitation ullamco laboris nisi aliquip ex ea ' +
+  'commodo consequat duis aute irure in reprehenderit voluptate velit esse cillum fugiat nulla pariatur ' +
+  'excepteur sint occaecat cupidatat non proident sunt culpa qui officia deserunt mollit anim id est laborum'
+).split(' ');
+
+const DEFAULT_DATE_FROM = '2020-01-01T00:00:00.000Z';
+const DEFAULT_DATE_TO = '2025-12-31T23:59:59.999Z';
+
+/**
+ * Hash a string or number into a 32-bit seed
+ * @param {string|number} value - Seed value
+ * @returns {number}
+ */
+function hashSeed(value) {
+  const text = String(value);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a set of fake data generators
+ * @param {string|number} [seed] - Seed for reproducible output; random if omitted
+ * @returns {object} - Generator functions, used as the `fake` template source
+ */
+function createGenerator(seed) {
+  const random = createRandom(seed === undefined || seed === null ? (Math.random() * 2 ** 32) >>> 0 : hashSeed(seed));
+
+  const integer = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+  const pickFrom = (list) => list[integer(0, list.length - 1)];
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+  const slug = (text) =>
+    text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z]/g, '')
+      .toLowerCase();
+
+  const fake = {
+    uuid: () => {
+      const hex = Array.from({ length: 32 }, () => integer(0, 15).toString(16));
+      hex[12] = '4';
+      hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+      const text = hex.join('');
+      return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+    },
+    firstName: () => pickFrom(FIRST_NAMES),
+    lastName: () => pickFrom(LAST_NAMES),
+    name: () => `${fake.firstName()} ${fake.lastName()}`,
+    email: () => `${slug(fake.firstName())}.${slug(fake.lastName())}@example.com`,
+    username: () => `${slug(fake.firstName())}_${slug(fake.lastName())}${integer(1, 99)}`,
+    phone: () => `+1-555-${String(integer(0, 999)).padStart(3, '0')}-${String(integer(0, 9999)).padStart(4, '0')}`,
+    city: () => pickFrom(CITIES),
+    number: (min = 0, max = 100) => integer(Number(min), Number(max)),
+    float: (min = 0, max = 100, decimals = 2) => {
+      const value = Number(min) + random() * (Number(max) - Number(min));
+      return Number(value.toFixed(Number(decimals)));
+    },
+    boolean: () => random() < 0.5,
+    date: (from = DEFAULT_DATE_FROM, to = DEFAULT_DATE_TO) => {
+      const start = new Date(from).getTime();
+      const end = new Date(to).getTime();
+      if (isNaN(start) || isNaN(end)) {
+        throw new Error(`Invalid date range: ${from} - ${to}`);
+      }
+      return new Date(start + Math.floor(random() * (end - start))).toISOString();
+    },
+    word: () => pickFrom(LOREM_WORDS),
+    words: (count = 3) => Array.from({ length: Number(count) }, () => fake.word()).join(' '),
+    sentence: (wordCount = 8) => `${capitalize(fake.words(wordCount))}.`,
+    paragraph: (sentenceCount = 4) =>
+      Array.from({ length: Number(sentenceCount) }, () => fake.sentence(integer(6, 14))).join(' '),
+    lorem: (wordCount = 20) => fake.words(wordCount),
+    pick: (...values) => (values.length > 0 ? pickFrom(values) : null),
+  };
+
+  return fake;
+}
+
+module.exports = {
+  createGenerator,
+  createRandom,
+  hashSeed,
+};
@@ -0,0 +1,306 @@
+const http = require('http');
+const {
+  buildSchema,
+  executeSync,
+  isAbstractType,
+  isEnumType,
+  isListType,
+  isNonNullType,
+  isScalarType,
+  Kind,
+  parse,
+  validate,
+  valueFromASTUntyped,
+} = require('graphql');
+
+/**
+ * GraphQL endpoints. A route directory becomes a GraphQL endpoint (answering POST,
+ * and GET with ?query=) when it holds operation folders or a schema:
+ *
+ *   graphql/
+ *     schema.graphql              SDL used to mock operations that have no file
+ *     queries/GetUser.json        { "data": { "user": { ... } } }
+ *     queries/GetUser.empty.json  variant, picked by `_conditions` like METHOD.<name>.json
+ *     mutations/CreatePost.js     handler, as for METHOD.js files
+ *     errors/GetUser_missing.json error scenario with `_conditions`, as for errors/METHOD_<name>.json
+ *
+ * Operations are looked up by name. Request variables are available to templates
+ * and `_conditions` as `variables`. Bodies without `data` or `errors` are wrapped
+ * in `data`, and error responses become `{ "errors": [...] }`.
+ *
+ * Documents and schemas are parsed with the `graphql` package. Operations answered
+ * from the schema are validated against it and executed with resolvers that make up
+ * the data; operations answered from a mock file are not validated.
+ */
+
+// Operation type => folder holding its mocks
+const OPERATION_DIRS = {
+  query: 'queries',
+  mutation: 'mutations',
+  subscription: 'subscriptions',
+};
+
+const SCHEMA_FILES = ['schema.graphql', 'schema.gql'];
+
+// Items generated for list fields when mocking from the schema
+const LIST_LENGTH = 2;
+
+/**
+ * Parse a request document
+ * @param {string} source - Query text
+ * @returns {object} - The document AST; syntax errors are GraphQLErrors with `locations`
+ */
+function parseDocument(source) {
+  return parse(source);
+}
+
+/**
+ * Build a schema from SDL
+ * @param {string} source - Schema text
+ * @returns {object} - The GraphQLSchema
+ */
+function parseSchema(source) {
+  return buildSchema(source);
+}
+
+/**
+ * Read the GraphQL request from a POST body or GET query string
+ * @param {string} method - The HTTP method
+ * @param {object} body - Parsed request body
+ * @param {object} query - Query parameters
+ * @returns {object} - { query, operationName, variables }
+ */
+function readGraphqlRequest(method, body, query) {
+  const source = (method === 'GET' ? query : body) || {};
+
+  let variables = source.variables;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      throw new Error('Variables are invalid JSON.');
+    }
+  }
+  if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    throw new Error('Variables must be an object.');
+  }
+
+  if (source.query !== undefined && typeof source.query !== 'string') {
+    throw new Error('The query must be a string.');
+  }
+  if (!source.query && !source.operationName) {
+    throw new Error('Must provide query string.');
+  }
+
+  return { query: source.query || null, operationName: source.operationName || null, variables: variables || {} };
+}
+
+/**
+ * Pick the operation to run from a parsed document
+ * @param {object} document - Parsed document
+ * @param {string|null} operationName - Requested operation name
+ * @returns {object} - { type, name, definition } with the operation's AST node as `definition`
+ */
+function selectOperation(document, operationName) {
+  const operations = document.definitions.filter((definition) => definition.kind === Kind.OPERATION_DEFINITION);
+  const nameOf = (definition) => (definition.name ? definition.name.value : null);
+
+  let definition;
+  if (operationName) {
+    definition = operations.find((candidate) => nameOf(candidate) === operationName);
+    if (!definition) {
+      throw new Error(`Unknown operation named "${operationName}".`);
+    }
+  } else if (operations.length !== 1) {
+    throw new Error(
+      operations.length === 0
+        ? 'Must provide an operation.'
+        : 'Must provide operation name if query contains multiple operations.'
+    );
+  } else {
+    definition = operations[0];
+  }
+
+  return { type: definition.operation, name: nameOf(definition), definition };
+}
+
+/**
+ * Collect the default values of an operation's variables
+ * @param {object} operation - Operation from selectOperation
+ * @returns {object}
+ */
+function defaultVariables(operation) {
+  const variables = operation.definition ? operation.definition.variableDefinitions : [];
+  return Object.fromEntries(
+    variables
+      .filter((variable) => variable.defaultValue)
+      .map((variable) => [variable.variable.name.value, valueFromASTUntyped(variable.defaultValue)])
+  );
+}
+
+/**
+ * Build a string value from a field name, e.g. an email for `email`
+ */
+function mockString(fieldName, fake) {
+  const name = fieldName.toLowerCase();
+  const hints = [
+    [/email/, () => fake.email()],
+    [/phone|mobile/, () => fake.phone()],
+    [/username|login|handle/, () => fake.username()],
+    [/first_?name|given_?name/, () => fake.firstName()],
+    [/last_?name|family_?name|surname/, () => fake.lastName()],
+    [/name$|author/, () => fake.name()],
+    [/city|town/, () => fake.city()],
+    [/(date|time|at)$/, () => fake.date()],
+    [/url|uri|link|href|avatar|image/, () => `https://example.com/${fake.word()}`],
+    [/title|subject|headline|label/, () => fake.sentence(4).slice(0, -1)],
+    [/description|body|content|text|summary|bio|message|comment/, () => fake.sentence(12)],
+    [/^id$|id$/, () => fake.uuid()],
+  ];
+  const hint = hints.find(([pattern]) => pattern.test(name));
+  return hint ? hint[1]() : fake.words(2);
+}
+
+/**
+ * Build a scalar value from its type and field name
+ */
+function mockScalar(typeName, fieldName, fake) {
+  const name = fieldName.toLowerCase();
+  switch (typeName) {
+    case 'ID':
+    case 'UUID':
+      return fake.uuid();
+    case 'Int':
+    case 'BigInt':
+    case 'Long':
+      if (/age/.test(name)) return fake.number(18, 80);
+      if (/year/.test(name)) return fake.number(2000, 2025);
+      return fake.number(1, 100);
+    case 'Float':
+      if (/^lat/.test(name)) return fake.float(-90, 90, 6);
+      if (/^(lng|lon)/.test(name)) return fake.float(-180, 180, 6);
+      return fake.float(1, 500, 2);
+    case 'Boolean':
+      return fake.boolean();
+    case 'Date':
+      return fake.date().slice(0, 10);
+    case 'DateTime':
+    case 'Time':
+    case 'Timestamp':
+      return fake.date();
+    case 'JSON':
+    case 'JSONObject':
+      return {};
+    default:
+      return mockString(fieldName, fake);
+  }
+}
+
+/**
+ * Build data for an operation from the schema: the document is validated, then
+ * executed with resolvers that give every field a value of its type (lists get two
+ * items, abstract types one of their possible types)
+ * @param {object} schema - GraphQLSchema from parseSchema
+ * @param {object} document - Parsed document
+ * @param {object} operation - The operation to mock, from selectOperation
+ * @param {object} variables - Request variables
+ * @param {object} fake - Fake data generator (see lib/generator.js)
+ * @returns {object} - The `data` object; throws the first GraphQLError if the operation is invalid
+ */
+function mockOperation(schema, document, operation, variables, fake) {
+  const [invalid] = validate(schema, document);
+  if (invalid) {
+    throw invalid;
+  }
+
+  const mockValue = (type, fieldName) => {
+    if (isNonNullType(type)) {
+      return mockValue(type.ofType, fieldName);
+    }
+    if (isListType(type)) {
+      return Array.from({ length: LIST_LENGTH }, () => mockValue(type.ofType, fieldName));
+    }
+    if (isScalarType(type)) {
+      return mockScalar(type.name, fieldName, fake);
+    }
+    if (isEnumType(type)) {
+      return fake.pick(...type.getValues().map((value) => value.value));
+    }
+    // Objects are resolved field by field; an abstract type without implementations has no value
+    return isAbstractType(type) && schema.getPossibleTypes(type).length === 0 ? null : {};
+  };
+
+  const result = executeSync({
+    schema,
+    document,
+    operationName: operation.name,
+    variableValues: variables,
+    fieldResolver: (source, args, contextValue, info) => mockValue(info.returnType, info.fieldName),
+    typeResolver: (value, contextValue, info, abstractType) =>
+      fake.pick(...schema.getPossibleTypes(abstractType).map((type) => type.name)),
+  });
+  if (result.errors) {
+    throw result.errors[0];
+  }
+  return result.data;
+}
+
+/**
+ * Turn a status code into an error code such as NOT_FOUND
+ * @param {number} statusCode - HTTP status code
+ * @returns {string}
+ */
+function errorCode(statusCode) {
+  return (http.STATUS_CODES[statusCode] || 'Internal Server Error').toUpperCase().replace(/\W+/g, '_');
+}
+
+/**
+ * Build a GraphQL error response body
+ * @param {Error|string} error - Error or message; syntax errors keep their locations
+ * @param {string} [code] - `extensions.code`
+ * @returns {object} - { errors: [...] }
+ */
+function formatError(error, code) {
+  const formatted = { message: typeof error === 'string' ? error : error.message };
+  if (error.locations) {
+    formatted.locations = error.locations;
+  }
+  if (code) {
+    formatted.extensions = { code };
+  }
+  return { errors: [formatted] };
+}
+
+/**
+ * Give a mock response body the GraphQL shape: bodies with `data` or `errors` are
+ * kept, error responses become `errors`, and anything else is wrapped in `data`
+ * @param {*} body - Response body
+ * @param {number} statusCode - Response status code
+ * @returns {*}
+ */
+function toGraphqlBody(body, statusCode) {
+  if (Buffer.isBuffer(body)) {
+    return body;
+  }
+  if (body && typeof body === 'object' && !Array.isArray(body) && ('data' in body || 'errors' in body)) {
+    return body;
+  }
+  if (statusCode >= 400) {
+    const message = (body && (body.message || body.error)) || http.STATUS_CODES[statusCode];
+    return formatError(String(message), errorCode(statusCode));
+  }
+  return { data: body === undefined ? null : body };
+}
+
+module.exports = {
+  OPERATION_DIRS,
+  SCHEMA_FILES,
+  parseDocument,
+  parseSchema,
+  readGraphqlRequest,
+  selectOperation,
+  defaultVariables,
+  mockOperation,
+  formatError,
+  toGraphqlBody,
+};
@@ -1,237 +1,2329 @@
 const fs = require('fs');
 const path = require('path');
+const { renderTemplate } = require('./template');
+const MockStore = require('./store');
+const { matchConditions } = require('./conditions');
+const { applyCollection } = require('./collection');
+const { createGenerator } = require('./generator');
+const { isBodyFile, contentTypeFor, isTextContentType, parseRange } = require('./files');
+const {
+  SEQUENCE_OPTIONS_FILE,
+  normalizeOptions,
+  normalizeSequence,
+  expandSteps,
+  stepIndex,
+  sortStepFiles,
+} = require('./sequence');
+const {
+  DEFAULT_SECRET,
+  DEFAULT_EXPIRES_IN,
+  DEFAULT_REFRESH_EXPIRES_IN,
+  parseDuration,
+  signToken,
+  verifyToken,
+  authenticate,
+  userClaims,
+  copyClaims,
+  normalizeRule,
+  checkAccess,
+  sessionCookie,
+  readCookie,
+} = require('./auth');
+const {
+  REALTIME_TYPES,
+  normalizeRealtime,
+  playScript,
+  parseMessage,
+  findReply,
+  serializeData,
+  formatEvent,
+} = require('./realtime');
+const { isWebSocketUpgrade, acceptWebSocket, rejectUpgrade } = require('./websocket');
+const {
+  OPERATION_DIRS,
+  SCHEMA_FILES,
+  parseDocument,
+  parseSchema,
+  readGraphqlRequest,
+  selectOperation,
+  defaultVariables,
+  mockOperation,
+  formatError,
+  toGraphqlBody,
+} = require('./graphql');
+const { normalizeChaos, isChaosActive, sampleLatency, rollError, rollFault, writeChaosResponse } = require('./chaos');
+const { forwardRequest } = require('./proxy');
+const { recordResponse } = require('./recorder');
+const { readSpec } = require('./openapi');
+const RequestValidator = require('./validator');
+const RequestJournal = require('./journal');
+const RouteIndex = require('./route-index');
+const { matchRoute, matchRoutePattern, compareScores, diagnoseRoutes } = require('./matcher');
+const { normalizeRoutes, normalizeBasePath } = require('./config');
+
+// Request header and query parameter that explicitly pick a response variant
+const VARIANT_HEADER = 'x-mock-variant';
+const VARIANT_QUERY_PARAM = '_variant';
+
+// Request header and cookie that pick a scenario overlay for one request
+const SCENARIO_HEADER = 'x-mock-scenario';
+const SCENARIO_COOKIE = 'mock-scenario';
+
+// Directory-level auth rules and the users that can log in (see lib/auth.js)
+const AUTH_RULE_FILE = '_auth.json';
+const USERS_FILE = '_users.json';
+
+// METHOD.<name>.json files that are not response variants
+const RESERVED_VARIANT_NAMES = ['schema', 'meta'];
 
 class ApiMocker {
   constructor(options = {}) {
-    this.mockDirectory = options.directory || path.join(process.cwd(), 'mocks');
+    // With `directories`, the last one is the mocks directory (new and recorded files go there) and the
+    // others are layered underneath it, the later ones winning file by file
+    const directories = options.directories && options.directories.length > 0 ? options.directories : null;
+    this.mockDirectory = directories
+      ? path.resolve(directories[directories.length - 1])
+      : options.directory || path.join(process.cwd(), 'mocks');
     this.errorDirectory = path.join(this.mockDirectory, '_errors');
+    // Cached directory tree and parsed files
+    this.index = new RouteIndex(this.mockDirectory, directories ? directories.slice(0, -1) : []);
+    this.basePath = normalizeBasePath(options.basePath); // URL prefix the mocks are served under, e.g. /api/v1
     this.delay = options.delay || 0;
-    this.errorRate = options.errorRate || 0; // Probability of returning an error (0-1)
+    this.initialDelay = this.delay;
+    // Latency, bandwidth, random errors and connection faults (see lib/chaos.js); errorRate is kept as a shorthand
+    this.chaos = normalizeChaos({ errorRate: options.errorRate, ...options.chaos });
+    this.initialChaos = { ...this.chaos };
+    this.chaosOverrides = new Map(); // Mock file path => { method, path, chaos }
+    // Headers sent with every response, and delay, chaos and headers for route patterns (see lib/config.js)
+    this.defaultHeaders = options.headers || {};
+    this.routeSettings = normalizeRoutes(options.routes);
+    this.initialRouteSettings = this.routeSettings;
     this.logger = options.logger || console.log;
+    this.stateful = options.stateful || false; // Persist POST/PUT/PATCH/DELETE changes in memory
+    this.store = new MockStore({ idField: options.idField });
+    // Fake data is seeded per route, so a route returns the same generated data for the whole run;
+    // pass a seed to get the same data across runs
+    this.seed =
+      options.seed !== undefined && options.seed !== null ? options.seed : Math.random().toString(36).slice(2);
+    this.authSecret = options.authSecret || DEFAULT_SECRET; // Signs and verifies mock JWTs
+    this.handlerState = {}; // Shared `state` object passed to JS handlers
+    this.handlerCache = new Map(); // Handler file path => { mtime, handler }
+    this.schemaCache = new Map(); // GraphQL schema file path => { mtime, schema }
+    this.proxy = options.proxy || null; // Upstream URL for requests without a mock
+    this.proxyRoutes = options.proxyRoutes || {}; // Route pattern => 'proxy' | 'mock'
+    this.proxyTimeout = options.proxyTimeout || 30000;
+    this.record = options.record || false; // Proxy every request and save responses as mock files
+    this.recordOverwrite = options.recordOverwrite || false;
+    this.recordParams = options.recordParams || false; // Collapse numeric/UUID segments into [param] dirs
+
+    // Validate requests against METHOD.schema.json files and, optionally, an OpenAPI spec
+    const openapi = typeof options.openapi === 'string' ? readSpec(options.openapi) : options.openapi;
+    this.validator = new RequestValidator({ openapi, index: this.index });
+
+    // Runtime overrides set from the REPL or the /__mocker control API
+    this.forcedErrors = []; // Queued { code, path, method, remaining } errors
+    this.variantOverrides = new Map(); // Mock file path => { method, path, variant }
+    this.sequences = new Map(); // Method, sequence path and params => { method, route, params, calls, sequencePath }
+    this.overrides = []; // Responses set in code or over HTTP that win over the mock files; the newest first
+    this.nextOverrideId = 1;
+
+    // Recent requests with their responses, for tests to query and verify (journalLimit 0 turns it off)
+    this.journal = new RequestJournal({ limit: options.journalLimit });
+
+    // Open WebSocket and Server-Sent Events connections, for sending messages on demand
+    this.connections = new Map(); // Connection id => { id, type, path, route, connectedAt, context, send, close }
+    this.nextConnectionId = 1;
+
+    // Scenario overlay (_scenarios/<name>/) that shadows the base tree for every request
+    this.scenario = null;
+    if (options.scenario) {
+      this.setScenario(options.scenario);
+    }
+    this.initialScenario = this.scenario;
+
+    this.onRoutesChanged = options.onRoutesChanged || null;
+    this.knownRoutes = null;
+    if (options.watch) {
+      this.watch();
+    }
   }
 
   /**
-   * Parse path parameters from a request path and directory path
+   * Watch the mocks directory so edits take effect without a restart
+   * @returns {boolean} - False if file watching isn't supported on this platform
    */
-  parsePathParams(requestPath, mockDirPath) {
-    // Convert directory path to regex pattern
-    const dirParts = mockDirPath.split('/').filter(Boolean);
-    const requestParts = requestPath.split('/').filter(Boolean);
+  watch() {
+    this.knownRoutes = this.listRoutes();
+    const watching = this.index.watch(() => this.handleTreeChange());
 
-    // Quick length check
-    if (dirParts.length !== requestParts.length) {
-      return null;
+    if (!watching) {
+      this.logger('File watching is not supported here; restart the server to pick up mock changes');
+    }
+    return watching;
+  }
+
+  /**
+   * Re-read the mocks directory now
+   */
+  reload() {
+    if (!this.knownRoutes) {
+      this.knownRoutes = this.listRoutes();
+    }
+    this.index.build();
+    this.handleTreeChange();
+  }
+
+  /**
+   * Report routes added or removed since the last reload
+   */
+  handleTreeChange() {
+    const routes = this.listRoutes();
+    const previous = this.knownRoutes || [];
+    const routeKey = (route) => `${route.method} ${route.path}`;
+    const previousKeys = new Set(previous.map(routeKey));
+    const currentKeys = new Set(routes.map(routeKey));
+
+    const added = routes.filter((route) => !previousKeys.has(routeKey(route)));
+    const removed = previous.filter((route) => !currentKeys.has(routeKey(route)));
+    this.knownRoutes = routes;
+
+    if (this.onRoutesChanged) {
+      this.onRoutesChanged({ added, removed, routes });
+      return;
     }
 
-    const params = {};
+    if (added.length === 0 && removed.length === 0) {
+      this.logger('Mock files changed, reloaded');
+      return;
+    }
 
-    // Match each path segment
-    for (let i = 0; i < dirParts.length; i++) {
-      const dirPart = dirParts[i];
-      const requestPart = requestParts[i];
+    added.forEach((route) => this.logger(`Route added: ${route.method} ${route.path}`));
+    removed.forEach((route) => this.logger(`Route removed: ${route.method} ${route.path}`));
+  }
 
-      // Check if this is a parameter segment [param]
-      if (dirPart.startsWith('[') && dirPart.endsWith(']')) {
-        // Extract parameter name without brackets
-        const paramName = dirPart.substring(1, dirPart.length - 1);
-        params[paramName] = requestPart;
-      }
-      // If not a parameter, it must match exactly
-      else if (dirPart !== requestPart) {
-        return null;
-      }
+  /**
+   * Stop watching the mocks directory
+   */
+  close() {
+    this.index.close();
+    this.closeConnections();
+  }
+
+  /**
+   * Normalize a request path to start with / and have no trailing slash
+   * @param {string} requestPath - The incoming request path
+   * @returns {string} - The normalized path
+   */
+  normalizePath(requestPath) {
+    const trimmedPath = requestPath.endsWith('/') ? requestPath.slice(0, -1) : requestPath;
+    return trimmedPath.startsWith('/') ? trimmedPath : '/' + trimmedPath;
+  }
+
+  /**
+   * Get the settings configured for a route in `routes`; where several patterns
+   * match, the longer (more specific) one wins for each setting
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @returns {object} - { delay, chaos, headers }; delay is undefined if no route sets one
+   */
+  getRouteSettings(requestPath, method) {
+    const normalizedPath = this.normalizePath(requestPath);
+    const matching = this.routeSettings
+      .filter((route) => !route.method || route.method === method)
+      .filter((route) => matchRoutePattern(route.pattern, normalizedPath))
+      .sort((a, b) => a.pattern.length - b.pattern.length || Number(Boolean(a.method)) - Number(Boolean(b.method)));
+
+    return matching.reduce(
+      (settings, route) => ({
+        delay: route.delay !== undefined ? route.delay : settings.delay,
+        chaos: { ...settings.chaos, ...route.chaos },
+        headers: { ...settings.headers, ...route.headers },
+      }),
+      { delay: undefined, chaos: {}, headers: {} }
+    );
+  }
+
+  /**
+   * Simulate network delay: the route's configured delay, or the global one
+   * @param {string} [requestPath] - The request path
+   * @param {string} [method] - The HTTP method
+   */
+  async applyDelay(requestPath, method) {
+    const routeDelay = requestPath ? this.getRouteSettings(requestPath, method).delay : undefined;
+    const delay = routeDelay !== undefined ? routeDelay : this.delay;
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
     }
+  }
+
+  /**
+   * Remove the base path from a URL path
+   * @param {string} pathname - URL path, e.g. /api/v1/users
+   * @returns {string|null} - The path below the base path, or null if the URL is outside it
+   */
+  stripBasePath(pathname) {
+    if (!this.basePath) {
+      return pathname;
+    }
+    if (pathname === this.basePath || pathname.startsWith(`${this.basePath}/`)) {
+      return pathname.slice(this.basePath.length) || '/';
+    }
+    return null;
+  }
 
-    return params;
+  /**
+   * Parse path parameters from a request path and directory path
+   * @param {string} requestPath - The incoming request path
+   * @param {string} mockDirPath - Directory path such as /users/[id]
+   * @returns {object|null} - Params, or null if the path doesn't match
+   */
+  parsePathParams(requestPath, mockDirPath) {
+    const dirParts = mockDirPath.split('/').filter(Boolean);
+    const requestParts = requestPath.split('/').filter(Boolean);
+
+    // Handles [param], [[optional]], [...catchAll] and [[...optionalCatchAll]] segments
+    return matchRoute(dirParts, requestParts);
+  }
+
+  /**
+   * Extract path parameters for a resolved mock file
+   * @param {string} requestPath - The incoming request path
+   * @param {string} mockPath - The mock file path returned by findMock
+   * @returns {object} - Map of parameter names to values
+   */
+  getParamsForMock(requestPath, mockPath) {
+    const mockDirPath = this.index.getRoutePath(path.dirname(mockPath));
+    return this.parsePathParams(requestPath, mockDirPath) || {};
+  }
+
+  /**
+   * Build the context available to response templates
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} params - Path parameters
+   * @param {object} body - Request body
+   * @param {object} query - Query parameters
+   * @param {object} headers - Request headers
+   * @returns {object} - Template context
+   */
+  buildTemplateContext(requestPath, method, params = {}, body = null, query = {}, headers = {}) {
+    const credentials = this.authenticateRequest(headers || {}, query || {});
+    return {
+      path: requestPath,
+      method,
+      params: params || {},
+      query: query || {},
+      body: body || {},
+      headers: headers || {},
+      auth: credentials && credentials.claims ? credentials.claims : null, // Claims of valid credentials
+      fake: createGenerator(`${this.seed}:${method} ${this.normalizePath(requestPath)}`),
+    };
   }
 
   /**
    * Find a mock file that matches the request path and method
    * @param {string} requestPath - The incoming request path
    * @param {string} method - The HTTP method (GET, POST, etc.)
+   * @param {string|null} [scenario] - Scenario overlay to look in first; defaults to the active scenario
    * @returns {string|null} - The mock file path if found, null otherwise
    */
-  findMock(requestPath, method = 'GET') {
+  findMock(requestPath, method = 'GET', scenario = this.scenario) {
     const trimmedPath = requestPath.endsWith('/') ? requestPath.slice(0, -1) : requestPath;
 
     // Normalize path to always start with /
     const normalizedPath = trimmedPath.startsWith('/') ? trimmedPath : '/' + trimmedPath;
 
-    // First try exact match (check if file exists)
-    const exactPath = path.join(this.mockDirectory, normalizedPath);
+    // First try exact match (check if file exists), in the scenario overlay before the base tree
+    const roots = scenario ? [this.index.getScenarioDir(scenario), this.mockDirectory] : [this.mockDirectory];
+    for (const root of roots) {
+      const exactMock = this.findExactMock(path.join(root, normalizedPath), method);
+      if (exactMock) {
+        return exactMock;
+      }
+    }
+
+    // If no exact match, try to match with path parameters
+    return this.findMockWithParams(normalizedPath, method, scenario);
+  }
+
+  /**
+   * Find the mock file for a method in the directory that exactly matches a request path
+   * @param {string} exactPath - Absolute directory path for the request
+   * @param {string} method - The HTTP method
+   * @returns {string|null} - The mock file path if found, null otherwise
+   */
+  findExactMock(exactPath, method) {
+    // JS handler (e.g., GET.js) takes precedence over a JSON file for the same method
+    if (this.index.exists(path.join(exactPath, `${method}.js`))) {
+      return path.join(exactPath, `${method}.js`);
+    }
 
     // Method-specific file (e.g., GET.json, POST.json)
-    if (fs.existsSync(path.join(exactPath, `${method}.json`))) {
+    if (this.index.exists(path.join(exactPath, `${method}.json`))) {
       return path.join(exactPath, `${method}.json`);
     }
 
+    // Directory of numbered sequence steps (e.g., GET/1.json, GET/2.json)
+    if (this.index.listDirs(exactPath).includes(method)) {
+      return path.join(exactPath, method);
+    }
+
+    // Non-JSON body file (e.g., GET.csv, GET.png)
+    const bodyFile = this.index.listFiles(exactPath).find((file) => isBodyFile(file, method));
+    if (bodyFile) {
+      return path.join(exactPath, bodyFile);
+    }
+
     // Fallback to method-agnostic file (for backwards compatibility)
-    if (fs.existsSync(exactPath + '.json')) {
+    if (this.index.exists(exactPath + '.json')) {
       return exactPath + '.json';
     }
 
-    // For directories that represent the endpoint
-    if (fs.existsSync(path.join(exactPath, 'index.json'))) {
-      return path.join(exactPath, 'index.json');
+    // For directories that represent the endpoint
+    if (this.index.exists(path.join(exactPath, 'index.json'))) {
+      return path.join(exactPath, 'index.json');
+    }
+
+    // For backwards compatibility - index.json is equivalent to GET.json
+    if (method === 'GET' && this.index.exists(path.join(exactPath, 'index.json'))) {
+      return path.join(exactPath, 'index.json');
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a mock file with path parameters
+   * @param {string} requestPath - The incoming request path
+   * @param {string} method - The HTTP method
+   * @param {string|null} [scenario] - Scenario overlay whose routes win over equally specific base routes
+   * @returns {string|null} - The mock file path if found, null otherwise
+   */
+  findMockWithParams(requestPath, method, scenario = null) {
+    const requestParts = requestPath.split('/').filter(Boolean);
+    const requestName = path.basename(requestPath) + '.json';
+
+    // Prefer handlers over method files over sequence directories over body files over index.json over name.json
+    // when routes are equally specific
+    const priorities = {
+      [requestName]: 0,
+      'index.json': 1,
+      [method]: 3,
+      [`${method}.json`]: 4,
+      [`${method}.js`]: 5,
+    };
+    const filePriority = (filename) => {
+      if (filename in priorities) {
+        return priorities[filename];
+      }
+      return isBodyFile(filename, method) ? 2 : -1;
+    };
+
+    // The scenario overlay is searched first, so an equally specific base route never replaces its routes
+    const layers = [this.index.getMockFiles()];
+    if (scenario) {
+      layers.unshift(this.index.getMockFiles(scenario));
+    }
+
+    let best = null;
+    let bestLayer = -1;
+    layers.forEach((routes, layer) => {
+      for (const route of routes) {
+        if (filePriority(route.filename) < 0) {
+          continue;
+        }
+
+        if (!matchRoute(route.dirParts, requestParts)) {
+          continue;
+        }
+
+        // The most specific route wins: static beats dynamic, more static segments win
+        const comparison = best ? compareScores(route.score, best.score) : 1;
+        const preferredFile =
+          comparison === 0 && layer === bestLayer && filePriority(route.filename) > filePriority(best.filename);
+        if (comparison > 0 || preferredFile) {
+          best = route;
+          bestLayer = layer;
+        }
+      }
+    });
+
+    return best ? best.filePath : null;
+  }
+
+  /**
+   * Find the most specific route directory for a request path
+   * @param {string} requestPath - Normalized request path
+   * @param {string|null} [scenario] - Scenario overlay whose directories win over equally specific base ones
+   * @returns {string|null} - Absolute directory path, or null if nothing matches
+   */
+  findRouteDir(requestPath, scenario = null) {
+    const requestParts = requestPath.split('/').filter(Boolean);
+    const routeDirs = scenario
+      ? [...this.index.getRouteDirs(scenario), ...this.index.getRouteDirs()]
+      : this.index.getRouteDirs();
+
+    let best = null;
+    for (const route of routeDirs) {
+      if (matchRoute(route.dirParts, requestParts) && (!best || compareScores(route.score, best.score) > 0)) {
+        best = route;
+      }
+    }
+
+    return best ? best.dirPath : null;
+  }
+
+  /**
+   * Report routes that are ambiguous (equally specific for the same request) or
+   * shadowed (never chosen because other routes always win)
+   * @returns {object} - { ambiguous, shadowed }
+   */
+  diagnoseRoutes() {
+    return diagnoseRoutes(this.listRoutes());
+  }
+
+  /**
+   * List the named variants next to a method file, e.g. GET.empty.json for GET.json
+   * @param {string} mockPath - The base mock file path
+   * @param {string} method - The HTTP method
+   * @returns {Array<object>} - Array of { name, filePath }
+   */
+  getVariants(mockPath, method) {
+    const dir = path.dirname(mockPath);
+    const variantRegex = new RegExp(`^${method}\\.([\\w-]+)\\.json$`);
+
+    return this.index
+      .listFiles(dir)
+      .map((file) => file.match(variantRegex))
+      .filter((match) => match && !RESERVED_VARIANT_NAMES.includes(match[1]))
+      .map((match) => ({ name: match[1], filePath: path.join(dir, match[0]) }));
+  }
+
+  /**
+   * Pick the response variant for a request. An explicit selector (x-mock-variant
+   * header or _variant query param) wins, then one set with setVariant(), then the first variant whose _conditions
+   * match, then a variant marked `_default: true`, then the base file.
+   * @param {string} mockPath - The base mock file path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with params, query, body and headers
+   * @returns {string} - The mock file path to serve
+   */
+  selectVariant(mockPath, method, context) {
+    const variants = this.getVariants(mockPath, method);
+    if (variants.length === 0) {
+      return mockPath;
+    }
+
+    const override = this.variantOverrides.get(mockPath);
+    const selected =
+      context.headers[VARIANT_HEADER] || context.query[VARIANT_QUERY_PARAM] || (override && override.variant);
+    if (selected) {
+      const explicit = variants.find((variant) => variant.name === selected);
+      if (explicit) {
+        return explicit.filePath;
+      }
+      this.logger(`Unknown variant "${selected}" for ${mockPath}, using default`);
+    }
+
+    let defaultVariant = null;
+    for (const variant of variants) {
+      try {
+        const data = this.index.readJson(variant.filePath);
+
+        const { body, query, headers, params, variables } = context;
+        if (data._conditions && this.evaluateConditions(data._conditions, body, query, headers, params, variables)) {
+          return variant.filePath;
+        }
+
+        if (data._default === true && !defaultVariant) {
+          defaultVariant = variant.filePath;
+        }
+      } catch (error) {
+        this.logger(`Error reading variant ${variant.filePath}: ${error.message}`);
+      }
+    }
+
+    return defaultVariant || mockPath;
+  }
+
+  /**
+   * Get all possible mock paths in the mocks directory
+   * @returns {string[]} - Array of mock file paths
+   */
+  getAllMockPaths() {
+    return this.index.getMockFiles().map((route) => route.filePath);
+  }
+
+  /**
+   * Get mock response for a given path and method
+   * @param {string} requestPath - The API path to match
+   * @param {string} method - The HTTP method (GET, POST, etc.)
+   * @param {object} requestBody - The request body for POST/PUT requests
+   * @param {object} query - The query parameters
+   * @param {object} headers - The request headers
+   * @returns {Promise<object>} - The mock response
+   */
+  async getMockResponse(requestPath, method = 'GET', requestBody = null, query = {}, headers = {}, forceError) {
+    const mockPath = this.findMock(requestPath, method, this.resolveScenario(headers));
+
+    // Directories with queries/, mutations/ or a schema answer GraphQL requests without a method file
+    const isGraphqlMethod = !mockPath && (method === 'GET' || method === 'POST');
+    const graphqlDirs = isGraphqlMethod && this.findGraphqlEndpoint(requestPath, this.resolveScenario(headers));
+    if (graphqlDirs) {
+      return this.getGraphqlResponse(graphqlDirs, requestPath, method, requestBody, query, headers, forceError);
+    }
+    const params = mockPath ? this.getParamsForMock(requestPath, mockPath) : {};
+    const context = this.buildTemplateContext(requestPath, method, params, requestBody, query, headers);
+
+    // Check for error query parameter for explicit error testing
+    if (forceError) {
+      return this.getErrorResponse(forceError, requestPath, method, context);
+    }
+
+    // Reject requests without the credentials, role or scopes the route requires
+    const authError = await this.checkAuth(mockPath, requestPath, method, context, this.resolveScenario(headers));
+    if (authError) {
+      return authError;
+    }
+
+    // Reject requests that don't match the route's schema
+    const validationError = await this.validateRequest(mockPath, requestPath, method, context);
+    if (validationError) {
+      return validationError;
+    }
+
+    // Check for specific error scenarios in request
+    const specificError = await this.checkForSpecificError(requestPath, method, requestBody, query, headers, context);
+    if (specificError) {
+      return specificError;
+    }
+
+    // Randomly generate errors based on errorRate and the weighted errors mix
+    const randomErrorCode = rollError(this.getChaos(requestPath, method, mockPath));
+    if (randomErrorCode) {
+      return this.getErrorResponse(randomErrorCode, requestPath, method, context);
+    }
+
+    // Use a named variant (e.g. GET.empty.json) if one applies to this request
+    const variantPath = mockPath ? this.selectVariant(mockPath, method, context) : null;
+
+    // Serve collections and items from the in-memory store when enabled and no variant applies
+    // (handlers manage their own state)
+    if (this.stateful && variantPath === mockPath && !this.isHandler(mockPath)) {
+      const stateResponse = await this.handleStatefulRequest(requestPath, method, requestBody, context);
+      if (stateResponse) {
+        return stateResponse;
+      }
+    }
+
+    if (!mockPath) {
+      // No mock found - return 404 error
+      return this.getErrorResponse(404, requestPath, method, context);
+    }
+
+    let responsePath = variantPath;
+
+    // Serve the next file from a GET/1.json, GET/2.json, ... sequence directory
+    if (this.isSequenceDir(responsePath)) {
+      try {
+        responsePath = this.takeSequenceFile(responsePath, method, context);
+      } catch (error) {
+        this.logger(`Error loading sequence ${responsePath}: ${error.message}`);
+        return this.getErrorResponse(500, requestPath, method, context);
+      }
+    }
+
+    if (this.isHandler(responsePath)) {
+      return this.runHandler(responsePath, requestPath, method, context);
+    }
+
+    if (isBodyFile(path.basename(responsePath))) {
+      return this.serveFile(responsePath, requestPath, method, context);
+    }
+
+    try {
+      // Read the JSON file
+      let response = this.index.readJson(responsePath);
+
+      // Serve the current step of a _sequence directive
+      if (response && response._sequence) {
+        response = this.takeSequenceStep(responsePath, response, method, context);
+      }
+
+      // Issue tokens for login and refresh mocks, and clear the session cookie on logout
+      const sessionHeaders = {};
+      if (response && response._login) {
+        const login = this.login(response._login, context);
+        if (login.error) {
+          return this.getAuthErrorResponse({ statusCode: 401, message: login.error }, requestPath, method, context);
+        }
+
+        context.auth = login.claims;
+        context.tokens = login.tokens;
+        if (login.cookie) {
+          sessionHeaders['Set-Cookie'] = login.cookie;
+        }
+
+        delete response._login;
+        if (Object.keys(response).every((key) => key.startsWith('_'))) {
+          Object.assign(response, login.tokens);
+        }
+      } else if (response && response._logout) {
+        sessionHeaders['Set-Cookie'] = sessionCookie(null);
+        delete response._logout;
+      }
+
+      // Extract special directives
+      const statusCode = response._statusCode || 200;
+      let headers = { ...sessionHeaders, ...renderTemplate(response._headers || {}, context) };
+      const collection = response._collection;
+
+      // Remove special directives from response
+      delete response._statusCode;
+      delete response._headers;
+      delete response._conditions;
+      delete response._default;
+      delete response._proxy;
+      delete response._collection;
+      delete response._chaos;
+      delete response._times;
+      delete response._auth;
+
+      // Substitute {{params.x}}, {{query.x}}, {{body.x}} and {{headers.x}} tokens
+      response = renderTemplate(response, context);
+
+      // Page, filter, sort and search the array named by _collection
+      if (collection) {
+        const queried = applyCollection(response, collection, context);
+        response = queried.body;
+        headers = { ...queried.headers, ...headers };
+      }
+
+      // Process requestBody if POST/PUT with _echo or _merge directives
+      if (requestBody && (method === 'POST' || method === 'PUT')) {
+        if (response._echo === true) {
+          // Return the request body as the response
+          delete response._echo;
+          response = { ...response, ...requestBody };
+        } else if (response._merge === true) {
+          // Merge request body with the mock response
+          delete response._merge;
+          response = { ...response, ...requestBody };
+        }
+      }
+
+      // Simulate network delay
+      await this.applyDelay(requestPath, method);
+
+      const servedFrom = this.index.resolveFile(responsePath);
+      this.logger(`Mock response for ${method} ${requestPath} ready from ${servedFrom}`);
+      return {
+        body: response,
+        statusCode: statusCode,
+        headers: headers,
+      };
+    } catch (error) {
+      this.logger(`Error loading mock response: ${error.message}`);
+      return this.getErrorResponse(500, requestPath, method, context);
+    }
+  }
+
+  /**
+   * Check whether a mock path is a JS handler (e.g. GET.js)
+   * @param {string|null} mockPath - The resolved mock file path
+   * @returns {boolean}
+   */
+  isHandler(mockPath) {
+    return Boolean(mockPath) && mockPath.endsWith('.js');
+  }
+
+  /**
+   * Load a handler module, re-requiring it when the file changes
+   * @param {string} handlerPath - Absolute path to the handler file
+   * @returns {Function} - The exported handler function
+   */
+  loadHandler(handlerPath) {
+    const filePath = this.index.resolveFile(handlerPath); // May come from a layered directory
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const cached = this.handlerCache.get(filePath);
+    if (cached && cached.mtime === mtime) {
+      return cached.handler;
+    }
+
+    delete require.cache[require.resolve(filePath)];
+    const exported = require(filePath);
+    const handler = typeof exported === 'function' ? exported : exported && exported.default;
+    if (typeof handler !== 'function') {
+      throw new Error('Handler module must export a function');
+    }
+
+    this.handlerCache.set(filePath, { mtime, handler });
+    return handler;
+  }
+
+  /**
+   * Run a JS handler. It receives { params, query, body, headers, state, path, method }
+   * and returns (or resolves to) { statusCode, headers, body }. Thrown errors become
+   * the 500 error response.
+   * @param {string} handlerPath - Absolute path to the handler file
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with params, query, body and headers
+   * @returns {Promise<object>} - The mock response
+   */
+  async runHandler(handlerPath, requestPath, method, context) {
+    let result;
+    try {
+      const handler = this.loadHandler(handlerPath);
+      result = await handler({ ...context, state: this.handlerState });
+
+      if (!result || typeof result !== 'object') {
+        throw new Error('Handler must return { statusCode, headers, body }');
+      }
+    } catch (error) {
+      this.logger(`Error in handler ${handlerPath}: ${error.message}`);
+      return this.getErrorResponse(500, requestPath, method, context);
+    }
+
+    // Simulate network delay
+    await this.applyDelay(requestPath, method);
+
+    this.logger(`Mock response for ${method} ${requestPath} ready from ${this.index.resolveFile(handlerPath)}`);
+    return {
+      body: result.body === undefined ? {} : result.body,
+      statusCode: result.statusCode || 200,
+      headers: result.headers || {},
+    };
+  }
+
+  /**
+   * Serve a non-JSON body file (GET.csv, GET.png, ...) with its content type.
+   * Directives come from METHOD.meta.json next to the file:
+   *   _statusCode, _headers
+   *   _download   true or a file name, to send Content-Disposition: attachment
+   *   _render     true to substitute {{...}} tokens in text files
+   * Single byte Range requests get a 206 partial response.
+   * @param {string} filePath - Absolute path to the body file
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context
+   * @returns {Promise<object>} - The mock response, with a Buffer body
+   */
+  async serveFile(filePath, requestPath, method, context) {
+    let response;
+    try {
+      const metaPath = path.join(path.dirname(filePath), `${method}.meta.json`);
+      const meta = this.index.exists(metaPath) ? this.index.readJson(metaPath) : {};
+      const extension = path.extname(filePath).slice(1);
+      const headers = {
+        'Content-Type': contentTypeFor(extension),
+        'Accept-Ranges': 'bytes',
+        ...renderTemplate(meta._headers || {}, context),
+      };
+
+      let content = fs.readFileSync(this.index.resolveFile(filePath));
+      if (meta._render === true && isTextContentType(headers['Content-Type'])) {
+        content = Buffer.from(String(renderTemplate(content.toString('utf8'), context)));
+      }
+
+      if (meta._download) {
+        const lastSegment = this.normalizePath(requestPath).split('/').pop() || 'download';
+        const filename =
+          meta._download === true ? `${lastSegment}.${extension}` : renderTemplate(meta._download, context);
+        headers['Content-Disposition'] = `attachment; filename="${String(filename).replace(/"/g, '')}"`;
+      }
+
+      response = { body: content, statusCode: meta._statusCode || 200, headers };
+
+      const range = response.statusCode === 200 ? parseRange(context.headers.range, content.length) : null;
+      if (range && range.unsatisfiable) {
+        response = {
+          body: Buffer.alloc(0),
+          statusCode: 416,
+          headers: { ...headers, 'Content-Range': `bytes */${content.length}` },
+        };
+      } else if (range) {
+        response = {
+          body: content.subarray(range.start, range.end + 1),
+          statusCode: 206,
+          headers: { ...headers, 'Content-Range': `bytes ${range.start}-${range.end}/${content.length}` },
+        };
+      }
+    } catch (error) {
+      this.logger(`Error loading mock file ${filePath}: ${error.message}`);
+      return this.getErrorResponse(500, requestPath, method, context);
+    }
+
+    // Simulate network delay
+    await this.applyDelay(requestPath, method);
+
+    this.logger(`Mock response for ${method} ${requestPath} ready from ${this.index.resolveFile(filePath)}`);
+    return response;
+  }
+
+  /**
+   * Check whether a mock path is a directory of sequence steps (e.g. GET/)
+   * @param {string|null} mockPath - The resolved mock path
+   * @returns {boolean}
+   */
+  isSequenceDir(mockPath) {
+    return Boolean(mockPath) && this.index.listDirs(path.dirname(mockPath)).includes(path.basename(mockPath));
+  }
+
+  /**
+   * Count a request against a sequence and pick its step
+   * @param {string} sequencePath - The file with the _sequence directive, or the sequence directory
+   * @param {object} sequence - { steps, mode, scope }
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with params
+   * @returns {*} - The step for this request
+   */
+  advanceSequence(sequencePath, sequence, method, context) {
+    const params = sequence.scope === 'params' ? context.params : null;
+    const key = `${method} ${sequencePath} ${JSON.stringify(params)}`;
+
+    let entry = this.sequences.get(key);
+    if (!entry) {
+      const route = this.index.getRoutePath(path.dirname(sequencePath));
+      entry = { method, route, params, calls: 0, sequencePath };
+      this.sequences.set(key, entry);
+    }
+
+    const step = sequence.steps[stepIndex(entry.calls, sequence.steps.length, sequence.mode)];
+    entry.calls += 1;
+    return step;
+  }
+
+  /**
+   * Pick the step file to serve from a sequence directory. Options come from
+   * `_sequence.json` in the directory; JSON steps may repeat with `_times`.
+   * @param {string} dirPath - The sequence directory (e.g. .../jobs/[id]/GET)
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with params
+   * @returns {string} - The step file path
+   */
+  takeSequenceFile(dirPath, method, context) {
+    const optionsPath = path.join(dirPath, SEQUENCE_OPTIONS_FILE);
+    const options = this.index.exists(optionsPath) ? this.index.readJson(optionsPath) : {};
+
+    const files = sortStepFiles(this.index.listFiles(dirPath)).map((file) => path.join(dirPath, file));
+    if (files.length === 0) {
+      throw new Error('no numbered step files');
+    }
+
+    const steps = expandSteps(files, (file) => (this.isHandler(file) ? undefined : this.index.readJson(file)._times));
+    return this.advanceSequence(dirPath, { steps, ...normalizeOptions(options) }, method, context);
+  }
+
+  /**
+   * Pick the current step of a `_sequence` directive. The step replaces the
+   * body; `_headers` on the file apply to every step.
+   * @param {string} mockPath - The mock file with the directive
+   * @param {object} data - The parsed mock file
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with params
+   * @returns {*} - The step, with the file's headers merged into its own
+   */
+  takeSequenceStep(mockPath, data, method, context) {
+    const step = this.advanceSequence(mockPath, normalizeSequence(data._sequence), method, context);
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return step;
+    }
+
+    return { ...step, _headers: { ...data._headers, ...step._headers } };
+  }
+
+  /**
+   * Start sequences over, for every route or for one route
+   * @param {object} [target] - { method, path } to reset only that route's sequences
+   * @returns {number} - Number of sequence counters removed
+   */
+  resetSequences(target = {}) {
+    if (!target.path) {
+      const count = this.sequences.size;
+      this.sequences.clear();
+      return count;
+    }
+
+    const method = String(target.method || 'GET').toUpperCase();
+    const mockPath = this.findMock(target.path, method);
+    if (!mockPath) {
+      throw new Error(`No mock found for ${method} ${target.path}`);
+    }
+
+    // Variants and sequence directories live next to the route's method file
+    const routeDir = path.dirname(mockPath);
+    let count = 0;
+    for (const [key, entry] of [...this.sequences]) {
+      if (entry.method === method && path.dirname(entry.sequencePath) === routeDir) {
+        this.sequences.delete(key);
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Read the users that can log in, from _users.json in the mocks directory
+   * @returns {Array<object>} - Users with { username, password, apiKey, claims }
+   */
+  getUsers() {
+    const usersPath = path.join(this.mockDirectory, USERS_FILE);
+    if (!this.index.exists(usersPath)) {
+      return [];
+    }
+
+    try {
+      const data = this.index.readJson(usersPath);
+      return Array.isArray(data) ? data : data.users || [];
+    } catch (error) {
+      this.logger(`Error reading ${USERS_FILE}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Find and check the credentials on a request (see lib/auth.js)
+   * @param {object} headers - Request headers
+   * @param {object} query - Query parameters
+   * @returns {object|null} - { type, claims } if valid, { type, error } if not, or null if there are none
+   */
+  authenticateRequest(headers = {}, query = {}) {
+    return authenticate(headers, query, { secret: this.authSecret, users: this.getUsers() });
+  }
+
+  /**
+   * Sign a token, e.g. to hand a test an admin or already-expired token
+   * @param {object} claims - Token claims
+   * @param {number|string} [expiresIn] - Lifetime such as 900, "15m" or "-1m"
+   * @returns {object} - { token, claims, expiresIn }
+   */
+  issueToken(claims = {}, expiresIn = DEFAULT_EXPIRES_IN) {
+    const seconds = parseDuration(expiresIn);
+    return { token: signToken(claims, this.authSecret, seconds), claims, expiresIn: seconds };
+  }
+
+  /**
+   * Find the auth rule for a route: the method file's `_auth` directive, else the
+   * nearest `_auth.json` from the route directory up to the mocks root
+   * @param {string|null} mockPath - The resolved mock path
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {string|null} scenario - Scenario overlay whose `_auth.json` files come first
+   * @returns {object|null} - Normalized rule, or null for a public route
+   */
+  getAuthRule(mockPath, requestPath, method, scenario) {
+    const directivesPath = this.getDirectivesPath(mockPath, method);
+    if (directivesPath && this.index.exists(directivesPath)) {
+      const data = this.index.readJson(directivesPath);
+      if (data && data._auth !== undefined) {
+        return normalizeRule(data._auth);
+      }
+    }
+
+    const routeDir = mockPath ? path.dirname(mockPath) : this.findRouteDir(this.normalizePath(requestPath), scenario);
+    const parts = routeDir ? this.index.getRoutePath(routeDir).split('/').filter(Boolean) : [];
+    const roots = scenario ? [this.index.getScenarioDir(scenario), this.mockDirectory] : [this.mockDirectory];
+
+    for (let depth = parts.length; depth >= 0; depth--) {
+      for (const root of roots) {
+        const rulePath = path.join(root, ...parts.slice(0, depth), AUTH_RULE_FILE);
+        if (this.index.exists(rulePath)) {
+          return normalizeRule(this.index.readJson(rulePath));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a request against its route's auth rule
+   * @param {string|null} mockPath - The resolved mock path
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with headers and query
+   * @param {string|null} scenario - Active scenario overlay
+   * @returns {Promise<object|null>} - A 401/403 response, or null if the request may continue
+   */
+  async checkAuth(mockPath, requestPath, method, context, scenario) {
+    // Let CORS preflight requests through
+    if (method === 'OPTIONS') {
+      return null;
+    }
+
+    let rule;
+    try {
+      rule = this.getAuthRule(mockPath, requestPath, method, scenario);
+    } catch (error) {
+      this.logger(`Invalid auth rule for ${method} ${requestPath}: ${error.message}`);
+      return this.getErrorResponse(500, requestPath, method, context);
+    }
+
+    const denied = checkAccess(rule, rule ? this.authenticateRequest(context.headers, context.query) : null, method);
+    if (!denied) {
+      return null;
+    }
+
+    this.logger(`Auth ${denied.statusCode} for ${method} ${requestPath}: ${denied.message}`);
+    return this.getAuthErrorResponse(denied, requestPath, method, context);
+  }
+
+  /**
+   * Build a 401/403 response from the _errors/ template, with the reason as the message
+   * @param {object} denied - { statusCode, message, challenge }
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context
+   * @returns {Promise<object>} - The error response
+   */
+  async getAuthErrorResponse(denied, requestPath, method, context) {
+    const response = await this.getErrorResponse(denied.statusCode, requestPath, method, context);
+    const body =
+      response.body && typeof response.body.message === 'string'
+        ? { ...response.body, message: denied.message }
+        : response.body;
+    const headers = denied.challenge ? { ...response.headers, 'WWW-Authenticate': denied.challenge } : response.headers;
+    return { ...response, body, headers };
+  }
+
+  /**
+   * Handle a `_login` directive: check the credentials in the request body (or a
+   * refresh token) and issue new tokens
+   * @param {boolean|object} directive - true, or { claims, expiresIn, refreshExpiresIn, refresh, session }
+   * @param {object} context - Template context with the request body
+   * @returns {object} - { claims, tokens, cookie }, or { error }
+   */
+  login(directive, context) {
+    const options = directive === true ? {} : directive;
+    const { body } = context;
+    let claims;
+
+    if (options.refresh) {
+      const refreshToken = body.refreshToken || body.refresh_token;
+      const result = refreshToken
+        ? verifyToken(refreshToken, this.authSecret)
+        : { error: 'A refresh token is required' };
+      if (result.error) {
+        return { error: result.error };
+      }
+      if (result.claims.typ !== 'refresh') {
+        return { error: 'The token is not a refresh token' };
+      }
+      claims = copyClaims(result.claims);
+    } else {
+      // Without _users.json any username and password is accepted
+      const users = this.getUsers();
+      const username = body.username || body.email;
+      if (users.length > 0) {
+        const user = users.find(
+          (candidate) =>
+            (candidate.username === username || (candidate.email && candidate.email === username)) &&
+            candidate.password === body.password
+        );
+        if (!user) {
+          return { error: 'Invalid username or password' };
+        }
+        claims = userClaims(user);
+      } else {
+        claims = { sub: String(username || 'user') };
+      }
+    }
+
+    claims = { ...claims, ...renderTemplate(options.claims || {}, context) };
+    const expiresIn = parseDuration(options.expiresIn || DEFAULT_EXPIRES_IN);
+    const refreshExpiresIn = options.refreshExpiresIn || DEFAULT_REFRESH_EXPIRES_IN;
+    const tokens = {
+      accessToken: signToken(claims, this.authSecret, expiresIn),
+      refreshToken: signToken({ ...claims, typ: 'refresh' }, this.authSecret, refreshExpiresIn),
+      tokenType: 'Bearer',
+      expiresIn,
+    };
+
+    return { claims, tokens, cookie: options.session ? sessionCookie(tokens.accessToken, expiresIn) : null };
+  }
+
+  /**
+   * Find the WS.json or SSE.json for a request path
+   * @param {string} requestPath - The request path
+   * @param {string} type - "WS" or "SSE"
+   * @param {string|null} [scenario] - Scenario overlay to look in first; defaults to the active scenario
+   * @returns {string|null} - The definition file path, or null if there is none
+   */
+  findRealtimeMock(requestPath, type, scenario = this.scenario) {
+    const normalizedPath = this.normalizePath(requestPath);
+    const filename = `${type}.json`;
+
+    const roots = scenario ? [this.index.getScenarioDir(scenario), this.mockDirectory] : [this.mockDirectory];
+    for (const root of roots) {
+      const exactPath = path.join(root, normalizedPath, filename);
+      if (this.index.exists(exactPath)) {
+        return exactPath;
+      }
+    }
+
+    // The overlay is searched first, so it keeps equally specific routes
+    const requestParts = normalizedPath.split('/').filter(Boolean);
+    const layers = [this.index.getMockFiles()];
+    if (scenario) {
+      layers.unshift(this.index.getMockFiles(scenario));
+    }
+    let best = null;
+    layers.forEach((routes) => {
+      for (const route of routes) {
+        if (route.filename !== filename || !matchRoute(route.dirParts, requestParts)) {
+          continue;
+        }
+        if (!best || compareScores(route.score, best.score) > 0) {
+          best = route;
+        }
+      }
+    });
+
+    return best ? best.filePath : null;
+  }
+
+  /**
+   * Read a realtime definition and check the request against the route's auth rule
+   * @param {string} type - "WS" or "SSE"
+   * @param {string} mockPath - The WS.json or SSE.json path
+   * @param {string} requestPath - Normalized request path
+   * @param {object} query - Query parameters
+   * @param {object} headers - Request headers
+   * @param {string|null} scenario - Active scenario overlay
+   * @returns {Promise<object>} - { definition, context }, or { response } if the connection is refused
+   */
+  async prepareRealtime(type, mockPath, requestPath, query, headers, scenario) {
+    const params = this.getParamsForMock(requestPath, mockPath);
+    const context = this.buildTemplateContext(requestPath, type, params, null, query, headers);
+
+    // Both kinds of connection start as GET requests
+    const denied = await this.checkAuth(mockPath, requestPath, 'GET', context, scenario);
+    if (denied) {
+      return { response: denied };
+    }
+
+    try {
+      return { definition: normalizeRealtime(this.index.readJson(mockPath)), context };
+    } catch (error) {
+      this.logger(`Invalid ${type} mock ${mockPath}: ${error.message}`);
+      return { response: await this.getErrorResponse(500, requestPath, 'GET', context) };
+    }
+  }
+
+  /**
+   * Track an open connection and play its scripted messages
+   * @param {object} connection - { type, path, mockPath, context, send(data, event, id), close(code, reason) }
+   * @param {object} definition - Normalized realtime definition
+   * @returns {object} - The tracked connection, with `stop()` to end its script
+   */
+  openConnection(connection, definition) {
+    const entry = {
+      ...connection,
+      id: this.nextConnectionId++,
+      route: this.index.getRoutePath(path.dirname(connection.mockPath)),
+      connectedAt: new Date().toISOString(),
+    };
+    this.connections.set(entry.id, entry);
+    this.logger(`${entry.type} connection ${entry.id} opened on ${entry.path}`);
+
+    entry.stop = playScript(definition.messages, definition.loop, (message) => {
+      if (message.close) {
+        const close = message.close === true ? {} : message.close;
+        entry.close(close.code || 1000, close.reason || '');
+      } else {
+        entry.send(renderTemplate(message.data, entry.context), message.event, message.id);
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * Stop tracking a connection once it has closed
+   * @param {object} entry - The tracked connection
+   */
+  forgetConnection(entry) {
+    entry.stop();
+    if (this.connections.delete(entry.id)) {
+      this.logger(`${entry.type} connection ${entry.id} on ${entry.path} closed`);
+    }
+  }
+
+  /**
+   * Accept a WebSocket upgrade for a WS.json mock, or refuse it with an HTTP response
+   * @param {object} req - Node request
+   * @param {object} socket - The request's socket
+   * @param {Buffer} head - Data received after the request headers
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const routePath = this.stripBasePath(url.pathname);
+    const requestPath = this.normalizePath(routePath || url.pathname);
+    const scenario = this.resolveScenario(req.headers);
+    this.logger(`WS ${requestPath}`);
+
+    const mockPath =
+      routePath !== null && isWebSocketUpgrade(req) ? this.findRealtimeMock(requestPath, 'WS', scenario) : null;
+    if (!mockPath) {
+      this.logger(`No WebSocket mock found for: ${requestPath}`);
+      rejectUpgrade(socket, 404, {
+        error: 'Endpoint not found',
+        message: `No WebSocket mock defined for ${requestPath}`,
+      });
+      return;
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    const prepared = await this.prepareRealtime('WS', mockPath, requestPath, query, req.headers, scenario);
+    if (prepared.response) {
+      const { statusCode, body, headers } = prepared.response;
+      rejectUpgrade(socket, statusCode, body, headers);
+      return;
+    }
+
+    const { definition, context } = prepared;
+    const ws = await acceptWebSocket(req, socket, head, { protocol: definition.protocol });
+
+    const entry = this.openConnection(
+      {
+        type: 'WS',
+        path: requestPath,
+        mockPath,
+        context,
+        send: (data) => ws.send(serializeData(data)),
+        close: (code, reason) => ws.close(code, reason),
+      },
+      definition
+    );
+
+    ws.on('message', (data, isBinary) => {
+      const text = isBinary ? data : data.toString('utf8');
+      const reply = isBinary ? null : findReply(definition.replies, text);
+      if (reply) {
+        const replyContext = { ...context, message: parseMessage(text) };
+        setTimeout(() => {
+          [].concat(reply.reply).forEach((data) => entry.send(renderTemplate(data, replyContext)));
+        }, reply.delay || 0);
+      } else if (definition.echo) {
+        ws.send(text);
+      }
+    });
+    ws.on('close', () => this.forgetConnection(entry));
+    // Protocol errors (unmasked or oversized frames, ...) close the connection; ws reports them here
+    ws.on('error', (error) => this.logger(`WebSocket connection ${entry.id} on ${requestPath}: ${error.message}`));
+  }
+
+  /**
+   * Serve WebSocket mocks on an HTTP server; call with the server that app.listen() returns
+   * @param {object} server - Node HTTP server
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        this.logger(`WebSocket upgrade failed for ${req.url}: ${error.message}`);
+        socket.destroy();
+      });
+    });
+  }
+
+  /**
+   * Stream an SSE.json mock as Server-Sent Events
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {string} mockPath - The SSE.json path
+   * @param {string|null} scenario - Active scenario overlay
+   */
+  async streamEvents(req, res, mockPath, scenario) {
+    const requestPath = this.normalizePath(req.path);
+    const prepared = await this.prepareRealtime('SSE', mockPath, requestPath, req.query, req.headers, scenario);
+    if (prepared.response) {
+      const { statusCode, body, headers } = prepared.response;
+      res.status(statusCode).set(headers || {}).json(body);
+      return;
+    }
+
+    const { definition, context } = prepared;
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      // HTTP/2 has no connection headers
+      ...(req.httpVersionMajor < 2 ? { Connection: 'keep-alive' } : {}),
+    });
+    res.flushHeaders();
+    if (definition.retry) {
+      res.write(formatEvent({ retry: definition.retry }));
+    }
+
+    const entry = this.openConnection(
+      {
+        type: 'SSE',
+        path: requestPath,
+        mockPath,
+        context,
+        send: (data, event, id) => res.write(formatEvent({ data, event, id })),
+        close: () => res.end(),
+      },
+      definition
+    );
+    res.on('close', () => this.forgetConnection(entry));
+  }
+
+  /**
+   * Find open connections by request path (/jobs/42/events) or route (/jobs/[id]/events)
+   * @param {string} [target] - Path or route; every connection if omitted
+   * @returns {Array<object>} - Tracked connections
+   */
+  findConnections(target) {
+    const normalized = target ? this.normalizePath(target) : null;
+    return [...this.connections.values()].filter(
+      (entry) => !normalized || entry.path === normalized || entry.route === normalized
+    );
+  }
+
+  /**
+   * List open WebSocket and SSE connections
+   * @returns {Array<object>} - { id, type, path, route, connectedAt }
+   */
+  listConnections() {
+    return [...this.connections.values()].map(({ id, type, path: requestPath, route, connectedAt }) => ({
+      id,
+      type,
+      path: requestPath,
+      route,
+      connectedAt,
+    }));
+  }
+
+  /**
+   * Send a message to open connections. The data is a template, rendered per connection.
+   * @param {object} message - { path, data, event, id }; `event` and `id` only apply to SSE
+   * @returns {number} - Number of connections the message went to
+   */
+  sendMessage(message = {}) {
+    if (message.data === undefined) {
+      throw new Error('Message data is required');
+    }
+
+    const targets = this.findConnections(message.path);
+    targets.forEach((entry) => entry.send(renderTemplate(message.data, entry.context), message.event, message.id));
+    return targets.length;
+  }
+
+  /**
+   * Close open connections
+   * @param {object} [target] - { path } to close only the connections on that path or route
+   * @returns {number} - Number of connections closed
+   */
+  closeConnections(target = {}) {
+    const targets = this.findConnections(target.path);
+    targets.forEach((entry) => entry.close(1000, ''));
+    return targets.length;
+  }
+
+  /**
+   * Find the GraphQL endpoint for a request path: its route directory, in the
+   * scenario overlay and the base tree, when it holds operation folders or a schema
+   * @param {string} requestPath - The request path
+   * @param {string|null} [scenario] - Scenario overlay to look in first; defaults to the active scenario
+   * @returns {Array<string>|null} - Endpoint directories, the overlay's first, or null
+   */
+  findGraphqlEndpoint(requestPath, scenario = this.scenario) {
+    const routeDir = this.findRouteDir(this.normalizePath(requestPath), scenario);
+    if (!routeDir) {
+      return null;
+    }
+
+    const routePath = this.index.getRoutePath(routeDir);
+    const roots = scenario ? [this.index.getScenarioDir(scenario), this.mockDirectory] : [this.mockDirectory];
+    const endpointDirs = roots.map((root) => path.join(root, routePath)).filter((dir) => this.isGraphqlDir(dir));
+    return endpointDirs.length > 0 ? endpointDirs : null;
+  }
+
+  /**
+   * Check whether a directory is a GraphQL endpoint (has queries/, mutations/ or a schema)
+   * @param {string} dirPath - Absolute directory path
+   * @returns {boolean}
+   */
+  isGraphqlDir(dirPath) {
+    const dirs = this.index.listDirs(dirPath);
+    return (
+      Object.values(OPERATION_DIRS).some((name) => dirs.includes(name)) ||
+      SCHEMA_FILES.some((file) => this.index.exists(path.join(dirPath, file)))
+    );
+  }
+
+  /**
+   * List the operations of a GraphQL endpoint that have mock files
+   * @param {string} dirPath - Endpoint directory
+   * @returns {Array<string>} - e.g. ["query GetUser", "mutation CreatePost"]
+   */
+  listGraphqlOperations(dirPath) {
+    return Object.entries(OPERATION_DIRS).flatMap(([type, folder]) => {
+      const names = this.index
+        .listFiles(path.join(dirPath, folder))
+        .map((file) => file.match(/^(\w+)\.(json|js)$/))
+        .filter(Boolean)
+        .map((match) => `${type} ${match[1]}`);
+      return [...new Set(names)];
+    });
+  }
+
+  /**
+   * Load the schema of a GraphQL endpoint, re-parsing it when the file changes
+   * @param {Array<string>} endpointDirs - Endpoint directories from findGraphqlEndpoint
+   * @returns {object|null} - Parsed schema, or null if the endpoint has none
+   */
+  loadGraphqlSchema(endpointDirs) {
+    const found = endpointDirs
+      .flatMap((dir) => SCHEMA_FILES.map((file) => path.join(dir, file)))
+      .find((candidate) => this.index.exists(candidate));
+    if (!found) {
+      return null;
+    }
+
+    const schemaPath = this.index.resolveFile(found);
+
+    const mtime = fs.statSync(schemaPath).mtimeMs;
+    const cached = this.schemaCache.get(schemaPath);
+    if (cached && cached.mtime === mtime) {
+      return cached.schema;
+    }
+
+    const schema = parseSchema(fs.readFileSync(schemaPath, 'utf8'));
+    this.schemaCache.set(schemaPath, { mtime, schema });
+    return schema;
+  }
+
+  /**
+   * Find the mock file for an operation: queries/<name>.js or .json (mutations/ for mutations)
+   * @param {Array<string>} endpointDirs - Endpoint directories from findGraphqlEndpoint
+   * @param {object} operation - { type, name }; without a type every operation folder is searched
+   * @returns {string|null} - The mock file path, or null
+   */
+  findOperationMock(endpointDirs, operation) {
+    if (!operation.name) {
+      return null;
+    }
+
+    const folders = operation.type ? [OPERATION_DIRS[operation.type]] : Object.values(OPERATION_DIRS);
+    for (const dir of endpointDirs) {
+      for (const folder of folders) {
+        const candidate = [`${operation.name}.js`, `${operation.name}.json`]
+          .map((file) => path.join(dir, folder, file))
+          .find((filePath) => this.index.exists(filePath));
+        if (candidate) {
+          return candidate;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Answer a GraphQL request (see lib/graphql.js). The operation's variables are
+   * available to templates and `_conditions` as `variables`.
+   * @param {Array<string>} endpointDirs - Endpoint directories from findGraphqlEndpoint
+   * @param {string} requestPath - The request path
+   * @param {string} method - GET or POST
+   * @param {object} requestBody - The request body
+   * @param {object} query - The query parameters
+   * @param {object} headers - The request headers
+   * @param {number|string} [forceError] - Error to return instead
+   * @returns {Promise<object>} - The mock response, with a GraphQL body
+   */
+  async getGraphqlResponse(endpointDirs, requestPath, method, requestBody, query, headers, forceError) {
+    const params = this.parsePathParams(requestPath, this.index.getRoutePath(endpointDirs[0])) || {};
+    const context = this.buildTemplateContext(requestPath, method, params, requestBody, query, headers);
+
+    let request;
+    let document = null;
+    let operation;
+    try {
+      request = readGraphqlRequest(method, requestBody, query);
+      if (request.query) {
+        document = parseDocument(request.query);
+        operation = selectOperation(document, request.operationName);
+      } else {
+        // Persisted queries may send only the operation name
+        operation = { type: null, name: request.operationName, definition: null };
+      }
+    } catch (error) {
+      const code = error.locations ? 'GRAPHQL_PARSE_FAILED' : 'BAD_REQUEST';
+      return { statusCode: 400, headers: {}, body: formatError(error, code) };
+    }
+
+    if (method === 'GET' && operation.type === 'mutation') {
+      return { statusCode: 405, headers: { Allow: 'POST' }, body: formatError('Mutations must be sent with POST.') };
+    }
+
+    context.variables = { ...defaultVariables(operation), ...request.variables };
+    context.operation = { type: operation.type, name: operation.name };
+    // Seed fake data per operation and variables, so the same request gets the same data
+    const seedKey = `${operation.type} ${operation.name} ${JSON.stringify(context.variables)}`;
+    context.fake = createGenerator(`${this.seed}:${this.normalizePath(requestPath)} ${seedKey}`);
+
+    const response = await this.getOperationResponse(
+      endpointDirs,
+      document,
+      operation,
+      requestPath,
+      method,
+      context,
+      forceError
+    );
+    return { ...response, body: toGraphqlBody(response.body, response.statusCode) };
+  }
+
+  /**
+   * Resolve an operation the way getMockResponse resolves a route: forced errors,
+   * auth, error scenarios, random errors, then the mock file (or its variants),
+   * then data generated from the schema
+   * @param {Array<string>} endpointDirs - Endpoint directories
+   * @param {object|null} document - Parsed request document
+   * @param {object} operation - The operation to answer
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with variables
+   * @param {number|string} [forceError] - Error to return instead
+   * @returns {Promise<object>} - The mock response
+   */
+  async getOperationResponse(endpointDirs, document, operation, requestPath, method, context, forceError) {
+    const label = `${operation.type || 'operation'} ${operation.name || '(anonymous)'}`;
+    const mockPath = this.findOperationMock(endpointDirs, operation);
+
+    if (forceError) {
+      return this.getErrorResponse(forceError, requestPath, method, context);
+    }
+
+    // `_auth` in the operation file, else the nearest _auth.json
+    const scenario = this.resolveScenario(context.headers);
+    const authError = await this.checkAuth(mockPath, requestPath, method, context, scenario);
+    if (authError) {
+      return authError;
+    }
+
+    // errors/<Operation>_<scenario>.json answers with 200 unless it sets _statusCode
+    if (operation.name) {
+      const { body, query, headers } = context;
+      const specificError = await this.checkForSpecificError(
+        requestPath,
+        operation.name,
+        body,
+        query,
+        headers,
+        context,
+        200
+      );
+      if (specificError) {
+        return specificError;
+      }
+    }
+
+    const randomErrorCode = rollError(this.getChaos(requestPath, method, mockPath));
+    if (randomErrorCode) {
+      return this.getErrorResponse(randomErrorCode, requestPath, method, context);
+    }
+
+    if (mockPath) {
+      const responsePath = this.selectVariant(mockPath, operation.name, context);
+      if (this.isHandler(responsePath)) {
+        return this.runHandler(responsePath, requestPath, method, context);
+      }
+
+      try {
+        let response = this.index.readJson(responsePath);
+        if (response && response._sequence) {
+          response = this.takeSequenceStep(responsePath, response, operation.name, context);
+        }
+
+        const statusCode = response._statusCode || 200;
+        const headers = renderTemplate(response._headers || {}, context);
+        ['_statusCode', '_headers', '_conditions', '_default', '_chaos', '_auth'].forEach((key) => {
+          delete response[key];
+        });
+
+        // Simulate network delay
+        await this.applyDelay(requestPath, method);
+
+        this.logger(`Mock response for ${label} ready from ${this.index.resolveFile(responsePath)}`);
+        return { body: renderTemplate(response, context), statusCode, headers };
+      } catch (error) {
+        this.logger(`Error loading mock response: ${error.message}`);
+        return this.getErrorResponse(500, requestPath, method, context);
+      }
+    }
+
+    let schema;
+    try {
+      schema = this.loadGraphqlSchema(endpointDirs);
+    } catch (error) {
+      this.logger(`Invalid GraphQL schema: ${error.message}`);
+      return this.getErrorResponse(500, requestPath, method, context);
+    }
+
+    if (schema && document) {
+      let data;
+      try {
+        data = mockOperation(schema, document, operation, context.variables, context.fake);
+      } catch (error) {
+        return { statusCode: 400, headers: {}, body: formatError(error, 'GRAPHQL_VALIDATION_FAILED') };
+      }
+
+      // Simulate network delay
+      await this.applyDelay(requestPath, method);
+
+      this.logger(`Mock response for ${label} generated from the schema`);
+      return { body: { data }, statusCode: 200, headers: {} };
+    }
+
+    this.logger(`No mock found for GraphQL ${label}`);
+    const folder = OPERATION_DIRS[operation.type] || OPERATION_DIRS.query;
+    const hint = operation.name ? `add ${folder}/${operation.name}.json or a schema` : 'add a schema';
+    return { statusCode: 404, headers: {}, body: formatError(`No mock for ${label}: ${hint}.`, 'NOT_FOUND') };
+  }
+
+  /**
+   * Resolve the seed data for a collection path. A GET mock is a collection when
+   * its body is an array, or when it has an array named after the last path segment
+   * (e.g. `users` in `users/GET.json`).
+   * @param {string} collectionPath - Normalized collection request path
+   * @param {string|null} [scenario] - Scenario overlay to look for mocks in; defaults to the active scenario
+   * @returns {object|null} - { mockPath, body, arrayKey, items } or null
+   */
+  resolveCollection(collectionPath, scenario = this.scenario) {
+    const mockPath = this.findMock(collectionPath, 'GET', scenario);
+    if (!mockPath) {
+      return null;
+    }
+
+    let body;
+    try {
+      body = this.index.readJson(mockPath);
+    } catch (error) {
+      return null;
+    }
+
+    if (Array.isArray(body)) {
+      return { mockPath, body, arrayKey: null, items: body };
+    }
+
+    // An explicit _collection directive names the array; otherwise use the folder name
+    let name = collectionPath.split('/').filter(Boolean).pop();
+    if (body && body._collection) {
+      name = typeof body._collection === 'string' ? body._collection : body._collection.key;
+    }
+
+    // Generated lists ({ _repeat, _template }) are expanded to seed the store
+    if (name && body && body[name] && body[name]._repeat !== undefined) {
+      body[name] = renderTemplate(body[name], this.buildTemplateContext(collectionPath, 'GET'));
+    }
+    if (name && body && Array.isArray(body[name])) {
+      return { mockPath, body, arrayKey: name, items: body[name] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read status code and headers directives from a mock file
+   * @param {string|null} mockPath - Mock file path
+   * @param {number} defaultStatus - Status code when the file doesn't set one
+   * @param {object} context - Template context for the headers
+   * @returns {object} - { statusCode, headers }
+   */
+  readResponseDirectives(mockPath, defaultStatus, context) {
+    if (!mockPath) {
+      return { statusCode: defaultStatus, headers: {} };
+    }
+
+    try {
+      const data = this.index.readJson(mockPath);
+      return {
+        statusCode: data._statusCode || defaultStatus,
+        headers: renderTemplate(data._headers || {}, context),
+      };
+    } catch (error) {
+      return { statusCode: defaultStatus, headers: {} };
+    }
+  }
+
+  /**
+   * Match a request against the stateful collections
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {string|null} [scenario] - Scenario overlay to look for mocks in; defaults to the active scenario
+   * @returns {object|null} - { type: 'collection'|'item', collectionPath, collection, id } or null
+   */
+  matchStatefulRoute(requestPath, method, scenario = this.scenario) {
+    const normalizedPath = this.normalizePath(requestPath);
+
+    // Collection routes: GET lists items, POST creates one
+    if (method === 'GET' || method === 'POST') {
+      const collection = this.resolveCollection(normalizedPath, scenario);
+      if (collection) {
+        return { type: 'collection', collectionPath: normalizedPath, collection, id: null };
+      }
+    }
+
+    if (!['GET', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+      return null;
+    }
+
+    // Item routes: the last segment is the id within the parent collection
+    const segments = normalizedPath.split('/').filter(Boolean);
+    if (segments.length < 2) {
+      return null;
+    }
+
+    // Static routes such as /products/search shadow the item route
+    const routeMock = this.findMock(normalizedPath, method, scenario) || this.findMock(normalizedPath, 'GET', scenario);
+    if (routeMock && !path.basename(path.dirname(routeMock)).startsWith('[')) {
+      return null;
+    }
+
+    const id = segments.pop();
+    const collectionPath = '/' + segments.join('/');
+    const collection = this.resolveCollection(collectionPath, scenario);
+    if (!collection) {
+      return null;
+    }
+
+    return { type: 'item', collectionPath, collection, id };
+  }
+
+  /**
+   * Handle a request against the in-memory store
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} requestBody - The request body
+   * @param {object} context - Template context
+   * @returns {Promise<object|null>} - Response, or null if the path isn't a stateful resource
+   */
+  async handleStatefulRequest(requestPath, method, requestBody, context) {
+    const scenario = this.resolveScenario(context.headers);
+    const route = this.matchStatefulRoute(requestPath, method, scenario);
+    if (!route) {
+      return null;
+    }
+
+    const normalizedPath = this.normalizePath(requestPath);
+    const body = requestBody && typeof requestBody === 'object' ? requestBody : {};
+    const { collectionPath, collection } = route;
+    let response;
+
+    // A collection seeded from a scenario overlay keeps its own data, apart from the base tree's
+    const fromScenario = scenario && collection.mockPath.startsWith(this.index.getScenarioDir(scenario) + path.sep);
+    const storeKey = fromScenario ? `${scenario}:${collectionPath}` : collectionPath;
+    this.store.seed(storeKey, collection.items);
+
+    if (route.type === 'collection' && method === 'GET') {
+      const items = this.store.list(storeKey);
+      let responseBody = items;
+
+      let pagingHeaders = {};
+
+      if (collection.arrayKey) {
+        const envelope = { ...collection.body };
+        const directive = envelope._collection;
+        delete envelope._statusCode;
+        delete envelope._headers;
+        delete envelope._collection;
+        delete envelope._chaos;
+        responseBody = { ...renderTemplate(envelope, context), [collection.arrayKey]: items };
+
+        if (directive) {
+          const queried = applyCollection(responseBody, directive, context, items);
+          responseBody = queried.body;
+          pagingHeaders = queried.headers;
+        } else if (typeof responseBody.total === 'number') {
+          responseBody.total = items.length;
+        }
+      }
+
+      const directives = this.readResponseDirectives(collection.mockPath, 200, context);
+      response = { body: responseBody, ...directives, headers: { ...pagingHeaders, ...directives.headers } };
+    } else if (route.type === 'collection') {
+      const item = this.store.create(storeKey, body);
+      const itemContext = { ...context, body: item };
+      const directives = this.readResponseDirectives(this.findMock(normalizedPath, 'POST', scenario), 201, itemContext);
+      response = { body: item, ...directives };
+    } else {
+      let item;
+      if (method === 'GET') {
+        item = this.store.get(storeKey, route.id);
+      } else if (method === 'DELETE') {
+        item = this.store.remove(storeKey, route.id);
+      } else {
+        item = this.store.update(storeKey, route.id, body, method === 'PATCH');
+      }
+
+      if (!item) {
+        return this.getErrorResponse(404, requestPath, method, context);
+      }
+
+      const itemContext = { ...context, body: item };
+      const defaultStatus = method === 'DELETE' ? 204 : 200;
+      const itemMock = this.findMock(normalizedPath, method, scenario);
+      const directives = this.readResponseDirectives(itemMock, defaultStatus, itemContext);
+      response = { body: directives.statusCode === 204 ? {} : item, ...directives };
+    }
+
+    await this.applyDelay(requestPath, method);
+
+    this.logger(`Stateful response for ${method} ${requestPath} served from memory`);
+    return response;
+  }
+
+  /**
+   * Reset all stateful collections back to their seed data, along with the handlers' shared state
+   */
+  resetState() {
+    this.store.reset();
+    this.handlerState = {};
+    this.logger('Stateful mock data reset');
+  }
+
+  /**
+   * Queue an error for the next request(s), optionally only for matching paths
+   * @param {number|string} code - HTTP error code or name (e.g. 404, unauthorized)
+   * @param {object} options - { path, method, count }; path matches any request path containing it
+   * @returns {object} - The queued error
+   */
+  forceError(code, options = {}) {
+    if (code === undefined || code === null || String(code).trim() === '') {
+      throw new Error('Error code required');
+    }
+
+    const count = options.count === undefined || options.count === null ? 1 : Number(options.count);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Count must be a positive integer');
+    }
+
+    const forced = {
+      code: String(code),
+      path: options.path || null,
+      method: options.method ? String(options.method).toUpperCase() : null,
+      remaining: count,
+    };
+    this.forcedErrors.push(forced);
+    return forced;
+  }
+
+  /**
+   * Take the first queued error that applies to a request
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @returns {string|null} - Error code to force, or null
+   */
+  takeForcedError(requestPath, method) {
+    const index = this.forcedErrors.findIndex(
+      (forced) => (!forced.path || requestPath.includes(forced.path)) && (!forced.method || forced.method === method)
+    );
+    if (index === -1) {
+      return null;
+    }
+
+    const forced = this.forcedErrors[index];
+    forced.remaining -= 1;
+    if (forced.remaining === 0) {
+      this.forcedErrors.splice(index, 1);
+    }
+    return forced.code;
+  }
+
+  /**
+   * Drop all queued errors
+   */
+  clearForcedErrors() {
+    this.forcedErrors = [];
+  }
+
+  /**
+   * Set the response delay
+   * @param {number|string} delay - Delay in milliseconds
+   * @returns {number} - The new delay
+   */
+  setDelay(delay) {
+    const value = Number(delay);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error('Delay must be a non-negative number of milliseconds');
+    }
+
+    this.delay = value;
+    return value;
+  }
+
+  /**
+   * Serve a named variant for a route until cleared. Request selectors
+   * (x-mock-variant / _variant) still take precedence.
+   * @param {string} method - The HTTP method
+   * @param {string} routePath - A request path (/users/1) or route path (/users/[id])
+   * @param {string|null} variant - Variant name, or null to go back to the default
+   * @returns {object} - { method, path, variant }
+   */
+  setVariant(method, routePath, variant) {
+    const upperMethod = String(method || 'GET').toUpperCase();
+    const mockPath = routePath ? this.findMock(routePath, upperMethod) : null;
+    if (!mockPath) {
+      throw new Error(`No mock found for ${upperMethod} ${routePath}`);
+    }
+
+    const override = { method: upperMethod, path: this.normalizePath(routePath), variant: variant || null };
+    if (!variant) {
+      this.variantOverrides.delete(mockPath);
+      return override;
+    }
+
+    const names = this.getVariants(mockPath, upperMethod).map((item) => item.name);
+    if (!names.includes(variant)) {
+      throw new Error(
+        `Unknown variant "${variant}" for ${upperMethod} ${routePath}` +
+          (names.length > 0 ? ` (available: ${names.join(', ')})` : '')
+      );
+    }
+
+    this.variantOverrides.set(mockPath, override);
+    return override;
+  }
+
+  /**
+   * Go back to the default variant for every route
+   */
+  clearVariants() {
+    this.variantOverrides.clear();
+  }
+
+  /**
+   * Answer a route with a given response instead of its mock files, e.g. from a test.
+   * Newer overrides win over older ones for the same request.
+   * @param {string} method - The HTTP method
+   * @param {string} route - Request path or route with params, e.g. /users/[id]
+   * @param {object|Function} response - { statusCode, headers, body }, where the body may use {{...}} templates,
+   *                                      or a function of the template context returning one (may be async)
+   * @param {object} [options] - { times } to answer only the next n matching requests
+   * @returns {object} - { id, method, route, remaining }; pass the id to removeOverride()
+   */
+  addOverride(method, route, response, options = {}) {
+    if (!route) {
+      throw new Error('Route required for an override');
+    }
+    if (typeof response !== 'function' && (!response || typeof response !== 'object')) {
+      throw new Error('Override response must be { statusCode, headers, body } or a function');
+    }
+
+    const times = options.times === undefined || options.times === null ? null : Number(options.times);
+    if (times !== null && (!Number.isInteger(times) || times < 1)) {
+      throw new Error('times must be a positive integer');
+    }
+
+    const override = {
+      id: this.nextOverrideId++,
+      method: String(method || 'GET').toUpperCase(),
+      route: this.normalizePath(route),
+      remaining: times,
+    };
+    this.overrides.unshift({ ...override, response });
+    return override;
+  }
+
+  /**
+   * Remove one override
+   * @param {number} id - Id returned by addOverride()
+   * @returns {boolean} - False if there was no such override
+   */
+  removeOverride(id) {
+    const count = this.overrides.length;
+    this.overrides = this.overrides.filter((override) => override.id !== Number(id));
+    return this.overrides.length < count;
+  }
+
+  /**
+   * Remove all overrides
+   */
+  clearOverrides() {
+    this.overrides = [];
+  }
+
+  /**
+   * Take the override that answers a request, counting it against its `times`
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @returns {object|null} - { override, params }, or null if no override applies
+   */
+  takeOverride(requestPath, method) {
+    const requestParts = this.normalizePath(requestPath).split('/').filter(Boolean);
+
+    for (const override of this.overrides) {
+      const routeParts = override.route.split('/').filter(Boolean);
+      const params = override.method === method ? matchRoute(routeParts, requestParts) : null;
+      if (!params) {
+        continue;
+      }
+
+      if (override.remaining !== null) {
+        override.remaining -= 1;
+        if (override.remaining === 0) {
+          this.removeOverride(override.id);
+        }
+      }
+      return { override, params };
+    }
+    return null;
+  }
+
+  /**
+   * Build the response for an override
+   * @param {object} taken - { override, params } from takeOverride()
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} body - Request body
+   * @param {object} query - Query parameters
+   * @param {object} headers - Request headers
+   * @returns {Promise<object>} - { statusCode, headers, body }
+   */
+  async runOverride(taken, requestPath, method, body, query, headers) {
+    const { override, params } = taken;
+    const context = this.buildTemplateContext(requestPath, method, params, body, query, headers);
+
+    let result;
+    try {
+      result =
+        typeof override.response === 'function'
+          ? await override.response({ ...context, state: this.handlerState })
+          : renderTemplate(override.response, context);
+      if (!result || typeof result !== 'object') {
+        throw new Error('Override must return { statusCode, headers, body }');
+      }
+    } catch (error) {
+      this.logger(`Error in override for ${override.method} ${override.route}: ${error.message}`);
+      return this.getErrorResponse(500, requestPath, method, context);
+    }
+
+    await this.applyDelay(requestPath, method);
+
+    this.logger(`Override response for ${method} ${requestPath} (${override.method} ${override.route})`);
+    return {
+      body: result.body === undefined ? {} : result.body,
+      statusCode: result.statusCode || 200,
+      headers: result.headers || {},
+    };
+  }
+
+  /**
+   * Get the file that holds a mock's directives
+   * @param {string|null} mockPath - The resolved mock path
+   * @param {string} method - The HTTP method
+   * @returns {string|null} - JSON file path, or null for handlers (which have no directives)
+   */
+  getDirectivesPath(mockPath, method) {
+    if (!mockPath || this.isHandler(mockPath)) {
+      return null;
+    }
+
+    // Body files keep their directives in METHOD.meta.json, sequence directories in _sequence.json
+    if (isBodyFile(path.basename(mockPath))) {
+      return path.join(path.dirname(mockPath), `${method}.meta.json`);
     }
-
-    // For backwards compatibility - index.json is equivalent to GET.json
-    if (method === 'GET' && fs.existsSync(path.join(exactPath, 'index.json'))) {
-      return path.join(exactPath, 'index.json');
+    if (this.isSequenceDir(mockPath)) {
+      return path.join(mockPath, SEQUENCE_OPTIONS_FILE);
     }
-
-    // If no exact match, try to match with path parameters
-    return this.findMockWithParams(normalizedPath, method);
+    return mockPath;
   }
 
   /**
-   * Find a mock file with path parameters
-   * @param {string} requestPath - The incoming request path
+   * Get the chaos settings for a request: global settings, then the route's settings
+   * from the config file, then the mock file's `_chaos` directive, then runtime overrides for the route
+   * @param {string} requestPath - The request path
    * @param {string} method - The HTTP method
-   * @returns {string|null} - The mock file path if found, null otherwise
+   * @param {string|null} [mockPath] - The resolved mock file, if already known
+   * @returns {object} - Chaos config
    */
-  findMockWithParams(requestPath, method) {
-    // Get all possible mock paths by walking the directory
-    const mockPaths = this.getAllMockPaths();
-
-    // Try to match against each possible path
-    for (const mockPath of mockPaths) {
-      // Skip if the file doesn't match the method
-      const filename = path.basename(mockPath);
-
-      // Check if this is a method-specific file
-      if (
-        filename !== `${method}.json` &&
-        filename !== 'index.json' &&
-        filename !== path.basename(requestPath) + '.json'
-      ) {
-        continue;
-      }
-
-      // Convert to a relative path for matching
-      const relPath = path.relative(this.mockDirectory, mockPath);
-      const dirPath = path.dirname(relPath);
-      const mockDirPath = dirPath === '.' ? '/' : '/' + dirPath.replace(/\\/g, '/');
-
-      // Check if this is a potential match based on path segments
-      const params = this.parsePathParams(requestPath, mockDirPath);
+  getChaos(requestPath, method, mockPath = this.findMock(requestPath, method)) {
+    let fileChaos = {};
 
-      if (params !== null) {
-        return mockPath;
+    const directivesPath = this.getDirectivesPath(mockPath, method);
+    if (directivesPath) {
+      try {
+        const data = this.index.exists(directivesPath) ? this.index.readJson(directivesPath) : null;
+        if (data && data._chaos) {
+          fileChaos = normalizeChaos(data._chaos);
+        }
+      } catch (error) {
+        this.logger(`Invalid _chaos in ${directivesPath}: ${error.message}`);
       }
     }
 
-    return null;
+    const override = mockPath ? this.chaosOverrides.get(mockPath) : null;
+    const routeChaos = this.getRouteSettings(requestPath, method).chaos;
+    return { ...this.chaos, ...routeChaos, ...fileChaos, ...(override ? override.chaos : {}) };
   }
 
   /**
-   * Get all possible mock paths in the mocks directory
-   * @returns {string[]} - Array of mock file paths
+   * Change chaos settings at runtime, globally or for one route
+   * @param {object} config - Chaos settings to merge in (see lib/chaos.js)
+   * @param {object} [target] - { method, path } to limit the settings to one route
+   * @returns {object} - The resulting global settings, or { method, path, chaos } for a route
    */
-  getAllMockPaths() {
-    const results = [];
-
-    function walkDir(currentPath) {
-      if (!fs.existsSync(currentPath)) {
-        return;
-      }
+  setChaos(config, target = {}) {
+    const chaos = normalizeChaos(config);
 
-      const files = fs.readdirSync(currentPath, { withFileTypes: true });
-
-      files.forEach((file) => {
-        const filePath = path.join(currentPath, file.name);
+    if (!target.path) {
+      this.chaos = { ...this.chaos, ...chaos };
+      return this.chaos;
+    }
 
-        if (file.isDirectory()) {
-          // Skip _errors directory
-          if (file.name !== '_errors' && file.name !== 'errors') {
-            walkDir(filePath);
-          }
-        } else if (file.name.endsWith('.json')) {
-          results.push(filePath);
-        }
-      });
+    const method = String(target.method || 'GET').toUpperCase();
+    const mockPath = this.findMock(target.path, method);
+    if (!mockPath) {
+      throw new Error(`No mock found for ${method} ${target.path}`);
     }
 
-    walkDir(this.mockDirectory);
-    return results;
+    const existing = this.chaosOverrides.get(mockPath);
+    const override = {
+      method,
+      path: this.normalizePath(target.path),
+      chaos: { ...(existing ? existing.chaos : {}), ...chaos },
+    };
+    this.chaosOverrides.set(mockPath, override);
+    return override;
   }
 
   /**
-   * Get mock response for a given path and method
-   * @param {string} requestPath - The API path to match
-   * @param {string} method - The HTTP method (GET, POST, etc.)
-   * @param {object} requestBody - The request body for POST/PUT requests
-   * @param {object} query - The query parameters
-   * @param {object} headers - The request headers
-   * @returns {Promise<object>} - The mock response
+   * Turn off all chaos settings, including those given at startup and per route
    */
-  async getMockResponse(requestPath, method = 'GET', requestBody = null, query = {}, headers = {}, forceError) {
-    // Check for error query parameter for explicit error testing
-    if (forceError) {
-      return this.getErrorResponse(forceError, requestPath, method);
-    }
+  clearChaos() {
+    this.chaos = {};
+    this.chaosOverrides.clear();
+    this.routeSettings = this.routeSettings.map((route) => ({ ...route, chaos: {} }));
+  }
 
-    // Check for specific error scenarios in request
-    const specificError = await this.checkForSpecificError(requestPath, method, requestBody, query, headers);
-    if (specificError) {
-      return specificError;
+  /**
+   * List the scenario overlays in _scenarios/
+   * @returns {string[]} - Scenario names
+   */
+  listScenarios() {
+    return this.index.listScenarios();
+  }
+
+  /**
+   * Switch every request to a scenario overlay. Requests can still pick their own
+   * with the x-mock-scenario header or mock-scenario cookie.
+   * @param {string|null} scenario - Scenario name, or null to serve the base tree
+   * @returns {string|null} - The active scenario
+   */
+  setScenario(scenario) {
+    if (!scenario) {
+      this.scenario = null;
+      return null;
     }
 
-    // Randomly generate errors based on errorRate
-    if (this.errorRate > 0 && Math.random() < this.errorRate) {
-      const errorCodes = [400, 401, 403, 404, 500];
-      const randomErrorCode = errorCodes[Math.floor(Math.random() * errorCodes.length)];
-      return this.getErrorResponse(randomErrorCode, requestPath, method);
+    const scenarios = this.listScenarios();
+    if (!scenarios.includes(scenario)) {
+      throw new Error(
+        `Unknown scenario "${scenario}"` +
+          (scenarios.length > 0 ? ` (available: ${scenarios.join(', ')})` : '; add one under _scenarios/')
+      );
     }
 
-    const mockPath = this.findMock(requestPath, method);
+    this.scenario = scenario;
+    return scenario;
+  }
 
-    if (!mockPath) {
-      // No mock found - return 404 error
-      return this.getErrorResponse(404, requestPath, method);
+  /**
+   * Get the scenario a request asked for with the x-mock-scenario header or
+   * mock-scenario cookie
+   * @param {object} headers - Request headers
+   * @returns {string|null} - Requested scenario name, or null
+   */
+  getRequestedScenario(headers = {}) {
+    if (headers[SCENARIO_HEADER]) {
+      return headers[SCENARIO_HEADER];
     }
 
-    try {
-      // Read the JSON file
-      const fileContent = fs.readFileSync(mockPath, 'utf8');
-      let response = JSON.parse(fileContent);
-
-      // Extract special directives
-      const statusCode = response._statusCode || 200;
-      const headers = response._headers || {};
+    return readCookie(headers, SCENARIO_COOKIE);
+  }
 
-      // Remove special directives from response
-      delete response._statusCode;
-      delete response._headers;
+  /**
+   * Get the scenario to serve a request from: the one it asked for, if it exists, else the active scenario
+   * @param {object} headers - Request headers
+   * @returns {string|null} - Scenario name, or null for the base tree
+   */
+  resolveScenario(headers = {}) {
+    const requested = this.getRequestedScenario(headers || {});
+    return requested && this.listScenarios().includes(requested) ? requested : this.scenario;
+  }
 
-      // Process requestBody if POST/PUT with _echo or _merge directives
-      if (requestBody && (method === 'POST' || method === 'PUT')) {
-        if (response._echo === true) {
-          // Return the request body as the response
-          delete response._echo;
-          response = { ...response, ...requestBody };
-        } else if (response._merge === true) {
-          // Merge request body with the mock response
-          delete response._merge;
-          response = { ...response, ...requestBody };
-        }
-      }
+  /**
+   * Get the current runtime overrides
+   * @returns {object} - { scenario, delay, errors, variants, overrides, chaos, chaosRoutes, sequences, connections,
+   *                      stateful }
+   */
+  getControlState() {
+    return {
+      scenario: this.scenario,
+      delay: this.delay,
+      errors: this.forcedErrors.map((forced) => ({ ...forced })),
+      variants: [...this.variantOverrides.values()],
+      overrides: this.overrides.map(({ response, ...override }) => override),
+      chaos: { ...this.chaos },
+      chaosRoutes: [...this.chaosOverrides.values()],
+      sequences: [...this.sequences.values()].map(({ sequencePath, ...entry }) => entry),
+      connections: this.listConnections(),
+      stateful: this.stateful,
+    };
+  }
 
-      // Simulate network delay
-      if (this.delay > 0) {
-        await new Promise((resolve) => setTimeout(resolve, this.delay));
-      }
+  /**
+   * Undo every runtime override: stateful data, queued errors, variants, overrides, sequences, delay, chaos and
+   * scenario.
+   * The request journal is cleared too, so each test starts from an empty one.
+   */
+  reset() {
+    this.journal.clear();
+    this.scenario = this.initialScenario;
+    this.resetState();
+    this.clearForcedErrors();
+    this.clearVariants();
+    this.clearOverrides();
+    this.resetSequences();
+    this.delay = this.initialDelay;
+    this.chaos = { ...this.initialChaos };
+    this.chaosOverrides.clear();
+    this.routeSettings = this.initialRouteSettings;
+  }
 
-      this.logger(`Mock response for ${method} ${requestPath} ready from ${mockPath}`);
-      return {
-        body: response,
-        statusCode: statusCode,
-        headers: headers,
-      };
+  /**
+   * Validate a request against METHOD.schema.json or the OpenAPI spec
+   * @param {string|null} mockPath - The resolved mock file path
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {object} context - Template context with body, query, params and headers
+   * @returns {Promise<object|null>} - Error response listing the validation errors, or null if valid
+   */
+  async validateRequest(mockPath, requestPath, method, context) {
+    let validators;
+    try {
+      validators = this.validator.getValidators(mockPath, this.normalizePath(requestPath), method);
     } catch (error) {
-      this.logger(`Error loading mock response: ${error.message}`);
-      return this.getErrorResponse(500, requestPath, method);
+      this.logger(`Invalid request schema for ${method} ${requestPath}: ${error.message}`);
+      return null;
+    }
+
+    if (!validators) {
+      return null;
     }
+
+    const errors = this.validator.validate(validators, context);
+    if (errors.length === 0) {
+      return null;
+    }
+
+    this.logger(`Request validation failed for ${method} ${requestPath} (${errors.length} errors)`);
+    const response = await this.getErrorResponse(validators.statusCode, requestPath, method, context);
+    return {
+      ...response,
+      body: { ...response.body, errors },
+    };
   }
 
   /**
@@ -241,54 +2333,42 @@ class ApiMocker {
    * @param {object} body - Request body
    * @param {object} query - Query parameters
    * @param {object} headers - Request headers
+   * @param {object} context - Template context
+   * @param {number} [defaultStatus] - Status for error files without `_statusCode`
    * @returns {object|null} - Error response or null
    */
-  async checkForSpecificError(requestPath, method, body, query, headers) {
-    // Find path to potential errors directory
-    const trimmedPath = requestPath.endsWith('/') ? requestPath.slice(0, -1) : requestPath;
-
-    const normalizedPath = trimmedPath.startsWith('/') ? trimmedPath : '/' + trimmedPath;
-
-    const pathParts = normalizedPath.split('/').filter(Boolean);
-
-    // Handle paths with dynamic segments
-    let errorDir = path.join(this.mockDirectory);
-    for (const part of pathParts) {
-      // For folders with dynamic parameters
-      const files = fs.existsSync(errorDir) ? fs.readdirSync(errorDir) : [];
-      const dynamicFolder = files.find((f) => f.startsWith('[') && f.endsWith(']'));
-
-      if (dynamicFolder) {
-        errorDir = path.join(errorDir, dynamicFolder);
-      } else {
-        errorDir = path.join(errorDir, part);
-      }
-    }
-
-    // Check for errors directory
-    const errorsDir = path.join(errorDir, 'errors');
-    if (!fs.existsSync(errorsDir)) {
-      return null;
-    }
-
-    // Look for error files matching this method
-    const errorFiles = fs.readdirSync(errorsDir).filter((f) => f.startsWith(`${method}_`) && f.endsWith('.json'));
+  async checkForSpecificError(requestPath, method, body, query, headers, context, defaultStatus = 400) {
+    // Find the route directory using the same precedence as mock lookup,
+    // so /products/search doesn't pick up errors from /products/[id]
+    const normalizedPath = this.normalizePath(requestPath);
+    const activeScenario = this.resolveScenario(headers);
+    const errorDirs = [this.findRouteDir(normalizedPath, activeScenario), this.findRouteDir(normalizedPath)];
+
+    // Look for error files matching this method; a scenario's errors/ files shadow base files of the same name
+    const errorFiles = new Map();
+    [...new Set(errorDirs.filter(Boolean))].forEach((errorDir) => {
+      const errorsDir = path.join(errorDir, 'errors');
+      this.index
+        .listFiles(errorsDir)
+        .filter((f) => f.startsWith(`${method}_`) && f.endsWith('.json') && !errorFiles.has(f))
+        .forEach((f) => errorFiles.set(f, path.join(errorsDir, f)));
+    });
 
     // For each potential error file, check if it applies to this request
-    for (const errorFile of errorFiles) {
+    for (const [errorFile, errorPath] of errorFiles) {
       // Extract the error scenario from the filename
       // e.g., POST_existing_email.json => existing_email
       const scenario = errorFile.substring(method.length + 1, errorFile.length - 5);
 
       // Read the error file
-      const errorPath = path.join(errorsDir, errorFile);
-      const errorContent = fs.readFileSync(errorPath, 'utf8');
-      const errorData = JSON.parse(errorContent);
+      const errorData = this.index.readJson(errorPath);
 
       // Check if this error applies based on its conditions
-      if (this.errorApplies(errorData, scenario, body, query, headers)) {
+      const params = context ? context.params : {};
+      const variables = context ? context.variables : undefined;
+      if (this.errorApplies(errorData, scenario, body, query, headers, params, variables)) {
         // This error applies to the current request
-        const statusCode = errorData._statusCode || 400;
+        const statusCode = errorData._statusCode || defaultStatus;
         const responseHeaders = errorData._headers || {};
 
         // Remove special directives
@@ -296,10 +2376,12 @@ class ApiMocker {
         delete errorData._headers;
         delete errorData._conditions;
 
+        const templateContext = context || this.buildTemplateContext(requestPath, method, {}, body, query, headers);
+
         return {
-          body: errorData,
+          body: renderTemplate(errorData, templateContext),
+          headers: renderTemplate(responseHeaders, templateContext),
           statusCode: statusCode,
-          headers: responseHeaders,
         };
       }
     }
@@ -314,12 +2396,14 @@ class ApiMocker {
    * @param {object} body - Request body
    * @param {object} query - Query parameters
    * @param {object} headers - Request headers
+   * @param {object} params - Path parameters
+   * @param {object} [variables] - GraphQL variables
    * @returns {boolean} - True if the error applies
    */
-  errorApplies(errorData, scenario, body, query, headers) {
+  errorApplies(errorData, scenario, body, query, headers, params, variables) {
     // If there are explicit conditions defined in the error file
     if (errorData._conditions) {
-      return this.evaluateConditions(errorData._conditions, body, query, headers);
+      return this.evaluateConditions(errorData._conditions, body, query, headers, params, variables);
     }
 
     // Otherwise, use common scenarios based on filename
@@ -330,11 +2414,21 @@ class ApiMocker {
       case 'invalid_input':
         return body && (body.name === '' || body.email === '' || (body.password && body.password.length < 6));
 
-      case 'unauthorized':
-        return !headers.authorization || !headers.authorization.startsWith('Bearer ');
+      // Any Bearer token passes, as it did before tokens were verified; Basic auth, API keys and
+      // sessions are checked against real credentials (see lib/auth.js). Use _auth.json to require a valid token.
+      case 'unauthorized': {
+        const credentials = this.authenticateRequest(headers, query);
+        if (credentials && credentials.type === 'bearer') {
+          return false;
+        }
+        return !credentials || Boolean(credentials.error);
+      }
 
-      case 'forbidden':
-        return headers.role === 'guest';
+      case 'forbidden': {
+        const credentials = this.authenticateRequest(headers, query);
+        const role = credentials && credentials.claims ? credentials.claims.role : headers.role;
+        return role === 'guest';
+      }
 
       // Add more common scenarios as needed
 
@@ -345,50 +2439,22 @@ class ApiMocker {
   }
 
   /**
-   * Evaluate conditions against request data
+   * Evaluate conditions against request data (see lib/conditions.js for the syntax)
    * @param {Array<object>} conditions - Conditions to evaluate
    * @param {object} body - Request body
    * @param {object} query - Query parameters
    * @param {object} headers - Request headers
+   * @param {object} params - Path parameters
+   * @param {object} [variables] - GraphQL variables
    * @returns {boolean} - True if any condition matches
    */
-  evaluateConditions(conditions, body, query, headers) {
-    for (const condition of conditions) {
-      let matches = true;
-
-      if (condition.body && body) {
-        for (const [key, value] of Object.entries(condition.body)) {
-          if (body[key] !== value) {
-            matches = false;
-            break;
-          }
-        }
-      }
-
-      if (matches && condition.query && query) {
-        for (const [key, value] of Object.entries(condition.query)) {
-          if (query[key] !== value) {
-            matches = false;
-            break;
-          }
-        }
-      }
-
-      if (matches && condition.headers && headers) {
-        for (const [key, value] of Object.entries(condition.headers)) {
-          if (headers[key] !== value) {
-            matches = false;
-            break;
-          }
-        }
-      }
-
-      if (matches) {
-        return true;
-      }
+  evaluateConditions(conditions, body, query, headers, params, variables) {
+    try {
+      return matchConditions(conditions, { body, query, headers, params, variables });
+    } catch (error) {
+      this.logger(`Invalid _conditions: ${error.message}`);
+      return false;
     }
-
-    return false;
   }
 
   /**
@@ -396,9 +2462,10 @@ class ApiMocker {
    * @param {number|string} errorCode - HTTP error code or name
    * @param {string} requestPath - Original request path
    * @param {string} method - HTTP method
+   * @param {object} context - Template context for {{...}} tokens
    * @returns {object} - Error response
    */
-  async getErrorResponse(errorCode, requestPath, method) {
+  async getErrorResponse(errorCode, requestPath, method, context) {
     // Convert named errors to codes
     const errorMap = {
       badrequest: 400,
@@ -414,32 +2481,37 @@ class ApiMocker {
       statusCode = errorMap[errorCode.toLowerCase()] || 500;
     }
 
-    console.log(`STATUS Code: ${statusCode} ${errorCode}, ${requestPath}, ${method}`);
+    this.logger(`STATUS Code: ${statusCode} ${errorCode}, ${requestPath}, ${method}`);
 
-    // Look for a specific error file
-    const errorFilePath = path.join(this.errorDirectory, `${statusCode}.json`);
+    // Look for a specific error file, preferring the active scenario's _errors/
+    const scenario = this.resolveScenario(context ? context.headers : {});
+    const errorFilePath = [
+      scenario && path.join(this.index.getScenarioDir(scenario), '_errors', `${statusCode}.json`),
+      path.join(this.errorDirectory, `${statusCode}.json`),
+    ].find((candidate) => candidate && this.index.exists(candidate));
 
-    if (fs.existsSync(errorFilePath)) {
+    if (errorFilePath) {
       try {
-        const fileContent = fs.readFileSync(errorFilePath, 'utf8');
-        const errorTemplate = JSON.parse(fileContent);
+        const errorTemplate = this.index.readJson(errorFilePath);
 
-        // Allow for customization with request details
-        let errorBody = JSON.parse(
-          JSON.stringify(errorTemplate)
+        const templateContext = context || this.buildTemplateContext(requestPath, method);
+        const errorHeaders = renderTemplate(errorTemplate._headers || {}, templateContext);
+        delete errorTemplate._headers;
+
+        // Allow for customization with request details, keeping the legacy {path}/{method} tokens
+        const errorBody = JSON.parse(
+          JSON.stringify(renderTemplate(errorTemplate, templateContext))
             .replace(/\{path\}/g, requestPath)
             .replace(/\{method\}/g, method)
         );
 
         // Simulate network delay
-        if (this.delay > 0) {
-          await new Promise((resolve) => setTimeout(resolve, this.delay));
-        }
+        await this.applyDelay(requestPath, method);
 
         return {
           body: errorBody,
           statusCode: statusCode,
-          headers: errorTemplate._headers || {},
+          headers: errorHeaders,
         };
       } catch (error) {
         // Fallback to default error
@@ -453,8 +2525,10 @@ class ApiMocker {
       403: { error: 'Forbidden', message: 'You do not have permission to access this resource.' },
       404: { error: 'Not Found', message: `Resource at ${method} ${requestPath} was not found.` },
       409: { error: 'Conflict', message: 'The request conflicts with the current state of the server.' },
+      422: { error: 'Unprocessable Entity', message: 'The request failed validation.' },
       429: { error: 'Too Many Requests', message: 'Rate limit exceeded. Please try again later.' },
       500: { error: 'Internal Server Error', message: 'An unexpected error occurred while processing the request.' },
+      502: { error: 'Bad Gateway', message: 'The upstream server could not be reached.' },
       503: { error: 'Service Unavailable', message: 'The service is currently unavailable. Please try again later.' },
     };
 
@@ -471,35 +2545,71 @@ class ApiMocker {
    */
   listRoutes() {
     const routes = [];
-    const methodRegex = /^(GET|POST|PUT|DELETE|PATCH|OPTIONS|HEAD)\.json$/;
+    const methodRegex = /^(GET|POST|PUT|DELETE|PATCH|OPTIONS|HEAD)\.(\w+)$/;
+    const index = this.index;
+    const graphqlOperations = (dirPath) => (this.isGraphqlDir(dirPath) ? this.listGraphqlOperations(dirPath) : null);
 
     function walkDir(currentPath, basePath = '') {
-      if (!fs.existsSync(currentPath)) {
+      if (!index.exists(currentPath)) {
         return;
       }
 
-      const files = fs.readdirSync(currentPath, { withFileTypes: true });
+      const files = index.readdir(currentPath);
 
-      // First, identify if this directory has method files
+      // First, identify if this directory has method files or sequence directories (GET/)
       const methodFiles = files.filter((file) => !file.isDirectory() && methodRegex.test(file.name));
+      const sequenceDirs = files.filter((file) => file.isDirectory() && methodRegex.test(file.name + '.json'));
+
+      // If we have method files, add them as routes (GET.js, GET.json, GET/ and GET.csv are one route)
+      if (methodFiles.length > 0 || sequenceDirs.length > 0) {
+        const methods = [...new Set([...methodFiles, ...sequenceDirs].map((file) => file.name.split('.')[0]))];
+        methods.forEach((method) => {
+          // The format that findMock serves: handler, then JSON, then a sequence, then a body file
+          const extensions = methodFiles
+            .filter((file) => file.name.startsWith(`${method}.`))
+            .map((file) => file.name.split('.')[1]);
+          if (sequenceDirs.some((dir) => dir.name === method)) {
+            extensions.push('sequence');
+          }
+          const format =
+            ['js', 'json', 'sequence'].find((extension) => extensions.includes(extension)) || extensions[0];
+
+          const variantRegex = new RegExp(`^${method}\\.([\\w-]+)\\.json$`);
+          const variants = files
+            .map((variantFile) => !variantFile.isDirectory() && variantFile.name.match(variantRegex))
+            .filter((match) => match && !RESERVED_VARIANT_NAMES.includes(match[1]))
+            .map((match) => match[1]);
 
-      // If we have method files, add them as routes
-      if (methodFiles.length > 0) {
-        methodFiles.forEach((file) => {
-          const method = file.name.split('.')[0];
           routes.push({
             method,
             path: basePath,
+            format,
+            variants,
           });
         });
       }
 
+      // WebSocket (WS.json) and Server-Sent Events (SSE.json) endpoints
+      Object.entries(REALTIME_TYPES).forEach(([type, format]) => {
+        if (files.some((file) => !file.isDirectory() && file.name === `${type}.json`)) {
+          routes.push({ method: type, path: basePath, format, variants: [] });
+        }
+      });
+
+      // GraphQL endpoints, with the operations that have mock files
+      const operations = graphqlOperations(currentPath);
+      if (operations && !routes.some((route) => route.method === 'POST' && route.path === basePath)) {
+        routes.push({ method: 'POST', path: basePath, format: 'graphql', variants: [], operations });
+      }
+
       // Check for index.json (implicit GET)
       const hasIndex = files.some((file) => !file.isDirectory() && file.name === 'index.json');
       if (hasIndex) {
         routes.push({
           method: 'GET',
           path: basePath,
+          format: 'json',
+          variants: [],
         });
       }
 
@@ -507,6 +2617,10 @@ class ApiMocker {
       files.forEach((file) => {
         if (file.isDirectory() && file.name !== 'errors' && file.name !== '_errors') {
           const dirName = file.name;
+          // Scenario overlays are not routes of their own
+          if (path.resolve(currentPath, dirName) === index.getScenarioDir()) {
+            return;
+          }
           // Skip if the directory is a method name
           if (!methodRegex.test(dirName + '.json')) {
             const newBasePath = basePath + '/' + dirName;
@@ -530,8 +2644,8 @@ class ApiMocker {
 
     // Check global errors directory
     const globalErrorsDir = path.join(this.mockDirectory, '_errors');
-    if (fs.existsSync(globalErrorsDir)) {
-      const errorFiles = fs.readdirSync(globalErrorsDir).filter((f) => f.endsWith('.json'));
+    if (this.index.exists(globalErrorsDir)) {
+      const errorFiles = this.index.listFiles(globalErrorsDir).filter((f) => f.endsWith('.json'));
       errorFiles.forEach((file) => {
         const code = file.replace('.json', '');
         scenarios.push({
@@ -543,15 +2657,15 @@ class ApiMocker {
 
     // Function to scan for error directories
     const scanForErrors = (dirPath, basePath = '') => {
-      if (!fs.existsSync(dirPath)) return;
+      if (!this.index.exists(dirPath)) return;
 
-      const items = fs.readdirSync(dirPath, { withFileTypes: true });
+      const items = this.index.readdir(dirPath);
 
       // Check for errors directory
       const errorsDir = items.find((item) => item.isDirectory() && item.name === 'errors');
       if (errorsDir) {
         const errorsDirPath = path.join(dirPath, 'errors');
-        const errorFiles = fs.readdirSync(errorsDirPath).filter((f) => f.endsWith('.json'));
+        const errorFiles = this.index.listFiles(errorsDirPath).filter((f) => f.endsWith('.json'));
 
         errorFiles.forEach((file) => {
           const parts = file.replace('.json', '').split('_');
@@ -567,7 +2681,8 @@ class ApiMocker {
 
       // Process subdirectories
       items.forEach((item) => {
-        if (item.isDirectory() && item.name !== 'errors') {
+        const isScenarios = path.resolve(dirPath, item.name) === this.index.getScenarioDir();
+        if (item.isDirectory() && item.name !== 'errors' && !isScenarios) {
           const newBasePath = basePath + '/' + item.name;
           scanForErrors(path.join(dirPath, item.name), newBasePath);
         }
@@ -580,20 +2695,283 @@ class ApiMocker {
     return scenarios;
   }
 
+  /**
+   * Find the proxy override for a request path. Patterns use the mock directory
+   * syntax (`/users/[id]`) and may end with `/*` to cover a whole subtree; the
+   * longest matching pattern wins.
+   * @param {string} requestPath - The request path
+   * @returns {string|null} - 'proxy', 'mock' or null if no override applies
+   */
+  getProxyOverride(requestPath) {
+    const normalizedPath = this.normalizePath(requestPath);
+    let bestMatch = null;
+
+    for (const [pattern, mode] of Object.entries(this.proxyRoutes)) {
+      const matches = matchRoutePattern(pattern, normalizedPath);
+      if (matches && (!bestMatch || pattern.length > bestMatch.pattern.length)) {
+        bestMatch = { pattern, mode };
+      }
+    }
+
+    return bestMatch ? bestMatch.mode : null;
+  }
+
+  /**
+   * Decide whether a request should be forwarded to the upstream server
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @param {string|null} [scenario] - Scenario overlay to look for mocks in; defaults to the active scenario
+   * @returns {boolean} - True if the request should be proxied
+   */
+  shouldProxy(requestPath, method, scenario = this.scenario) {
+    if (!this.proxy) {
+      return false;
+    }
+
+    // Record mode captures everything from the upstream server
+    if (this.record) {
+      return true;
+    }
+
+    const override = this.getProxyOverride(requestPath);
+    if (override) {
+      return override === 'proxy';
+    }
+
+    const mockPath = this.findMock(requestPath, method, scenario);
+    if (!mockPath) {
+      // GraphQL endpoints and stateful collections answer methods that have no mock file of their own
+      const isGraphql = (method === 'GET' || method === 'POST') && this.findGraphqlEndpoint(requestPath, scenario);
+      return !isGraphql && !(this.stateful && this.matchStatefulRoute(requestPath, method, scenario));
+    }
+
+    // A mock file can opt into passthrough with "_proxy": true
+    try {
+      const data = this.index.readJson(mockPath);
+      return data._proxy === true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Save a proxied response into the mocks directory
+   * @param {object} req - Express request
+   * @param {object} upstream - Upstream response from forwardRequest
+   */
+  recordExchange(req, upstream) {
+    try {
+      const result = recordResponse(
+        this.mockDirectory,
+        {
+          method: req.method,
+          path: req.path,
+          statusCode: upstream.statusCode,
+          headers: upstream.headers,
+          body: upstream.body,
+        },
+        { overwrite: this.recordOverwrite, collapseParams: this.recordParams }
+      );
+
+      const relPath = path.relative(this.mockDirectory, result.filePath);
+      if (result.written) {
+        this.logger(`Recorded ${req.method} ${req.path} to ${relPath}`);
+        if (result.dropped) {
+          this.logger(`Not recorded for ${req.method} ${req.path}: ${result.dropped}`);
+        }
+        if (this.index.watchers.length === 0) {
+          this.reload();
+        }
+      } else {
+        this.logger(`Skipped recording ${req.method} ${req.path}: ${result.reason} (${relPath})`);
+      }
+    } catch (error) {
+      this.logger(`Failed to record ${req.method} ${req.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward a request to the upstream server and send its response
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   */
+  async proxyRequest(req, res) {
+    try {
+      const upstream = await forwardRequest(this.proxy, req, { timeout: this.proxyTimeout });
+      this.logger(`Proxied ${req.method} ${req.path} to ${upstream.url} (${upstream.statusCode})`);
+
+      if (this.record && req.method !== 'OPTIONS') {
+        this.recordExchange(req, upstream);
+      }
+
+      res.status(upstream.statusCode);
+      Object.entries(upstream.headers).forEach(([key, value]) => {
+        res.set(key, value);
+      });
+      res.end(upstream.body);
+    } catch (error) {
+      this.logger(`Proxy error for ${req.method} ${req.path}: ${error.message}`);
+      const response = await this.getErrorResponse(502, req.path, req.method);
+      res.status(response.statusCode).json(response.body);
+    }
+  }
+
+  /**
+   * Add a finished (or abandoned) request to the journal
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {number} startedAt - When the request arrived (ms since the epoch)
+   * @param {object} served - { mockPath, responseBody } as far as the middleware got
+   */
+  recordRequest(req, res, startedAt, served) {
+    const requestPath = this.normalizePath(req.path);
+    const { mockPath } = served;
+
+    this.journal.record({
+      timestamp: new Date(startedAt).toISOString(),
+      method: req.method,
+      path: requestPath,
+      url: req.originalUrl,
+      route: mockPath ? this.index.getRoutePath(path.dirname(mockPath)) : null,
+      mock: mockPath ? path.relative(this.mockDirectory, mockPath).split(path.sep).join('/') : null,
+      params: mockPath ? this.getParamsForMock(requestPath, mockPath) : {},
+      query: { ...req.query },
+      headers: { ...req.headers },
+      body: req.body === undefined ? null : req.body,
+      rawBody: req.rawBody || null,
+      status: res.statusCode,
+      responseHeaders: res.getHeaders(),
+      responseBody: served.responseBody,
+      duration: Date.now() - startedAt,
+      completed: res.writableFinished, // False if the connection closed first (timeouts, drops, streams)
+    });
+  }
+
+  /**
+   * Find journaled requests, oldest first
+   * @param {object} [filter] - { method, path, status, mock, body, query, headers, params, limit } (see lib/journal.js)
+   * @returns {Array<object>}
+   */
+  findRequests(filter = {}) {
+    return this.journal.toJSON(filter);
+  }
+
+  /**
+   * Check how many times a request was made, e.g. POST /users with a given email exactly once
+   * @param {object} filter - Journal filter (see findRequests)
+   * @param {object} [expected] - { times } or { atLeast, atMost }; at least once by default
+   * @returns {object} - { matched, count, message, requests }
+   */
+  verifyRequests(filter = {}, expected = {}) {
+    return this.journal.verify(filter, expected);
+  }
+
+  /**
+   * Empty the request journal
+   * @returns {number} - Number of entries dropped
+   */
+  clearRequests() {
+    return this.journal.clear();
+  }
+
+  /**
+   * Export the request journal
+   * @param {string} [format] - "json" or "har"
+   * @param {object} [filter] - Journal filter (see findRequests)
+   * @returns {Array<object>|object}
+   */
+  exportRequests(format = 'json', filter = {}) {
+    if (format === 'har') {
+      return this.journal.toHar(filter);
+    }
+    if (format === 'json') {
+      return this.journal.toJSON(filter);
+    }
+    throw new Error(`Unknown export format "${format}"; use json or har`);
+  }
+
   /**
    * Create Express middleware
    */
   middleware() {
     return async (req, res, next) => {
+      // Journal every request once its response is done
+      const served = { mockPath: null, responseBody: undefined };
+      const startedAt = Date.now();
+      res.on('close', () => this.recordRequest(req, res, startedAt, served));
+
       try {
-        const response = await this.getMockResponse(
-          req.path,
-          req.method,
-          req.body,
-          req.query,
-          req.headers,
-          req._forceError
-        );
+        // Headers from the config file; the mock's own headers are set later and win
+        res.set({ ...this.defaultHeaders, ...this.getRouteSettings(req.path, req.method).headers });
+
+        const requestedScenario = this.getRequestedScenario(req.headers);
+        const scenario = this.resolveScenario(req.headers);
+        if (requestedScenario && requestedScenario !== scenario) {
+          this.logger(`Unknown scenario "${requestedScenario}" requested, serving ${scenario || 'the base mocks'}`);
+        }
+
+        // Simulated latency and connection faults
+        served.mockPath = this.findMock(req.path, req.method, scenario);
+        const chaos = this.getChaos(req.path, req.method, served.mockPath);
+        const fault = isChaosActive(chaos) ? rollFault(chaos) : null;
+        const latency = sampleLatency(chaos.latency);
+        if (latency > 0) {
+          await new Promise((resolve) => setTimeout(resolve, latency));
+        }
+
+        if (fault === 'timeout') {
+          this.logger(`Chaos: leaving ${req.method} ${req.path} without a response`);
+          return;
+        }
+        if (fault === 'drop') {
+          this.logger(`Chaos: dropping the connection for ${req.method} ${req.path}`);
+          req.socket.destroy();
+          return;
+        }
+
+        // Errors queued from the REPL or the control API
+        const forcedError = req._forceError || this.takeForcedError(req.path, req.method);
+        if (forcedError && !req._forceError) {
+          this.logger(`Forcing error ${forcedError} for request: ${req.method} ${req.path}`);
+        }
+
+        // Overrides set in code or over HTTP answer before the mock files (and the upstream server)
+        const override = forcedError ? null : this.takeOverride(req.path, req.method);
+        if (override) {
+          served.mockPath = null; // Journaled without a mock file, since none served it
+        }
+
+        // SSE.json streams answer GET requests that accept text/event-stream, and any GET
+        // request when the route has no GET mock of its own
+        if (!forcedError && !override && req.method === 'GET') {
+          const streamPath = this.findRealtimeMock(req.path, 'SSE', scenario);
+          const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+          if (streamPath && (wantsStream || !served.mockPath)) {
+            served.mockPath = streamPath;
+            await this.streamEvents(req, res, streamPath, scenario);
+            return;
+          }
+        }
+
+        // Unmatched routes (or routes marked for passthrough) go to the real backend
+        if (!forcedError && !override && this.shouldProxy(req.path, req.method, scenario)) {
+          await this.proxyRequest(req, res);
+          return;
+        }
+
+        const response = override
+          ? await this.runOverride(override, req.path, req.method, req.body, req.query, req.headers)
+          : await this.getMockResponse(req.path, req.method, req.body, req.query, req.headers, forcedError);
+        served.responseBody = response.body;
+
+        // Throttled or broken bodies are written by hand
+        if (fault || chaos.bandwidth) {
+          if (fault) {
+            this.logger(`Chaos: sending a ${fault} response for ${req.method} ${req.path}`);
+          }
+          await writeChaosResponse(res, response, { bandwidth: chaos.bandwidth, fault });
+          return;
+        }
 
         // Set custom headers if specified
         if (response.headers) {
@@ -602,8 +2980,12 @@ class ApiMocker {
           });
         }
 
-        // Send response with appropriate status code
-        res.status(response.statusCode).json(response.body);
+        // Send response with appropriate status code; file mocks and handlers may return raw bytes
+        if (Buffer.isBuffer(response.body)) {
+          res.status(response.statusCode).send(response.body);
+        } else {
+          res.status(response.statusCode).json(response.body);
+        }
       } catch (error) {
         // This should rarely happen since we handle most errors in getMockResponse
         res.status(500).json({
@@ -616,4 +2998,9 @@ class ApiMocker {
   }
 }
 
+// The test harness, also reachable from the package root. Read on first use, since lib/server requires this module.
+['createApp', 'createMockServer', 'useMockServer'].forEach((name) => {
+  Object.defineProperty(ApiMocker, name, { enumerable: true, get: () => require('./server')[name] });
+});
+
 module.exports = ApiMocker;
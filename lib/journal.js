@@ -0,0 +1,238 @@
+const http = require('http');
+const { matchCondition } = require('./conditions');
+const { matchRoute } = require('./matcher');
+const packageJson = require('../package.json');
+
+// Entries kept by default; the oldest are dropped first
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * Bounded, in-memory journal of the requests a mocker has served, for tests
+ * that need to check what a client actually sent.
+ *
+ * Filters select entries by any of:
+ *   method    "POST"
+ *   path      "/users/42", or a route such as "/users/[id]"
+ *   status    201
+ *   mock      mock file, relative to the mocks directory ("users/POST.json")
+ *   body, query, headers, params   matchers as in `_conditions` (see lib/conditions.js)
+ */
+class RequestJournal {
+  constructor(options = {}) {
+    this.limit = options.limit !== undefined && options.limit !== null ? Number(options.limit) : DEFAULT_LIMIT;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Add an entry, dropping the oldest once the journal is full
+   * @param {object} entry - { timestamp, method, path, url, route, mock, params, query, headers, body,
+   *                           rawBody, status, responseHeaders, responseBody, duration }
+   * @returns {object|null} - The stored entry, or null if the journal is disabled
+   */
+  record(entry) {
+    if (this.limit <= 0) {
+      return null;
+    }
+
+    const stored = { id: this.nextId++, ...entry };
+    this.entries.push(stored);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+    return stored;
+  }
+
+  /**
+   * Check whether an entry matches a filter
+   * @param {object} entry - Journal entry
+   * @param {object} filter - See the class comment
+   * @returns {boolean}
+   */
+  matches(entry, filter = {}) {
+    if (filter.method && entry.method !== String(filter.method).toUpperCase()) {
+      return false;
+    }
+    if (filter.status !== undefined && filter.status !== null && entry.status !== Number(filter.status)) {
+      return false;
+    }
+    if (filter.mock && entry.mock !== filter.mock) {
+      return false;
+    }
+    if (filter.path) {
+      const routeParts = String(filter.path).split('/').filter(Boolean);
+      if (!matchRoute(routeParts, entry.path.split('/').filter(Boolean))) {
+        return false;
+      }
+    }
+
+    const { body, query, headers, params } = filter;
+    return matchCondition({ body, query, headers, params }, entry);
+  }
+
+  /**
+   * Find entries, oldest first
+   * @param {object} [filter] - See the class comment; `limit` keeps only the most recent matches
+   * @returns {Array<object>}
+   */
+  find(filter = {}) {
+    const found = this.entries.filter((entry) => this.matches(entry, filter));
+    const limit = Number(filter.limit);
+    return limit > 0 ? found.slice(-limit) : found;
+  }
+
+  /**
+   * Count matching entries
+   * @param {object} [filter] - See the class comment
+   * @returns {number}
+   */
+  count(filter = {}) {
+    return this.entries.filter((entry) => this.matches(entry, filter)).length;
+  }
+
+  /**
+   * Check how many times a request was made
+   * @param {object} filter - See the class comment
+   * @param {object} [expected] - { times } for an exact count, or { atLeast, atMost }; default at least once
+   * @returns {object} - { matched, count, message, requests } with the matching entries as in toJSON()
+   */
+  verify(filter = {}, expected = {}) {
+    const requests = this.toJSON({ ...filter, limit: undefined });
+    const count = requests.length;
+
+    let matched;
+    let wanted;
+    if (expected.times !== undefined && expected.times !== null) {
+      matched = count === Number(expected.times);
+      wanted = `exactly ${expected.times}`;
+    } else {
+      const atLeast = expected.atLeast !== undefined && expected.atLeast !== null ? Number(expected.atLeast) : 1;
+      const atMost = expected.atMost !== undefined && expected.atMost !== null ? Number(expected.atMost) : Infinity;
+      matched = count >= atLeast && count <= atMost;
+      wanted = atMost === Infinity ? `at least ${atLeast}` : `between ${atLeast} and ${atMost}`;
+    }
+
+    const message = matched
+      ? `${describeFilter(filter)} was called ${count} time(s)`
+      : `Expected ${describeFilter(filter)} to be called ${wanted} time(s), but it was called ${count} time(s)`;
+    return { matched, count, message, requests };
+  }
+
+  /**
+   * Drop all entries
+   * @returns {number} - Number of entries dropped
+   */
+  clear() {
+    const count = this.entries.length;
+    this.entries = [];
+    return count;
+  }
+
+  /**
+   * Export entries as plain JSON, without raw bodies
+   * @param {object} [filter] - See the class comment
+   * @returns {Array<object>}
+   */
+  toJSON(filter = {}) {
+    return this.find(filter).map(({ rawBody, ...entry }) => ({
+      ...entry,
+      responseBody: Buffer.isBuffer(entry.responseBody) ? entry.responseBody.toString('base64') : entry.responseBody,
+    }));
+  }
+
+  /**
+   * Export entries as a HAR 1.2 log, which browser dev tools and HAR viewers can open
+   * @param {object} [filter] - See the class comment
+   * @returns {object}
+   */
+  toHar(filter = {}) {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: packageJson.name, version: packageJson.version },
+        entries: this.find(filter).map(toHarEntry),
+      },
+    };
+  }
+}
+
+/**
+ * Describe a filter for verification messages, e.g. POST /users with body {"email":"a@b.c"}
+ * @param {object} filter - Journal filter
+ * @returns {string}
+ */
+function describeFilter(filter) {
+  const request = `${filter.method ? String(filter.method).toUpperCase() : 'ANY'} ${filter.path || '*'}`;
+  const details = ['status', 'mock', 'body', 'query', 'headers', 'params']
+    .filter((key) => filter[key] !== undefined && filter[key] !== null)
+    .map((key) => `${key} ${JSON.stringify(filter[key])}`);
+  return details.length > 0 ? `${request} with ${details.join(', ')}` : request;
+}
+
+/**
+ * Convert a map of headers or query parameters to HAR name/value pairs
+ */
+function toPairs(values = {}) {
+  return Object.entries(values).flatMap(([name, value]) =>
+    [].concat(value).map((item) => ({ name, value: typeof item === 'string' ? item : JSON.stringify(item) }))
+  );
+}
+
+/**
+ * Convert a journal entry to a HAR entry
+ * @param {object} entry - Journal entry
+ * @returns {object}
+ */
+function toHarEntry(entry) {
+  const requestType = entry.headers['content-type'];
+  const responseType = (entry.responseHeaders && entry.responseHeaders['content-type']) || '';
+
+  const request = {
+    method: entry.method,
+    url: `http://${entry.headers.host || 'localhost'}${entry.url}`,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toPairs(entry.headers),
+    queryString: toPairs(entry.query),
+    headersSize: -1,
+    bodySize: entry.rawBody ? entry.rawBody.length : -1,
+  };
+  if (entry.rawBody || (entry.body && Object.keys(entry.body).length > 0)) {
+    request.postData = {
+      mimeType: requestType || 'application/json',
+      text: entry.rawBody ? entry.rawBody.toString('utf8') : JSON.stringify(entry.body),
+    };
+  }
+
+  const content = { size: 0, mimeType: responseType };
+  if (Buffer.isBuffer(entry.responseBody)) {
+    content.size = entry.responseBody.length;
+    content.text = entry.responseBody.toString('base64');
+    content.encoding = 'base64';
+  } else if (entry.responseBody !== undefined) {
+    content.text = JSON.stringify(entry.responseBody);
+    content.size = Buffer.byteLength(content.text);
+  }
+
+  return {
+    startedDateTime: entry.timestamp,
+    time: entry.duration,
+    request,
+    response: {
+      status: entry.status,
+      statusText: http.STATUS_CODES[entry.status] || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toPairs(entry.responseHeaders),
+      content,
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: content.size,
+    },
+    cache: {},
+    timings: { send: 0, wait: entry.duration, receive: 0 },
+    comment: entry.mock ? `Served from ${entry.mock}` : '',
+  };
+}
+
+module.exports = RequestJournal;
@@ -0,0 +1,232 @@
+/**
+ * Route matching and precedence for mock directory paths.
+ *
+ * Directory segment syntax:
+ *   users          static segment
+ *   [id]           dynamic segment (exactly one)
+ *   [[id]]         optional dynamic segment (zero or one)
+ *   [...rest]      catch-all (one or more, joined with "/")
+ *   [[...rest]]    optional catch-all (zero or more)
+ *
+ * When several routes match, the most specific wins: more static segments first,
+ * then segment by segment from the left (static > dynamic > optional > catch-all).
+ */
+
+const SEGMENT_RANKS = {
+  static: 4,
+  param: 3,
+  optional: 2,
+  catchAll: 1,
+  optionalCatchAll: 0,
+};
+
+// A route that has ended beats one continuing with an optional segment (which matched nothing)
+const MISSING_RANK = 2.5;
+
+/**
+ * Parse a directory segment
+ * @param {string} part - Directory name
+ * @returns {object} - { type, name }
+ */
+function parseSegment(part) {
+  let match = part.match(/^\[\[\.\.\.([^\]]+)\]\]$/);
+  if (match) return { type: 'optionalCatchAll', name: match[1] };
+
+  match = part.match(/^\[\.\.\.([^\]]+)\]$/);
+  if (match) return { type: 'catchAll', name: match[1] };
+
+  match = part.match(/^\[\[([^\]]+)\]\]$/);
+  if (match) return { type: 'optional', name: match[1] };
+
+  match = part.match(/^\[([^\]]+)\]$/);
+  if (match) return { type: 'param', name: match[1] };
+
+  return { type: 'static', name: part };
+}
+
+/**
+ * Check whether a directory segment is dynamic
+ * @param {string} part - Directory name
+ * @returns {boolean}
+ */
+function isDynamicSegment(part) {
+  return parseSegment(part).type !== 'static';
+}
+
+/**
+ * Match request segments against route segments
+ * @param {Array<string>} routeParts - Directory segments
+ * @param {Array<string>} requestParts - Request path segments
+ * @returns {object|null} - Params, or null if the route doesn't match
+ */
+function matchRoute(routeParts, requestParts) {
+  const segments = routeParts.map(parseSegment);
+
+  const match = (routeIndex, requestIndex, params) => {
+    if (routeIndex === segments.length) {
+      return requestIndex === requestParts.length ? params : null;
+    }
+
+    const segment = segments[routeIndex];
+    const remaining = requestParts.length - requestIndex;
+
+    switch (segment.type) {
+      case 'static':
+        return remaining > 0 && requestParts[requestIndex] === segment.name
+          ? match(routeIndex + 1, requestIndex + 1, params)
+          : null;
+
+      case 'param':
+        return remaining > 0
+          ? match(routeIndex + 1, requestIndex + 1, { ...params, [segment.name]: requestParts[requestIndex] })
+          : null;
+
+      case 'optional':
+        return (
+          (remaining > 0 &&
+            match(routeIndex + 1, requestIndex + 1, { ...params, [segment.name]: requestParts[requestIndex] })) ||
+          match(routeIndex + 1, requestIndex, params)
+        );
+
+      default: {
+        // Catch-alls are greedy but give back segments if later parts need them
+        const min = segment.type === 'catchAll' ? 1 : 0;
+        for (let count = remaining; count >= min; count--) {
+          const value = requestParts.slice(requestIndex, requestIndex + count).join('/');
+          const nextParams = count > 0 ? { ...params, [segment.name]: value } : params;
+          const result = match(routeIndex + 1, requestIndex + count, nextParams);
+          if (result) {
+            return result;
+          }
+        }
+        return null;
+      }
+    }
+  };
+
+  return match(0, 0, {});
+}
+
+/**
+ * Match a request path against a route pattern such as /users/[id]; a pattern
+ * ending in /* also matches everything below it
+ * @param {string} pattern - Route pattern
+ * @param {string} requestPath - Request path
+ * @returns {boolean}
+ */
+function matchRoutePattern(pattern, requestPath) {
+  const isPrefix = pattern.endsWith('/*');
+  const routeParts = (isPrefix ? pattern.slice(0, -2) : pattern).split('/').filter(Boolean);
+  const requestParts = requestPath.split('/').filter(Boolean);
+  return matchRoute(routeParts, isPrefix ? requestParts.slice(0, routeParts.length) : requestParts) !== null;
+}
+
+/**
+ * Compute a route's specificity
+ * @param {Array<string>} routeParts - Directory segments
+ * @returns {Array<number>} - Score; compare with compareScores
+ */
+function routeScore(routeParts) {
+  const ranks = routeParts.map((part) => SEGMENT_RANKS[parseSegment(part).type]);
+  const staticCount = ranks.filter((rank) => rank === SEGMENT_RANKS.static).length;
+  return [staticCount, ...ranks];
+}
+
+/**
+ * Compare two scores; positive if `a` is more specific than `b`
+ */
+function compareScores(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const left = i < a.length ? a[i] : MISSING_RANK;
+    const right = i < b.length ? b[i] : MISSING_RANK;
+    if (left !== right) {
+      return left - right;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Build sample request paths that a route matches, covering each optional part
+ * being present and absent
+ */
+function samplePaths(routeParts) {
+  let samples = [[]];
+
+  routeParts.map(parseSegment).forEach((segment) => {
+    const value = `:${segment.name}`;
+    const options = {
+      static: [[segment.name]],
+      param: [[value]],
+      optional: [[value], []],
+      catchAll: [[value], [value, value]],
+      optionalCatchAll: [[], [value], [value, value]],
+    }[segment.type];
+
+    samples = samples.flatMap((sample) => options.map((option) => [...sample, ...option]));
+  });
+
+  return samples;
+}
+
+/**
+ * Find ambiguous and shadowed routes
+ * @param {Array<object>} routes - Routes with { method, path }
+ * @returns {object} - { ambiguous: [{ method, routes, sample }], shadowed: [{ method, route, by }] }
+ */
+function diagnoseRoutes(routes) {
+  const ambiguous = [];
+  const shadowed = [];
+  const seenAmbiguous = new Set();
+
+  const byMethod = new Map();
+  routes.forEach((route) => {
+    if (!byMethod.has(route.method)) byMethod.set(route.method, []);
+    byMethod.get(route.method).push({ ...route, parts: route.path.split('/').filter(Boolean) });
+  });
+
+  for (const [method, candidates] of byMethod) {
+    for (const route of candidates) {
+      const winners = new Set();
+
+      for (const sample of samplePaths(route.parts)) {
+        const matching = candidates.filter((candidate) => matchRoute(candidate.parts, sample));
+        const best = matching.reduce((top, candidate) =>
+          compareScores(routeScore(candidate.parts), routeScore(top.parts)) > 0 ? candidate : top
+        );
+        const ties = matching.filter(
+          (candidate) => compareScores(routeScore(candidate.parts), routeScore(best.parts)) === 0
+        );
+
+        if (ties.length > 1) {
+          const key = `${method} ${ties
+            .map((tie) => tie.path)
+            .sort()
+            .join(' ')}`;
+          if (!seenAmbiguous.has(key)) {
+            seenAmbiguous.add(key);
+            ambiguous.push({ method, routes: ties.map((tie) => tie.path), sample: '/' + sample.join('/') });
+          }
+        }
+
+        winners.add(best.path);
+      }
+
+      if (!winners.has(route.path) && !ambiguous.some((item) => item.routes.includes(route.path))) {
+        shadowed.push({ method, route: route.path, by: [...winners] });
+      }
+    }
+  }
+
+  return { ambiguous, shadowed };
+}
+
+module.exports = {
+  parseSegment,
+  isDynamicSegment,
+  matchRoute,
+  matchRoutePattern,
+  routeScore,
+  compareScores,
+  diagnoseRoutes,
+};
@@ -0,0 +1,574 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { isUnsafeSegment } = require('./recorder');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Request header that triggers an imported error scenario
+const ERROR_HEADER = 'x-mock-error';
+
+const DIRECTIVES = ['_statusCode', '_headers', '_conditions', '_default', '_echo', '_merge', '_proxy'];
+const MAX_SCHEMA_DEPTH = 8;
+
+/**
+ * Read an OpenAPI document from a JSON or YAML file
+ * @param {string} filePath - Path to the spec
+ * @returns {object} - Parsed document
+ */
+function readSpec(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const spec = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+
+  if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+    throw new Error(`${filePath} is not an OpenAPI 3 document`);
+  }
+
+  return spec;
+}
+
+/**
+ * Write a document as JSON or YAML depending on the file extension
+ * @param {string} filePath - Output path
+ * @param {object} doc - Document to write
+ */
+function writeSpec(filePath, doc) {
+  const content = /\.ya?ml$/i.test(filePath) ? YAML.stringify(doc) : JSON.stringify(doc, null, 2) + '\n';
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Resolve a local $ref such as #/components/schemas/User
+ * @param {object} spec - OpenAPI document
+ * @param {object} node - Object that may contain $ref
+ * @returns {object} - The referenced object, or the node itself
+ */
+function resolveRef(spec, node) {
+  let current = node;
+  const seen = new Set();
+
+  while (current && current.$ref) {
+    if (seen.has(current.$ref) || !current.$ref.startsWith('#/')) {
+      return {};
+    }
+    seen.add(current.$ref);
+
+    current = current.$ref
+      .slice(2)
+      .split('/')
+      .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((value, key) => (value ? value[key] : undefined), spec);
+  }
+
+  return current || {};
+}
+
+/**
+ * Inline all local $refs in a node. Recursive references are replaced with an
+ * empty (permissive) schema.
+ * @param {object} spec - OpenAPI document
+ * @param {*} node - Any part of the document
+ * @param {Set<string>} refs - $refs already expanded on this branch
+ * @returns {*} - A copy of the node without $refs
+ */
+function dereference(spec, node, refs = new Set()) {
+  if (Array.isArray(node)) {
+    return node.map((item) => dereference(spec, item, refs));
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if (node.$ref) {
+    if (refs.has(node.$ref)) {
+      return {};
+    }
+    return dereference(spec, resolveRef(spec, node), new Set(refs).add(node.$ref));
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    result[key] = dereference(spec, value, refs);
+  }
+  return result;
+}
+
+/**
+ * Find the operation for a request. Paths with fewer templated segments win,
+ * so /users/me is preferred over /users/{id}.
+ * @param {object} spec - OpenAPI document
+ * @param {string} requestPath - The request path
+ * @param {string} method - The HTTP method
+ * @returns {object|null} - { operation, pathItem, params } or null
+ */
+function findOperation(spec, requestPath, method) {
+  const requestParts = requestPath.split('/').filter(Boolean);
+  const candidates = [];
+
+  for (const [apiPath, pathItemNode] of Object.entries(spec.paths || {})) {
+    const pathItem = resolveRef(spec, pathItemNode);
+    const operation = pathItem[method.toLowerCase()];
+    const apiParts = apiPath.split('/').filter(Boolean);
+
+    if (!operation || apiParts.length !== requestParts.length) {
+      continue;
+    }
+
+    const params = {};
+    let templated = 0;
+    const matches = apiParts.every((part, index) => {
+      const match = part.match(/^\{([^}]+)\}$/);
+      if (match) {
+        params[match[1]] = decodeURIComponent(requestParts[index]);
+        templated++;
+        return true;
+      }
+      return part === requestParts[index];
+    });
+
+    if (matches) {
+      candidates.push({ operation, pathItem, params, templated });
+    }
+  }
+
+  candidates.sort((a, b) => a.templated - b.templated);
+  return candidates[0] || null;
+}
+
+/**
+ * Build a sample value from a JSON schema
+ * @param {object} spec - OpenAPI document (for $ref resolution)
+ * @param {object} schemaNode - Schema
+ * @param {number} depth - Current nesting depth
+ * @param {Set<string>} refs - $refs already expanded on this branch (stops recursive schemas)
+ * @returns {*} - Sample value
+ */
+function sampleFromSchema(spec, schemaNode, depth = 0, refs = new Set()) {
+  if (schemaNode && schemaNode.$ref) {
+    if (refs.has(schemaNode.$ref)) {
+      return null;
+    }
+    refs = new Set(refs).add(schemaNode.$ref);
+  }
+
+  const schema = resolveRef(spec, schemaNode);
+
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  if (depth > MAX_SCHEMA_DEPTH) return null;
+
+  if (schema.allOf) {
+    return schema.allOf.reduce((result, part) => {
+      const value = sampleFromSchema(spec, part, depth + 1, refs);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...result, ...value } : result;
+    }, {});
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    return sampleFromSchema(spec, (schema.oneOf || schema.anyOf)[0], depth + 1, refs);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      const result = {};
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        result[key] = sampleFromSchema(spec, property, depth + 1, refs);
+      }
+      return result;
+    }
+    case 'array':
+      return schema.items ? [sampleFromSchema(spec, schema.items, depth + 1, refs)] : [];
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 1;
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 1.5;
+    case 'boolean':
+      return true;
+    case 'string':
+      return sampleString(schema);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a sample string honoring common formats
+ */
+function sampleString(schema) {
+  const formats = {
+    'date-time': '2023-01-15T10:30:00Z',
+    date: '2023-01-15',
+    email: 'user@example.com',
+    uuid: '123e4567-e89b-12d3-a456-426614174000',
+    uri: 'https://example.com',
+    url: 'https://example.com',
+    hostname: 'example.com',
+    ipv4: '127.0.0.1',
+  };
+
+  if (formats[schema.format]) {
+    return formats[schema.format];
+  }
+
+  const value = 'string';
+  return schema.minLength > value.length ? value.padEnd(schema.minLength, 'x') : value;
+}
+
+/**
+ * Pick the example body for a response object
+ * @param {object} spec - OpenAPI document
+ * @param {object} response - OpenAPI response object
+ * @returns {*} - Example body, or undefined if the response has no JSON content
+ */
+function exampleForResponse(spec, response) {
+  const content = response.content || {};
+  const mediaType = Object.keys(content).find((type) => type.includes('json'));
+  if (!mediaType) {
+    return undefined;
+  }
+
+  const media = content[mediaType];
+  if (media.example !== undefined) {
+    return media.example;
+  }
+
+  if (media.examples) {
+    const first = Object.values(media.examples)[0];
+    if (first) {
+      return resolveRef(spec, first).value;
+    }
+  }
+
+  return sampleFromSchema(spec, media.schema || {});
+}
+
+/**
+ * Turn an example and status code into mock file contents
+ */
+function toMock(body, statusCode, defaultStatus) {
+  const mock = {};
+  if (statusCode !== defaultStatus) {
+    mock._statusCode = statusCode;
+  }
+
+  if (body === undefined || body === null) {
+    return mock;
+  }
+
+  // Arrays can't carry directives, so they are written as-is
+  if (Array.isArray(body) || typeof body !== 'object') {
+    return statusCode === defaultStatus ? body : { ...mock, data: body };
+  }
+
+  return { ...mock, ...body };
+}
+
+/**
+ * Convert an OpenAPI path template to mock directory segments: /users/{id} => users/[id]
+ */
+function pathToDirParts(apiPath) {
+  return apiPath
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => segment.replace(/\{([^}]+)\}/g, '[$1]'));
+}
+
+function slugify(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 40) || 'error'
+  );
+}
+
+/**
+ * Generate a mock tree from an OpenAPI 3 document
+ * @param {object} spec - OpenAPI document
+ * @param {string} mockDirectory - Target mocks directory
+ * @param {object} options - { overwrite }
+ * @returns {Array<object>} - Array of { filePath, written }; paths that can't be written get { apiPath, reason }
+ */
+function importOpenApi(spec, mockDirectory, options = {}) {
+  const results = [];
+
+  const writeMock = (filePath, mock) => {
+    if (!options.overwrite && fs.existsSync(filePath)) {
+      results.push({ filePath, written: false });
+      return;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(mock, null, 2) + '\n');
+    results.push({ filePath, written: true });
+  };
+
+  const globalErrors = new Map();
+
+  for (const [apiPath, pathItemNode] of Object.entries(spec.paths || {})) {
+    const pathItem = resolveRef(spec, pathItemNode);
+    const dirParts = pathToDirParts(apiPath);
+
+    // Specs are often third-party: never let a path like /../x write outside the mocks directory
+    const unsafe = dirParts.find(isUnsafeSegment);
+    if (unsafe !== undefined) {
+      results.push({ apiPath, written: false, reason: `segment "${unsafe}" can't be a mock directory` });
+      continue;
+    }
+    const routeDir = path.join(mockDirectory, ...dirParts);
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      const METHOD = method.toUpperCase();
+      const responses = Object.entries(operation.responses || {}).map(([code, response]) => ({
+        code,
+        response: resolveRef(spec, response),
+      }));
+
+      // Success response: the lowest 2xx, else "default"
+      const success =
+        responses.filter(({ code }) => /^2\d\d$/.test(code)).sort((a, b) => a.code.localeCompare(b.code))[0] ||
+        responses.find(({ code }) => code === 'default');
+
+      if (success) {
+        const statusCode = success.code === 'default' ? 200 : parseInt(success.code, 10);
+        const body = exampleForResponse(spec, success.response);
+        writeMock(path.join(routeDir, `${METHOD}.json`), toMock(statusCode === 204 ? null : body, statusCode, 200));
+      }
+
+      // Declared error responses become route-level scenarios and global templates. Scenarios are opt-in
+      // (x-mock-error: <scenario>), so names like "unauthorized" don't pick up built-in filename rules.
+      for (const { code, response } of responses) {
+        if (!/^[45]\d\d$/.test(code)) {
+          continue;
+        }
+
+        const statusCode = parseInt(code, 10);
+        const body = exampleForResponse(spec, response) || { error: response.description || `Error ${code}` };
+        const scenario = slugify(response.description || code);
+
+        writeMock(path.join(routeDir, 'errors', `${METHOD}_${scenario}.json`), {
+          ...toMock(body, statusCode, null),
+          _conditions: [{ headers: { [ERROR_HEADER]: scenario } }],
+        });
+
+        if (!globalErrors.has(statusCode)) {
+          globalErrors.set(statusCode, body);
+        }
+      }
+    }
+  }
+
+  for (const [statusCode, body] of globalErrors) {
+    writeMock(path.join(mockDirectory, '_errors', `${statusCode}.json`), toMock(body, null, null));
+  }
+
+  return results;
+}
+
+/**
+ * Infer a JSON schema from a sample value
+ * @param {*} value - Sample value
+ * @returns {object} - JSON schema
+ */
+function inferSchema(value) {
+  if (value === null || value === undefined) {
+    return { nullable: true };
+  }
+
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+  }
+
+  switch (typeof value) {
+    case 'object': {
+      const properties = {};
+      for (const [key, item] of Object.entries(value)) {
+        properties[key] = inferSchema(item);
+      }
+      return { type: 'object', properties };
+    }
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    default:
+      if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return { type: 'string', format: 'date-time' };
+      if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value)) return { type: 'string', format: 'email' };
+      return { type: 'string' };
+  }
+}
+
+/**
+ * Split a mock file into status code, headers and body
+ */
+function readMockFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(data) || typeof data !== 'object' || data === null) {
+    return { statusCode: 200, headers: {}, body: data };
+  }
+
+  const body = { ...data };
+  DIRECTIVES.forEach((directive) => delete body[directive]);
+  return { statusCode: data._statusCode || 200, headers: data._headers || {}, body };
+}
+
+/**
+ * Build an OpenAPI response object from a parsed mock
+ */
+function toResponse(mock, description, examples) {
+  const response = { description };
+
+  if (mock.statusCode !== 204) {
+    const media = { schema: inferSchema(mock.body) };
+    if (examples && Object.keys(examples).length > 1) {
+      media.examples = examples;
+    } else {
+      media.example = mock.body;
+    }
+    response.content = { 'application/json': media };
+  }
+
+  const headerNames = Object.keys(mock.headers);
+  if (headerNames.length > 0) {
+    response.headers = {};
+    headerNames.forEach((name) => {
+      response.headers[name] = { schema: { type: 'string' }, example: mock.headers[name] };
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Generate an OpenAPI 3 document from an ApiMocker's routes and mock files
+ * @param {object} apiMocker - ApiMocker instance
+ * @param {object} options - { title, version }
+ * @returns {object} - OpenAPI document
+ */
+function exportOpenApi(apiMocker, options = {}) {
+  const doc = {
+    openapi: '3.0.3',
+    info: {
+      title: options.title || 'Mock API',
+      version: options.version || '1.0.0',
+    },
+    paths: {},
+  };
+
+  for (const route of apiMocker.listRoutes()) {
+    // WebSocket and SSE endpoints have no OpenAPI operation
+    if (!HTTP_METHODS.includes(route.method.toLowerCase())) {
+      continue;
+    }
+
+    const routeDir = path.join(apiMocker.mockDirectory, ...route.path.split('/').filter(Boolean));
+    const mockPath = [`${route.method}.json`, 'index.json']
+      .map((file) => path.join(routeDir, file))
+      .find((filePath) => fs.existsSync(filePath));
+
+    if (!mockPath) {
+      continue;
+    }
+
+    let mock;
+    try {
+      mock = readMockFile(mockPath);
+    } catch (error) {
+      continue;
+    }
+
+    const apiPath = (route.path || '/').replace(/\[([^\]]+)\]/g, '{$1}');
+    const pathParams = [...(route.path || '').matchAll(/\[([^\]]+)\]/g)].map((match) => match[1]);
+
+    // Variants (GET.empty.json) become named examples of the success response
+    const examples = { default: { value: mock.body } };
+    (route.variants || []).forEach((name) => {
+      try {
+        examples[name] = { value: readMockFile(path.join(routeDir, `${route.method}.${name}.json`)).body };
+      } catch (error) {
+        // Skip unreadable variants
+      }
+    });
+
+    const operation = {
+      summary: `${route.method} ${apiPath}`,
+      responses: {
+        [mock.statusCode]: toResponse(mock, 'Successful response', examples),
+      },
+    };
+
+    if (pathParams.length > 0) {
+      operation.parameters = pathParams.map((name) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' },
+      }));
+    }
+
+    // Request schemas from METHOD.schema.json
+    const schemaPath = path.join(routeDir, `${route.method}.schema.json`);
+    if (fs.existsSync(schemaPath)) {
+      try {
+        const definition = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+        if (definition.body) {
+          operation.requestBody = { required: true, content: { 'application/json': { schema: definition.body } } };
+        }
+        const queryProperties = (definition.query && definition.query.properties) || {};
+        const queryRequired = (definition.query && definition.query.required) || [];
+        Object.entries(queryProperties).forEach(([name, schema]) => {
+          operation.parameters = operation.parameters || [];
+          operation.parameters.push({ name, in: 'query', required: queryRequired.includes(name), schema });
+        });
+      } catch (error) {
+        // Skip unreadable schema files
+      }
+    }
+
+    // Route-level error scenarios
+    const errorsDir = path.join(routeDir, 'errors');
+    if (fs.existsSync(errorsDir)) {
+      fs.readdirSync(errorsDir)
+        .filter((file) => file.startsWith(`${route.method}_`) && file.endsWith('.json'))
+        .forEach((file) => {
+          try {
+            const errorMock = readMockFile(path.join(errorsDir, file));
+            const statusCode = errorMock.statusCode === 200 ? 400 : errorMock.statusCode;
+            const scenario = file.slice(route.method.length + 1, -5).replace(/_/g, ' ');
+            if (!operation.responses[statusCode]) {
+              operation.responses[statusCode] = toResponse({ ...errorMock, statusCode }, scenario);
+            }
+          } catch (error) {
+            // Skip unreadable error files
+          }
+        });
+    }
+
+    doc.paths[apiPath] = doc.paths[apiPath] || {};
+    doc.paths[apiPath][route.method.toLowerCase()] = operation;
+  }
+
+  return doc;
+}
+
+module.exports = {
+  readSpec,
+  dereference,
+  findOperation,
+  writeSpec,
+  importOpenApi,
+  exportOpenApi,
+  sampleFromSchema,
+  inferSchema,
+};
@@ -0,0 +1,133 @@
+const http = require('http');
+const https = require('https');
+
+// Hop-by-hop headers apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+/**
+ * Copy headers, dropping hop-by-hop headers
+ * @param {object} headers - Header map
+ * @returns {object} - Filtered header map
+ */
+function filterHeaders(headers) {
+  const result = {};
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (!HOP_BY_HOP_HEADERS.includes(key.toLowerCase())) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the upstream URL for a request, keeping any base path on the target
+ * @param {string} target - Upstream base URL (e.g. http://localhost:8080/api)
+ * @param {string} requestUrl - Request path with query string
+ * @returns {URL}
+ */
+function buildUpstreamUrl(target, requestUrl) {
+  const base = new URL(target);
+  const basePath = base.pathname.endsWith('/') ? base.pathname.slice(0, -1) : base.pathname;
+  return new URL(basePath + requestUrl, base.origin);
+}
+
+/**
+ * Get the request body to forward. Body parsers consume the stream, so prefer the
+ * raw buffer they captured and fall back to re-serializing the parsed body.
+ * @param {object} req - Express request
+ * @returns {Buffer|null} - Body buffer, or null to pipe the untouched stream
+ */
+function getForwardBody(req) {
+  if (req.rawBody) {
+    return Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.from(req.rawBody);
+  }
+
+  if (!req.readableEnded && req.body === undefined) {
+    return null;
+  }
+
+  if (req.body === undefined || req.body === null || (typeof req.body === 'object' && !Object.keys(req.body).length)) {
+    return Buffer.alloc(0);
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  const contentType = String(req.headers['content-type'] || '');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Buffer.from(new URLSearchParams(req.body).toString());
+  }
+
+  return Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+}
+
+/**
+ * Forward an express request to an upstream server
+ * @param {string} target - Upstream base URL
+ * @param {object} req - Express request
+ * @param {object} options - { timeout } in milliseconds
+ * @returns {Promise<object>} - { statusCode, headers, body: Buffer, url }
+ */
+function forwardRequest(target, req, options = {}) {
+  // originalUrl keeps the base path the mocks are mounted under
+  const url = buildUpstreamUrl(target, req.originalUrl || req.url);
+  const client = url.protocol === 'https:' ? https : http;
+  const body = getForwardBody(req);
+
+  const headers = filterHeaders(req.headers);
+  headers.host = url.host;
+  if (body) {
+    headers['content-length'] = String(body.length);
+  }
+
+  return new Promise((resolve, reject) => {
+    const upstreamReq = client.request(
+      url,
+      {
+        method: req.method,
+        headers,
+        timeout: options.timeout || 30000,
+      },
+      (upstreamRes) => {
+        const chunks = [];
+        upstreamRes.on('data', (chunk) => chunks.push(chunk));
+        upstreamRes.on('end', () => {
+          resolve({
+            statusCode: upstreamRes.statusCode,
+            headers: filterHeaders(upstreamRes.headers),
+            body: Buffer.concat(chunks),
+            url: url.toString(),
+          });
+        });
+        upstreamRes.on('error', reject);
+      }
+    );
+
+    upstreamReq.on('timeout', () => {
+      upstreamReq.destroy(new Error(`Upstream request to ${url} timed out`));
+    });
+    upstreamReq.on('error', reject);
+
+    if (body) {
+      upstreamReq.end(body);
+    } else {
+      req.pipe(upstreamReq);
+    }
+  });
+}
+
+module.exports = {
+  forwardRequest,
+  buildUpstreamUrl,
+  filterHeaders,
+};
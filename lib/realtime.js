@@ -0,0 +1,200 @@
+const { matchValue } = require('./conditions');
+
+/**
+ * Scripted realtime endpoints: WebSockets from `WS.json` and Server-Sent Events
+ * streams from `SSE.json`, placed in the mocks tree like any method file:
+ *
+ *   {
+ *     "messages": [                          sent in order after the client connects
+ *       { "data": { "type": "welcome" } },
+ *       { "delay": 2000, "data": { "type": "notification", "id": "{{fake.uuid}}" } },
+ *       { "delay": 5000, "close": { "code": 4000, "reason": "Session expired" } }
+ *     ],
+ *     "loop": true,                          play the messages again after the last one
+ *     "echo": true,                          WS only: send unmatched client messages back
+ *     "replies": [                           WS only: answer client messages; the first match wins
+ *       { "match": { "type": "ping" }, "reply": { "type": "pong" } },
+ *       { "match": "hello", "reply": ["hi", "how can I help?"], "delay": 300 }
+ *     ],
+ *     "protocol": "graphql-ws",              WS only: subprotocol to confirm (default: the client's first)
+ *     "retry": 3000                          SSE only: reconnection time sent to the client
+ *   }
+ *
+ * `delay` is in ms after the previous message (or the connection). SSE messages
+ * may also set `event` and `id`. `match` is a string compared with the raw text,
+ * or a matcher object (see lib/conditions.js) applied to the message as JSON.
+ * Messages and replies are templates; replies can use `{{message.*}}`.
+ */
+
+const REALTIME_TYPES = {
+  WS: 'websocket',
+  SSE: 'sse',
+};
+
+/**
+ * Check that a close code may be sent in a close frame (RFC 6455 section 7.4)
+ */
+function isCloseCode(code) {
+  return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+}
+
+/**
+ * Validate a realtime definition
+ * @param {object} definition - Parsed WS.json or SSE.json
+ * @returns {object} - { messages, loop, echo, replies, protocol, retry }
+ */
+function normalizeRealtime(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('expected an object with "messages" and/or "replies"');
+  }
+
+  const messages = definition.messages || [];
+  const replies = definition.replies || [];
+  if (!Array.isArray(messages) || !Array.isArray(replies)) {
+    throw new Error('"messages" and "replies" must be arrays');
+  }
+
+  messages.forEach((message, index) => {
+    if (!message || typeof message !== 'object' || (message.data === undefined && !message.close)) {
+      throw new Error(`message ${index + 1} needs "data" or "close"`);
+    }
+    const close = message.close === true ? {} : message.close;
+    if (close && close.code !== undefined && !isCloseCode(close.code)) {
+      throw new Error(`message ${index + 1}: close code ${close.code} can't be sent; use 1000 or 3000-4999`);
+    }
+    if (close && Buffer.byteLength(String(close.reason || '')) > 123) {
+      throw new Error(`message ${index + 1}: a close reason can be at most 123 bytes`);
+    }
+  });
+
+  replies.forEach((reply, index) => {
+    if (!reply || typeof reply !== 'object' || reply.reply === undefined) {
+      throw new Error(`reply ${index + 1} needs "reply"`);
+    }
+  });
+
+  if (definition.loop && messages.every((message) => !(message.delay > 0))) {
+    throw new Error('"loop" needs at least one message with a delay');
+  }
+
+  return {
+    messages,
+    loop: Boolean(definition.loop),
+    echo: Boolean(definition.echo),
+    replies,
+    protocol: definition.protocol || null,
+    retry: definition.retry || null,
+  };
+}
+
+/**
+ * Play scripted messages with their delays
+ * @param {Array<object>} messages - Normalized messages
+ * @param {boolean} loop - Start over after the last message
+ * @param {Function} play - Called with each message in turn
+ * @returns {Function} - Stops the script
+ */
+function playScript(messages, loop, play) {
+  let timer = null;
+  let stopped = false;
+
+  const next = (index) => {
+    if (stopped || messages.length === 0) {
+      return;
+    }
+    if (index >= messages.length) {
+      if (loop) {
+        next(0);
+      }
+      return;
+    }
+
+    const message = messages[index];
+    timer = setTimeout(() => {
+      if (stopped) {
+        return;
+      }
+      play(message);
+      if (!message.close) {
+        next(index + 1);
+      }
+    }, message.delay || 0);
+  };
+
+  next(0);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Parse an incoming message as JSON, falling back to the raw text
+ * @param {string} text - Message text
+ * @returns {*}
+ */
+function parseMessage(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Find the reply for a client message
+ * @param {Array<object>} replies - Normalized replies
+ * @param {string} text - Raw message text
+ * @returns {object|null} - The first reply whose `match` fits, or null
+ */
+function findReply(replies, text) {
+  const message = parseMessage(text);
+  return (
+    replies.find((reply) => {
+      if (reply.match === undefined) {
+        return true;
+      }
+      if (typeof reply.match === 'string') {
+        return reply.match === text;
+      }
+      return matchValue(message, reply.match);
+    }) || null
+  );
+}
+
+/**
+ * Serialize message data for the wire: strings as-is, everything else as JSON
+ * @param {*} data - Message data
+ * @returns {string}
+ */
+function serializeData(data) {
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+/**
+ * Format a Server-Sent Events message
+ * @param {object} message - { data, event, id, retry }
+ * @returns {string}
+ */
+function formatEvent(message) {
+  const lines = [];
+  if (message.event) lines.push(`event: ${message.event}`);
+  if (message.id !== undefined && message.id !== null) lines.push(`id: ${message.id}`);
+  if (message.retry) lines.push(`retry: ${message.retry}`);
+  if (message.data !== undefined) {
+    serializeData(message.data)
+      .split(/\r?\n/)
+      .forEach((line) => lines.push(`data: ${line}`));
+  }
+  return lines.join('\n') + '\n\n';
+}
+
+module.exports = {
+  REALTIME_TYPES,
+  normalizeRealtime,
+  playScript,
+  parseMessage,
+  findReply,
+  serializeData,
+  formatEvent,
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseSegment } = require('./matcher');
+
+// Headers that describe the upstream transfer rather than the resource itself
+const SKIPPED_HEADERS = [
+  'content-length',
+  'content-encoding',
+  'content-type',
+  'date',
+  'etag',
+  'last-modified',
+  'set-cookie',
+  'vary',
+  'x-powered-by',
+];
+
+const NUMERIC_SEGMENT = /^\d+$/;
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a path segment looks like an id (numeric or UUID)
+ * @param {string} segment - URL path segment
+ * @returns {boolean}
+ */
+function isIdSegment(segment) {
+  return NUMERIC_SEGMENT.test(segment) || UUID_SEGMENT.test(segment);
+}
+
+/**
+ * Name a new [param] directory after the previous segment, matching the
+ * existing convention: users/[id], users/[id]/posts/[postId]
+ * @param {Array<string>} dirParts - Directory segments so far
+ * @returns {string} - Directory name such as [id] or [postId]
+ */
+function paramDirName(dirParts) {
+  const paramCount = dirParts.filter((part) => part.startsWith('[')).length;
+  const previous = dirParts[dirParts.length - 1];
+
+  if (paramCount === 0) {
+    return '[id]';
+  }
+
+  if (!previous || previous.startsWith('[')) {
+    return `[id${paramCount + 1}]`;
+  }
+
+  const singular = previous.replace(/ies$/, 'y').replace(/s$/, '');
+  const camel = singular.replace(/[-_](\w)/g, (match, letter) => letter.toUpperCase());
+  return `[${camel}Id]`;
+}
+
+/**
+ * Check whether a path segment can't be used as a directory name: "." and "..", which would
+ * leave the mocks directory, or characters that file systems reject
+ * @param {string} segment - Decoded path segment
+ * @returns {boolean}
+ */
+function isUnsafeSegment(segment) {
+  return segment === '.' || segment === '..' || /[\\/:*?"<>|]/.test(segment);
+}
+
+/**
+ * Map a request path to directory segments in the mocks tree
+ * @param {string} mockDirectory - Root mocks directory
+ * @param {string} requestPath - The request path
+ * @param {boolean} collapseParams - Turn numeric/UUID segments into [param] directories
+ * @returns {Array<string>} - Directory segments
+ */
+function resolveRecordDir(mockDirectory, requestPath, collapseParams) {
+  const segments = requestPath
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+  const dirParts = [];
+
+  for (const segment of segments) {
+    if (isUnsafeSegment(segment)) {
+      throw new Error(`Cannot record path segment "${segment}"`);
+    }
+
+    if (!collapseParams || !isIdSegment(segment)) {
+      dirParts.push(segment);
+      continue;
+    }
+
+    // Reuse an existing [param] directory at this level if there is one
+    const currentDir = path.join(mockDirectory, ...dirParts);
+    const existing = fs.existsSync(currentDir)
+      ? fs
+          .readdirSync(currentDir, { withFileTypes: true })
+          .find((entry) => entry.isDirectory() && parseSegment(entry.name).type === 'param')
+      : null;
+
+    dirParts.push(existing ? existing.name : paramDirName(dirParts));
+  }
+
+  return dirParts;
+}
+
+/**
+ * Decode a (possibly compressed) upstream body to text
+ * @param {Buffer} body - Raw body
+ * @param {string} encoding - Content-Encoding header value
+ * @returns {string}
+ */
+function decodeBody(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(body).toString('utf8');
+    case 'deflate':
+      return zlib.inflateSync(body).toString('utf8');
+    case 'br':
+      return zlib.brotliDecompressSync(body).toString('utf8');
+    default:
+      return body.toString('utf8');
+  }
+}
+
+/**
+ * Write an upstream response into the mocks directory as <path>/<METHOD>.json
+ * @param {string} mockDirectory - Root mocks directory
+ * @param {object} exchange - { method, path, statusCode, headers, body: Buffer }
+ * @param {object} options - { overwrite, collapseParams }
+ * @returns {object} - { filePath, written, reason, dropped }; dropped describes the status and headers
+ *                     a non-object body couldn't keep, or is null
+ */
+function recordResponse(mockDirectory, exchange, options = {}) {
+  const contentType = String(exchange.headers['content-type'] || '');
+  const dirParts = resolveRecordDir(mockDirectory, exchange.path, options.collapseParams);
+  const filePath = path.join(mockDirectory, ...dirParts, `${exchange.method}.json`);
+
+  if (!path.resolve(filePath).startsWith(path.resolve(mockDirectory) + path.sep)) {
+    throw new Error(`Refusing to record outside the mocks directory: ${filePath}`);
+  }
+
+  if (!options.overwrite && fs.existsSync(filePath)) {
+    return { filePath, written: false, reason: 'file exists' };
+  }
+
+  const text = decodeBody(exchange.body, exchange.headers['content-encoding']);
+  let data = {};
+
+  if (text.trim() !== '') {
+    if (!contentType.includes('json')) {
+      return { filePath, written: false, reason: `unsupported content type ${contentType || '(none)'}` };
+    }
+    data = JSON.parse(text);
+    if (data === null) {
+      return { filePath, written: false, reason: 'a null body cannot be served from a mock file' };
+    }
+  }
+
+  const headers = {};
+  for (const [key, value] of Object.entries(exchange.headers)) {
+    if (!SKIPPED_HEADERS.includes(key.toLowerCase())) {
+      headers[key] = value;
+    }
+  }
+
+  const directives = {};
+  if (exchange.statusCode !== 200) {
+    directives._statusCode = exchange.statusCode;
+  }
+  if (Object.keys(headers).length > 0) {
+    directives._headers = headers;
+  }
+
+  // Arrays, strings, numbers and booleans can't carry directives, so they are written as-is
+  let mock = data;
+  let dropped = null;
+  if (typeof data === 'object' && !Array.isArray(data)) {
+    mock = { ...directives, ...data };
+  } else if (Object.keys(directives).length > 0) {
+    const lost = [];
+    if (directives._statusCode) {
+      lost.push(`status ${directives._statusCode}`);
+    }
+    if (directives._headers) {
+      lost.push(`headers ${Object.keys(headers).join(', ')}`);
+    }
+    dropped = `${lost.join(' and ')} (a JSON ${Array.isArray(data) ? 'array' : typeof data} can't carry directives)`;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(mock, null, 2) + '\n');
+
+  return { filePath, written: true, reason: null, dropped };
+}
+
+module.exports = {
+  recordResponse,
+  resolveRecordDir,
+  isIdSegment,
+  isUnsafeSegment,
+};
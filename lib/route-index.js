@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const { routeScore } = require('./matcher');
+const { isBodyFile } = require('./files');
+
+const isMethodName = (name) => /^(GET|POST|PUT|DELETE|PATCH|OPTIONS|HEAD)$/.test(name);
+
+// Top-level directory holding scenario overlays: _scenarios/<name>/ mirrors the mocks tree
+const SCENARIOS_DIR = '_scenarios';
+
+/**
+ * In-memory snapshot of the mocks directory.
+ *
+ * The tree is walked once and kept as a map of directories to their entries, so
+ * route lookups never touch the filesystem. Parsed JSON files are cached until
+ * the tree changes. With `watch()`, edits are picked up automatically.
+ *
+ * Layers are extra mock directories merged underneath the root, e.g. a shared
+ * team mock set: their files show up under rootDir as if they were copied in,
+ * and a file in a later layer or in the root replaces the same file below it.
+ * Read files through resolveFile() to get the copy that wins.
+ */
+class RouteIndex {
+  constructor(rootDir, layers = []) {
+    this.rootDir = path.resolve(rootDir);
+    this.layers = layers.map((layer) => path.resolve(layer)).filter((layer) => layer !== this.rootDir);
+    this.dirs = new Map(); // absolute dir => { files: string[], dirs: string[] }
+    this.sources = new Map(); // file under rootDir => the layer file it comes from
+    this.mockFiles = []; // compiled route table used for [param] matching
+    this.routeDirs = []; // every route directory, for resolving errors/ folders
+    this.scenarios = new Map(); // scenario name => { mockFiles, routeDirs } for its overlay
+    this.jsonCache = new Map();
+    this.built = false;
+    this.watchers = [];
+    this.rebuildTimer = null;
+  }
+
+  /**
+   * Walk the mocks directory and rebuild the snapshot
+   */
+  build() {
+    this.dirs.clear();
+    this.sources.clear();
+    this.jsonCache.clear();
+    this.mockFiles = [];
+    this.routeDirs = [];
+    this.scenarios.clear();
+
+    // Walk a physical directory into the tree at its logical path under rootDir
+    const walkDir = (currentPath, logicalPath) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(currentPath, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      if (!this.dirs.has(logicalPath)) {
+        this.dirs.set(logicalPath, { files: [], dirs: [] });
+      }
+      const entry = this.dirs.get(logicalPath);
+
+      entries.forEach((file) => {
+        const filePath = path.join(logicalPath, file.name);
+        if (file.isDirectory()) {
+          if (!entry.dirs.includes(file.name)) {
+            entry.dirs.push(file.name);
+          }
+          walkDir(path.join(currentPath, file.name), filePath);
+          return;
+        }
+
+        if (!entry.files.includes(file.name)) {
+          entry.files.push(file.name);
+        }
+        if (currentPath === logicalPath) {
+          this.sources.delete(filePath);
+        } else {
+          this.sources.set(filePath, path.join(currentPath, file.name));
+        }
+      });
+    };
+
+    [...this.layers, this.rootDir].forEach((dir) => walkDir(dir, this.rootDir));
+    this.compileRoutes();
+    this.built = true;
+  }
+
+  /**
+   * Precompute the candidate mock files (JSON, JS handlers, body files and METHOD/ sequence directories
+   * outside errors/_errors) with their URL segments and specificity, so matching doesn't need to re-derive them.
+   * Each scenario overlay gets its own table, with segments relative to the overlay root.
+   */
+  compileRoutes() {
+    const walk = (dirPath, relParts, table) => {
+      const entry = this.dirs.get(dirPath);
+      if (!entry) {
+        return;
+      }
+
+      const score = routeScore(relParts);
+      table.routeDirs.push({ dirPath, dirParts: relParts, score });
+
+      entry.files
+        .filter((name) => name.endsWith('.json') || name.endsWith('.js') || isBodyFile(name))
+        .forEach((name) => {
+          table.mockFiles.push({
+            filePath: path.join(dirPath, name),
+            filename: name,
+            dirParts: relParts,
+            score,
+          });
+        });
+
+      // A directory named after a method (GET/) holds numbered sequence steps, not a nested route
+      entry.dirs.filter(isMethodName).forEach((name) => {
+        table.mockFiles.push({
+          filePath: path.join(dirPath, name),
+          filename: name,
+          dirParts: relParts,
+          score,
+        });
+      });
+
+      entry.dirs
+        .filter((name) => name !== '_errors' && name !== 'errors' && !isMethodName(name))
+        .filter((name) => !(dirPath === this.rootDir && name === SCENARIOS_DIR))
+        .forEach((name) => walk(path.join(dirPath, name), [...relParts, name], table));
+    };
+
+    walk(this.rootDir, [], this);
+
+    const scenariosEntry = this.dirs.get(path.join(this.rootDir, SCENARIOS_DIR));
+    (scenariosEntry ? scenariosEntry.dirs : []).forEach((name) => {
+      const table = { mockFiles: [], routeDirs: [] };
+      this.scenarios.set(name, table);
+      walk(path.join(this.rootDir, SCENARIOS_DIR, name), [], table);
+    });
+  }
+
+  ensureBuilt() {
+    if (!this.built) {
+      this.build();
+    }
+  }
+
+  /**
+   * Check whether a file or directory exists in the snapshot
+   * @param {string} targetPath - Absolute path
+   * @returns {boolean}
+   */
+  exists(targetPath) {
+    this.ensureBuilt();
+    const resolved = path.resolve(targetPath);
+
+    if (this.dirs.has(resolved)) {
+      return true;
+    }
+
+    const parent = this.dirs.get(path.dirname(resolved));
+    return Boolean(parent && parent.files.includes(path.basename(resolved)));
+  }
+
+  /**
+   * List a directory's entries like fs.readdirSync(dir, { withFileTypes: true })
+   * @param {string} dirPath - Absolute directory path
+   * @returns {Array<object>} - Entries with name and isDirectory()
+   */
+  readdir(dirPath) {
+    this.ensureBuilt();
+    const entry = this.dirs.get(path.resolve(dirPath));
+    if (!entry) {
+      return [];
+    }
+
+    return [
+      ...entry.dirs.map((name) => ({ name, isDirectory: () => true })),
+      ...entry.files.map((name) => ({ name, isDirectory: () => false })),
+    ];
+  }
+
+  /**
+   * List file names in a directory
+   * @param {string} dirPath - Absolute directory path
+   * @returns {string[]}
+   */
+  listFiles(dirPath) {
+    this.ensureBuilt();
+    const entry = this.dirs.get(path.resolve(dirPath));
+    return entry ? [...entry.files] : [];
+  }
+
+  /**
+   * List subdirectory names in a directory
+   * @param {string} dirPath - Absolute directory path
+   * @returns {string[]}
+   */
+  listDirs(dirPath) {
+    this.ensureBuilt();
+    const entry = this.dirs.get(path.resolve(dirPath));
+    return entry ? [...entry.dirs] : [];
+  }
+
+  /**
+   * Get the compiled route table
+   * @param {string} [scenario] - Scenario overlay to get the table for; the base tree if omitted
+   * @returns {Array<object>} - Array of { filePath, filename, dirParts }
+   */
+  getMockFiles(scenario) {
+    this.ensureBuilt();
+    if (scenario) {
+      return this.scenarios.has(scenario) ? this.scenarios.get(scenario).mockFiles : [];
+    }
+    return this.mockFiles;
+  }
+
+  /**
+   * Get every route directory with its segments and specificity
+   * @param {string} [scenario] - Scenario overlay to get the directories for; the base tree if omitted
+   * @returns {Array<object>} - Array of { dirPath, dirParts, score }
+   */
+  getRouteDirs(scenario) {
+    this.ensureBuilt();
+    if (scenario) {
+      return this.scenarios.has(scenario) ? this.scenarios.get(scenario).routeDirs : [];
+    }
+    return this.routeDirs;
+  }
+
+  /**
+   * List the scenario overlays under _scenarios/
+   * @returns {string[]} - Scenario names
+   */
+  listScenarios() {
+    this.ensureBuilt();
+    return [...this.scenarios.keys()];
+  }
+
+  /**
+   * Get the root directory of a scenario overlay, or of all overlays
+   * @param {string} [scenario] - Scenario name
+   * @returns {string} - Absolute directory path
+   */
+  getScenarioDir(scenario = '') {
+    return path.join(this.rootDir, SCENARIOS_DIR, scenario);
+  }
+
+  /**
+   * Get the route path (e.g. /users/[id]) of a directory in the base tree or in a scenario overlay
+   * @param {string} dirPath - Absolute directory path
+   * @returns {string}
+   */
+  getRoutePath(dirPath) {
+    const parts = path.relative(this.rootDir, path.resolve(dirPath)).split(path.sep).filter(Boolean);
+    return '/' + (parts[0] === SCENARIOS_DIR ? parts.slice(2) : parts).join('/');
+  }
+
+  /**
+   * Get the file on disk behind a path in the tree, which is in a layer if the root doesn't have it
+   * @param {string} filePath - Absolute path under rootDir
+   * @returns {string} - Absolute path to read
+   */
+  resolveFile(filePath) {
+    this.ensureBuilt();
+    const resolved = path.resolve(filePath);
+    return this.sources.get(resolved) || resolved;
+  }
+
+  /**
+   * Read and parse a JSON file, caching the result. Callers get their own copy,
+   * so they can strip directives without affecting the cache.
+   * @param {string} filePath - Absolute file path
+   * @returns {*} - Parsed JSON
+   */
+  readJson(filePath) {
+    const resolved = path.resolve(filePath);
+
+    if (!this.jsonCache.has(resolved)) {
+      // Cache parse failures too, so a broken file doesn't get re-read on every request
+      try {
+        this.jsonCache.set(resolved, { value: JSON.parse(fs.readFileSync(this.resolveFile(resolved), 'utf8')) });
+      } catch (error) {
+        this.jsonCache.set(resolved, { error });
+      }
+    }
+
+    const cached = this.jsonCache.get(resolved);
+    if (cached.error) {
+      throw cached.error;
+    }
+
+    return structuredClone(cached.value);
+  }
+
+  /**
+   * Watch the mocks directory and its layers, and rebuild the snapshot when they change
+   * @param {Function} onChange - Called after each rebuild
+   * @returns {boolean} - False if the platform can't watch recursively
+   */
+  watch(onChange) {
+    if (this.watchers.length > 0) {
+      return true;
+    }
+
+    const rebuild = () => {
+      // Editors emit several events per save, so batch them into one rebuild
+      clearTimeout(this.rebuildTimer);
+      this.rebuildTimer = setTimeout(() => {
+        this.build();
+        if (onChange) {
+          onChange();
+        }
+      }, 100);
+    };
+
+    try {
+      [...this.layers, this.rootDir]
+        .filter((dir) => fs.existsSync(dir))
+        .forEach((dir) => {
+          const watcher = fs.watch(dir, { recursive: true }, rebuild);
+          watcher.unref();
+          this.watchers.push(watcher);
+        });
+      return true;
+    } catch (error) {
+      this.close();
+      return false;
+    }
+  }
+
+  /**
+   * Stop watching for changes
+   */
+  close() {
+    clearTimeout(this.rebuildTimer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+  }
+}
+
+module.exports = RouteIndex;
@@ -0,0 +1,109 @@
+/**
+ * Ordered responses for a route, served one per request: polling flows
+ * (pending, pending, done) and flaky endpoints (fail twice, then succeed).
+ *
+ * A mock file opts in with `_sequence`, either a list of steps or an object
+ * with options:
+ *
+ *   { "_sequence": [{ "status": "pending", "_times": 2 }, { "status": "done" }] }
+ *   { "_sequence": { "steps": [...], "mode": "loop", "scope": "params" } }
+ *
+ * or a METHOD directory of numbered files, with options in `_sequence.json`:
+ *
+ *   jobs/[id]/GET/1.json, 2.json, 3-done.json, _sequence.json
+ *
+ * Steps may use `_statusCode` and `_headers` like any mock, and `_times` to be
+ * served more than once in a row. Options:
+ *   mode    "stick" (default) keeps serving the last step, "loop" starts over
+ *   scope   "route" (default) counts all requests together, "params" counts
+ *           each combination of path parameter values (each job id) separately
+ */
+
+const SEQUENCE_MODES = ['stick', 'loop'];
+const SEQUENCE_SCOPES = ['route', 'params'];
+
+// Options file inside a METHOD/ sequence directory
+const SEQUENCE_OPTIONS_FILE = '_sequence.json';
+
+// Step files inside a METHOD/ sequence directory: 1.json, 2-failing.json, 3.js, ...
+const STEP_FILE_REGEX = /^(\d+)(?:[-_.][\w-]+)?\.(json|js)$/;
+
+/**
+ * Validate sequence options
+ * @param {object} options - { mode, scope }
+ * @returns {object} - { mode, scope }
+ */
+function normalizeOptions(options = {}) {
+  const mode = options.mode || 'stick';
+  const scope = options.scope || 'route';
+
+  if (!SEQUENCE_MODES.includes(mode)) {
+    throw new Error(`Invalid sequence mode "${mode}"; use ${SEQUENCE_MODES.join(' or ')}`);
+  }
+  if (!SEQUENCE_SCOPES.includes(scope)) {
+    throw new Error(`Invalid sequence scope "${scope}"; use ${SEQUENCE_SCOPES.join(' or ')}`);
+  }
+
+  return { mode, scope };
+}
+
+/**
+ * Repeat each step by its `_times` directive
+ * @param {Array} steps - Steps, as given
+ * @param {Function} [timesOf] - Reads the repeat count of a step; defaults to its `_times` field
+ * @returns {Array} - One entry per request
+ */
+function expandSteps(steps, timesOf = (step) => step && step._times) {
+  return steps.flatMap((step) => {
+    const times = timesOf(step) === undefined ? 1 : Number(timesOf(step));
+    if (!Number.isInteger(times) || times < 1) {
+      throw new Error('_times must be a positive integer');
+    }
+    return Array(times).fill(step);
+  });
+}
+
+/**
+ * Normalize a `_sequence` directive
+ * @param {Array|object} directive - Steps, or { steps, mode, scope }
+ * @returns {object} - { steps, mode, scope }
+ */
+function normalizeSequence(directive) {
+  const options = Array.isArray(directive) ? { steps: directive } : { ...directive };
+  if (!Array.isArray(options.steps) || options.steps.length === 0) {
+    throw new Error('_sequence needs at least one step');
+  }
+
+  return { steps: expandSteps(options.steps), ...normalizeOptions(options) };
+}
+
+/**
+ * Pick the step for the nth request (0-based)
+ * @param {number} call - Number of earlier requests
+ * @param {number} length - Number of steps
+ * @param {string} mode - "stick" or "loop"
+ * @returns {number} - Step index
+ */
+function stepIndex(call, length, mode) {
+  return mode === 'loop' ? call % length : Math.min(call, length - 1);
+}
+
+/**
+ * Sort the step files in a sequence directory by number
+ * @param {string[]} files - File names in the directory
+ * @returns {string[]} - Step file names, in order
+ */
+function sortStepFiles(files) {
+  return files
+    .filter((file) => STEP_FILE_REGEX.test(file))
+    .sort((a, b) => Number(a.match(STEP_FILE_REGEX)[1]) - Number(b.match(STEP_FILE_REGEX)[1]));
+}
+
+module.exports = {
+  SEQUENCE_OPTIONS_FILE,
+  normalizeOptions,
+  normalizeSequence,
+  expandSteps,
+  stepIndex,
+  sortStepFiles,
+};
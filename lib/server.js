@@ -0,0 +1,242 @@
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const express = require('express');
+const cors = require('cors');
+const ApiMocker = require('./index');
+const { ADMIN_PREFIX, createAdminRouter } = require('./admin');
+const { getLocalCertificate } = require('./certificate');
+
+// Open sockets per server, so closeServer() doesn't wait for keep-alive and HTTP/2 connections to go idle
+const openSockets = new WeakMap();
+
+/**
+ * Build the Express app that serves an ApiMocker: body parsing, request
+ * logging, the control API, the mocks (under the mocker's base path) and a 404 fallback
+ * @param {ApiMocker} apiMocker - The mocker to serve
+ * @param {object} [options] - { cors, admin }; cors is true or cors package options, and the control API is on
+ *                             unless admin is false
+ * @returns {object} - Express app
+ */
+function createApp(apiMocker, options = {}) {
+  const app = express();
+
+  if (options.cors) {
+    app.use(cors(options.cors === true ? undefined : options.cors));
+  }
+
+  // Keep the raw body so proxied requests are forwarded byte for byte
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+  app.use((req, res, next) => {
+    apiMocker.logger(`${req.method} ${req.path}`);
+    next();
+  });
+
+  // Control API for test runners (same operations as the interactive commands)
+  if (options.admin !== false) {
+    app.use(ADMIN_PREFIX, createAdminRouter(apiMocker));
+  }
+
+  app.use(apiMocker.basePath || '/', apiMocker.middleware());
+
+  // Fallback for non-mocked routes
+  app.use((req, res) => {
+    apiMocker.logger(`No mock found for: ${req.method} ${req.path}`);
+    res.status(404).json({
+      error: 'Endpoint not found',
+      message: `No mock defined for ${req.method} ${req.path}`,
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Wrap an Express app for an HTTP/2 server. Express puts its request and response
+ * methods on top of Node's HTTP/1 classes, which breaks HTTP/2 compatibility
+ * requests, so those are handled by a view of the app whose prototypes sit on top
+ * of the HTTP/2 classes instead. HTTP/1.1 requests go to the app as usual.
+ * @param {Function} app - Express app
+ * @returns {Function} - Request handler
+ */
+function http2Handler(app) {
+  const rebase = (proto, base) =>
+    Object.create(base, {
+      ...Object.getOwnPropertyDescriptors(Object.getPrototypeOf(proto)),
+      ...Object.getOwnPropertyDescriptors(proto),
+    });
+  const http2App = Object.create(app, {
+    request: { value: rebase(app.request, http2.Http2ServerRequest.prototype) },
+    response: { value: rebase(app.response, http2.Http2ServerResponse.prototype) },
+  });
+
+  return (req, res) =>
+    req instanceof http2.Http2ServerRequest ? app.handle.call(http2App, req, res) : app(req, res);
+}
+
+/**
+ * Create the Node server for an app: plain HTTP, HTTPS, or HTTP/2 over TLS with
+ * HTTP/1.1 for clients that don't speak HTTP/2 (and for WebSocket upgrades)
+ * @param {Function} app - Express app
+ * @param {object} [options] - { tls, http2 }; tls is { cert, key } as PEM
+ * @returns {object} - Node server, not yet listening
+ */
+function createServer(app, options = {}) {
+  if (!options.tls && options.http2) {
+    throw new Error('HTTP/2 needs HTTPS, since browsers only speak HTTP/2 over TLS');
+  }
+
+  let server;
+  if (!options.tls) {
+    server = http.createServer(app);
+  } else if (options.http2) {
+    server = http2.createSecureServer({ ...options.tls, allowHTTP1: true }, http2Handler(app));
+  } else {
+    server = https.createServer({ ...options.tls }, app);
+  }
+
+  const sockets = new Set();
+  openSockets.set(server, sockets);
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  return server;
+}
+
+/**
+ * Stop a server from createServer(), dropping its open connections
+ * @param {object} server - Node server
+ * @returns {Promise<void>} - Resolves once the server has closed
+ */
+function closeServer(server) {
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    (openSockets.get(server) || []).forEach((socket) => socket.destroy());
+  });
+}
+
+/**
+ * Split "POST /users" into a method and a route; a bare route means GET
+ * @param {string} route - "METHOD /path" or "/path"
+ * @returns {Array<string>} - [method, path]
+ */
+function parseRoute(route) {
+  const match = String(route).trim().match(/^([A-Za-z]+)\s+(\S+)$/);
+  return match ? [match[1].toUpperCase(), match[2]] : ['GET', String(route).trim()];
+}
+
+/**
+ * Start a mock server for tests. Logging is off and the port is random unless
+ * given, so each test file can run its own server in parallel.
+ *
+ *   const server = await createMockServer({ directory: 'mocks' });
+ *   server.override('GET /users/[id]', { statusCode: 404, body: { error: 'Not found' } });
+ *   await fetch(`${server.url}/users/1`);
+ *   await server.close();
+ *
+ * Pass `https: true` to serve over HTTPS with the cached self-signed localhost
+ * certificate, or `https: { cert, key }` with PEM contents; add `http2: true` for HTTP/2.
+ *
+ * @param {object} [options] - ApiMocker options plus { port, host, cors, admin, https, http2 }
+ * @returns {Promise<object>} - { url, port, app, server, mocker, override, forceError, requests, verify, reset, close }
+ */
+async function createMockServer(options = {}) {
+  const {
+    port = 0,
+    host = '127.0.0.1',
+    cors: enableCors,
+    admin,
+    https: tls,
+    http2: useHttp2,
+    ...mockerOptions
+  } = options;
+  const mocker = new ApiMocker({ logger: () => {}, ...mockerOptions });
+  const app = createApp(mocker, { cors: enableCors, admin });
+
+  const server = createServer(app, { tls: tls === true ? await getLocalCertificate() : tls, http2: useHttp2 });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  mocker.attach(server);
+
+  const address = server.address();
+  const protocol = tls ? 'https' : 'http';
+  return {
+    url: `${protocol}://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`,
+    port: address.port,
+    app,
+    server,
+    mocker,
+
+    /**
+     * Answer a route with a response instead of its mock files until reset()
+     * @param {string} route - "METHOD /path" or "/path" (GET); the path may have [params]
+     * @param {object|Function} response - { statusCode, headers, body }, or a function of the request context
+     * @param {object} [overrideOptions] - { times } to answer only the next n requests
+     * @returns {Function} - Removes the override
+     */
+    override(route, response, overrideOptions) {
+      const [method, routePath] = parseRoute(route);
+      const { id } = mocker.addOverride(method, routePath, response, overrideOptions);
+      return () => mocker.removeOverride(id);
+    },
+    forceError: (code, errorOptions) => mocker.forceError(code, errorOptions),
+    requests: (filter) => mocker.findRequests(filter),
+    verify: (filter, expected) => mocker.verifyRequests(filter, expected),
+    reset: () => mocker.reset(),
+    close: () => {
+      mocker.close();
+      return closeServer(server);
+    },
+  };
+}
+
+/**
+ * Start a mock server for one test file: before all tests, reset after each
+ * test (dropping overrides, forced errors, state and the journal) and close
+ * after all. Uses the global beforeAll/afterEach/afterAll (Jest, Vitest with
+ * globals, Mocha's before/after), or the ones passed as `hooks`, e.g.
+ * `{ hooks: test }` in Playwright or `{ hooks: { beforeAll, afterEach, afterAll } }`
+ * imported from vitest.
+ * @param {object} [options] - createMockServer() options plus { hooks }
+ * @returns {object} - The server handle, filled in once the server has started
+ */
+function useMockServer(options = {}) {
+  const { hooks = global, ...serverOptions } = options;
+  const beforeAll = hooks.beforeAll ? 'beforeAll' : 'before';
+  const afterAll = hooks.afterAll ? 'afterAll' : 'after';
+  if (typeof hooks[beforeAll] !== 'function' || typeof hooks.afterEach !== 'function') {
+    throw new Error('useMockServer needs beforeAll, afterEach and afterAll; pass them as { hooks }');
+  }
+
+  const handle = {};
+  hooks[beforeAll](async () => {
+    Object.assign(handle, await createMockServer(serverOptions));
+  });
+  hooks.afterEach(() => {
+    if (handle.reset) {
+      handle.reset();
+    }
+  });
+  hooks[afterAll](async () => {
+    if (handle.close) {
+      await handle.close();
+    }
+  });
+  return handle;
+}
+
+module.exports = {
+  createApp,
+  createServer,
+  closeServer,
+  createMockServer,
+  useMockServer,
+};
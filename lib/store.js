@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory store for stateful collections.
+ *
+ * Each collection is keyed by its concrete request path (e.g. `/users` or
+ * `/users/42/posts`, prefixed with the scenario name when a scenario overrides
+ * it) and seeded once from the matching mock file. Mutations only live in
+ * memory until `reset()` is called.
+ */
+class MockStore {
+  constructor(options = {}) {
+    this.idField = options.idField || 'id';
+    this.collections = new Map();
+  }
+
+  /**
+   * Check whether a collection has been seeded
+   * @param {string} key - Collection key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.collections.has(key);
+  }
+
+  /**
+   * Seed a collection with initial items (ignored if already seeded)
+   * @param {string} key - Collection key
+   * @param {Array<object>} items - Seed items
+   */
+  seed(key, items) {
+    if (!this.collections.has(key)) {
+      this.collections.set(key, JSON.parse(JSON.stringify(items)));
+    }
+  }
+
+  /**
+   * Get all items in a collection
+   * @param {string} key - Collection key
+   * @returns {Array<object>}
+   */
+  list(key) {
+    return this.collections.get(key) || [];
+  }
+
+  /**
+   * Find an item by id
+   * @param {string} key - Collection key
+   * @param {string|number} id - Item id
+   * @returns {object|null}
+   */
+  get(key, id) {
+    return this.list(key).find((item) => this.matchesId(item, id)) || null;
+  }
+
+  /**
+   * Add an item, generating an id if the item has none
+   * @param {string} key - Collection key
+   * @param {object} data - Item data
+   * @returns {object} - The stored item
+   */
+  create(key, data) {
+    const items = this.list(key);
+    const item = { ...data };
+
+    if (item[this.idField] === undefined || item[this.idField] === null || item[this.idField] === '') {
+      item[this.idField] = this.nextId(items);
+    }
+
+    items.push(item);
+    this.collections.set(key, items);
+    return item;
+  }
+
+  /**
+   * Replace or merge an item
+   * @param {string} key - Collection key
+   * @param {string|number} id - Item id
+   * @param {object} data - New item data
+   * @param {boolean} merge - Merge into the existing item instead of replacing it
+   * @returns {object|null} - The updated item, or null if not found
+   */
+  update(key, id, data, merge = false) {
+    const items = this.list(key);
+    const index = items.findIndex((item) => this.matchesId(item, id));
+
+    if (index === -1) {
+      return null;
+    }
+
+    const existing = items[index];
+    const updated = merge ? { ...existing, ...data } : { ...data };
+
+    // The id is part of the URL, so it can't be changed through the body
+    updated[this.idField] = existing[this.idField];
+    items[index] = updated;
+    return updated;
+  }
+
+  /**
+   * Remove an item
+   * @param {string} key - Collection key
+   * @param {string|number} id - Item id
+   * @returns {object|null} - The removed item, or null if not found
+   */
+  remove(key, id) {
+    const items = this.list(key);
+    const index = items.findIndex((item) => this.matchesId(item, id));
+
+    if (index === -1) {
+      return null;
+    }
+
+    return items.splice(index, 1)[0];
+  }
+
+  /**
+   * Drop all state so collections are re-seeded from mock files
+   */
+  reset() {
+    this.collections.clear();
+  }
+
+  /**
+   * Compare an item's id with a (possibly string) id from the URL
+   */
+  matchesId(item, id) {
+    return item && item[this.idField] !== undefined && String(item[this.idField]) === String(id);
+  }
+
+  /**
+   * Generate the next id: numeric ids increment, anything else gets a UUID
+   */
+  nextId(items) {
+    const ids = items.map((item) => item[this.idField]);
+
+    if (ids.length === 0 || ids.every((id) => typeof id === 'number')) {
+      return ids.reduce((max, id) => Math.max(max, id), 0) + 1;
+    }
+
+    return crypto.randomUUID();
+  }
+}
+
+module.exports = MockStore;
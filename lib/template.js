@@ -0,0 +1,208 @@
+/**
+ * Response templating for mock bodies and headers.
+ *
+ * Tokens use the form `{{source.path}}`, e.g. `{{params.id}}`, `{{query.page}}`,
+ * `{{body.user.email}}` or `{{headers.x-tenant}}`. A fallback can be given with
+ * `{{query.page || 1}}`.
+ *
+ * When a string consists of a single token, the resolved value replaces the whole
+ * string so its type is preserved (numbers stay numbers, objects stay objects).
+ * Tokens embedded in a longer string are interpolated as text.
+ *
+ * Functions in the context can be called with literal arguments, e.g.
+ * `{{fake.number(1, 100)}}` (see lib/generator.js for the `fake` source).
+ *
+ * An object of the form `{ "_repeat": 50, "_template": {...} }` renders to an
+ * array of 50 copies of the template, each with `{{repeat.index}}` (from 0) and
+ * `{{repeat.id}}` (from 1). `_repeat` may also be a `[min, max]` range.
+ */
+
+const TOKEN_REGEX = /\{\{\s*([^}]+?)\s*\}\}/g;
+const SINGLE_TOKEN_REGEX = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const CALL_REGEX = /^([^(]+)\((.*)\)$/;
+const ARGUMENT_REGEX = /\s*(?:'[^']*'|"[^"]*"|[^,]+)/g;
+
+// Sources whose values arrive as strings from the URL and may be coerced to numbers
+const URL_SOURCES = ['params', 'query'];
+
+/**
+ * Read a dotted path (e.g. `user.address.zip`) from an object
+ * @param {object} source - The object to read from
+ * @param {string} keyPath - Dot-separated path
+ * @returns {*} - The value found, or undefined
+ */
+function getValueAtPath(source, keyPath) {
+  if (!keyPath) {
+    return source;
+  }
+
+  return keyPath.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    return current[key];
+  }, source);
+}
+
+/**
+ * Convert numeric and boolean strings to their native type
+ * @param {*} value - Raw value
+ * @returns {*} - Coerced value
+ */
+function coerceValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+
+  // Only convert when the round trip is lossless, so "007" or "1e3" stay strings
+  if (value.trim() !== '' && String(Number(value)) === value) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Parse a fallback literal from a token, e.g. `1`, `"guest"` or `null`
+ * @param {string} literal - Fallback text
+ * @returns {*} - Parsed value
+ */
+function parseFallback(literal) {
+  try {
+    return JSON.parse(literal);
+  } catch (error) {
+    return literal.replace(/^'(.*)'$/, '$1');
+  }
+}
+
+/**
+ * Parse call arguments such as `1, 100` or `'admin', 'editor'`
+ * @param {string} text - Text between the parentheses
+ * @returns {Array<*>} - Parsed arguments
+ */
+function parseArguments(text) {
+  return (text.match(ARGUMENT_REGEX) || [])
+    .map((argument) => argument.trim())
+    .filter((argument) => argument !== '')
+    .map(parseFallback);
+}
+
+/**
+ * Resolve a single token expression against the template context
+ * @param {string} expression - Token content without braces
+ * @param {object} context - Template context ({ params, query, body, headers, ... })
+ * @returns {*} - The resolved value, or undefined
+ */
+function resolveExpression(expression, context) {
+  const [rawPath, ...fallbackParts] = expression.split('||');
+  const callMatch = rawPath.trim().match(CALL_REGEX);
+  const tokenPath = callMatch ? callMatch[1].trim() : rawPath.trim();
+  const [sourceName, ...rest] = tokenPath.split('.');
+  let keyPath = rest.join('.');
+
+  // Header names are case-insensitive and express lowercases them
+  if (sourceName === 'headers') {
+    keyPath = keyPath.toLowerCase();
+  }
+
+  let value = getValueAtPath(context[sourceName], keyPath);
+
+  if (typeof value === 'function') {
+    value = value(...(callMatch ? parseArguments(callMatch[2]) : []));
+  }
+
+  if (URL_SOURCES.includes(sourceName)) {
+    value = coerceValue(value);
+  }
+
+  if ((value === undefined || value === null || value === '') && fallbackParts.length > 0) {
+    return parseFallback(fallbackParts.join('||').trim());
+  }
+
+  return value;
+}
+
+/**
+ * Render a string template
+ * @param {string} template - String that may contain tokens
+ * @param {object} context - Template context
+ * @returns {*} - Rendered value (non-string if the template is a single token)
+ */
+function renderString(template, context) {
+  const singleMatch = template.match(SINGLE_TOKEN_REGEX);
+  if (singleMatch) {
+    const value = resolveExpression(singleMatch[1], context);
+    return value === undefined ? null : value;
+  }
+
+  return template.replace(TOKEN_REGEX, (match, expression) => {
+    const value = resolveExpression(expression, context);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Expand a `{ _repeat, _template }` generator into an array
+ * @param {object} generator - Object with _repeat and _template
+ * @param {object} context - Template context
+ * @returns {Array<*>} - Rendered items
+ */
+function renderRepeat(generator, context) {
+  let count = renderTemplate(generator._repeat, context);
+
+  if (Array.isArray(count)) {
+    const [min, max] = count.map(Number);
+    count = context.fake ? context.fake.number(min, max) : min;
+  }
+
+  count = Number(count);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`_repeat must be a non-negative integer or [min, max], got ${JSON.stringify(generator._repeat)}`);
+  }
+
+  return Array.from({ length: count }, (item, index) =>
+    renderTemplate(generator._template, { ...context, repeat: { index, id: index + 1, count } })
+  );
+}
+
+/**
+ * Recursively render templates in a mock value (objects, arrays and strings)
+ * @param {*} value - Mock body, header map or any nested value
+ * @param {object} context - Template context
+ * @returns {*} - A new value with all tokens substituted
+ */
+function renderTemplate(value, context) {
+  if (typeof value === 'string') {
+    return renderString(value, context);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplate(item, context));
+  }
+
+  if (value && typeof value === 'object') {
+    if ('_repeat' in value && '_template' in value) {
+      return renderRepeat(value, context);
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[renderString(key, context)] = renderTemplate(item, context);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = {
+  renderTemplate,
+  getValueAtPath,
+  coerceValue,
+};
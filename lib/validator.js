@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { dereference, findOperation } = require('./openapi');
+
+// Request parts a schema can describe
+const SECTIONS = ['body', 'query', 'params', 'headers'];
+
+/**
+ * Validates requests against JSON Schema, either from a `METHOD.schema.json`
+ * file next to the mock or from an OpenAPI document.
+ *
+ * A schema file lists one JSON schema per request part, plus an optional status:
+ *
+ *   {
+ *     "_statusCode": 422,
+ *     "body": { "type": "object", "required": ["email"], "properties": { ... } },
+ *     "query": { "properties": { "page": { "type": "integer", "minimum": 1 } } },
+ *     "params": { "properties": { "id": { "type": "integer" } } }
+ *   }
+ */
+class RequestValidator {
+  constructor(options = {}) {
+    this.spec = options.openapi || null;
+    this.index = options.index || null; // RouteIndex, to skip filesystem checks for routes without schemas
+
+    // Query strings and path params are always strings, so let Ajv coerce them
+    this.bodyAjv = addFormats(new Ajv({ allErrors: true, strict: false }));
+    this.paramAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: true }));
+
+    this.fileCache = new Map();
+    this.operationCache = new WeakMap();
+  }
+
+  /**
+   * Get the compiled validators for a request, from a schema file or the OpenAPI spec
+   * @param {string|null} mockPath - The resolved mock file path
+   * @param {string} requestPath - The request path
+   * @param {string} method - The HTTP method
+   * @returns {object|null} - Compiled validators, or null if the route has no schema
+   */
+  getValidators(mockPath, requestPath, method) {
+    if (mockPath) {
+      const fromFile = this.validatorsForFile(path.join(path.dirname(mockPath), `${method}.schema.json`));
+      if (fromFile) {
+        return fromFile;
+      }
+    }
+
+    return this.spec ? this.validatorsForOperation(requestPath, method) : null;
+  }
+
+  /**
+   * Compile a METHOD.schema.json file, caching until the file changes
+   */
+  validatorsForFile(schemaPath) {
+    const exists = this.index ? this.index.exists(schemaPath) : fs.existsSync(schemaPath);
+    if (!exists) {
+      return null;
+    }
+
+    const filePath = this.index ? this.index.resolveFile(schemaPath) : schemaPath;
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const cached = this.fileCache.get(filePath);
+    if (cached && cached.mtime === mtime) {
+      return cached.validators;
+    }
+
+    const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const validators = this.compile(definition, { source: 'file', bodyRequired: false });
+    this.fileCache.set(filePath, { mtime, validators });
+    return validators;
+  }
+
+  /**
+   * Compile the request schema of the matching OpenAPI operation
+   */
+  validatorsForOperation(requestPath, method) {
+    const match = findOperation(this.spec, requestPath, method);
+    if (!match) {
+      return null;
+    }
+
+    if (this.operationCache.has(match.operation)) {
+      return this.operationCache.get(match.operation);
+    }
+
+    const operation = dereference(this.spec, match.operation);
+    const pathItem = dereference(this.spec, match.pathItem);
+    const definition = {};
+
+    // Operation-level parameters override path-level ones with the same name and location
+    const parameters = new Map();
+    [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach((parameter) => {
+      parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    });
+
+    const locations = { path: 'params', query: 'query', header: 'headers' };
+    for (const parameter of parameters.values()) {
+      const section = locations[parameter.in];
+      if (!section) {
+        continue;
+      }
+
+      const name = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+      definition[section] = definition[section] || { type: 'object', properties: {}, required: [] };
+      definition[section].properties[name] = parameter.schema || {};
+      if (parameter.required || parameter.in === 'path') {
+        definition[section].required.push(name);
+      }
+    }
+
+    const content = (operation.requestBody && operation.requestBody.content) || {};
+    const mediaType = Object.keys(content).find((type) => type.includes('json'));
+    if (mediaType && content[mediaType].schema) {
+      definition.body = content[mediaType].schema;
+    }
+
+    const validators = this.compile(definition, {
+      source: 'openapi',
+      bodyRequired: Boolean(operation.requestBody && operation.requestBody.required),
+    });
+    this.operationCache.set(match.operation, validators);
+    return validators;
+  }
+
+  /**
+   * Compile a { body, query, params, headers } definition into validator functions
+   */
+  compile(definition, options) {
+    const validators = {
+      source: options.source,
+      statusCode: definition._statusCode || 400,
+      bodyRequired: options.bodyRequired,
+    };
+
+    for (const section of SECTIONS) {
+      if (definition[section]) {
+        const ajv = section === 'body' ? this.bodyAjv : this.paramAjv;
+        validators[section] = ajv.compile(definition[section]);
+      }
+    }
+
+    return validators;
+  }
+
+  /**
+   * Validate a request
+   * @param {object} validators - Result of getValidators()
+   * @param {object} request - { body, query, params, headers }
+   * @returns {Array<object>} - Validation errors ({ location, field, message }), empty if valid
+   */
+  validate(validators, request) {
+    const errors = [];
+
+    for (const section of SECTIONS) {
+      const validateFn = validators[section];
+      if (!validateFn) {
+        continue;
+      }
+
+      let data = request[section];
+      const isEmpty = data === undefined || data === null || (typeof data === 'object' && !Object.keys(data).length);
+
+      if (section === 'body' && isEmpty) {
+        if (validators.bodyRequired) {
+          errors.push({ location: 'body', field: null, message: 'request body is required' });
+          continue;
+        }
+        // Optional OpenAPI bodies are only validated when sent; schema files report missing fields
+        if (validators.source === 'openapi') {
+          continue;
+        }
+        data = {};
+      }
+
+      // Copy so type coercion doesn't change the request seen by the mock
+      const copy = JSON.parse(JSON.stringify(data || {}));
+      if (!validateFn(copy)) {
+        validateFn.errors.forEach((error) => errors.push(this.formatError(section, error)));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Turn an Ajv error into { location, field, message }
+   */
+  formatError(location, error) {
+    const parts = error.instancePath.split('/').filter(Boolean);
+    if (error.params && error.params.missingProperty) {
+      parts.push(error.params.missingProperty);
+    }
+    if (error.params && error.params.additionalProperty) {
+      parts.push(error.params.additionalProperty);
+    }
+
+    return {
+      location,
+      field: parts.length > 0 ? parts.join('.') : null,
+      message: error.message,
+    };
+  }
+}
+
+module.exports = RequestValidator;
@@ -0,0 +1,71 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+/**
+ * WebSocket upgrades for WS.json mocks. Framing, masking, fragmentation and the
+ * closing handshake are left to the `ws` package; this module decides which
+ * upgrades to accept and answers the rest with a plain HTTP response.
+ */
+
+// Largest message accepted from a client, fragments included; bigger ones close the connection with 1009
+const MAX_PAYLOAD = 16 * 1024 * 1024;
+
+/**
+ * Check whether a request asks to upgrade to a WebSocket
+ * @param {object} req - Node request
+ * @returns {boolean}
+ */
+function isWebSocketUpgrade(req) {
+  return (req.headers.upgrade || '').toLowerCase() === 'websocket' && Boolean(req.headers['sec-websocket-key']);
+}
+
+/**
+ * Complete the upgrade handshake and start a connection
+ * @param {object} req - Node request with the upgrade headers
+ * @param {object} socket - The request's socket
+ * @param {Buffer} head - Data received after the request headers
+ * @param {object} [options] - { protocol } subprotocol to confirm; the client's first one by default
+ * @returns {Promise<WebSocket>} - The `ws` connection; rejects if the handshake is invalid
+ */
+function acceptWebSocket(req, socket, head, options = {}) {
+  const server = new WebSocketServer({
+    noServer: true,
+    clientTracking: false,
+    maxPayload: MAX_PAYLOAD,
+    handleProtocols: (protocols) => options.protocol || protocols.values().next().value,
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('wsClientError', (error) => {
+      rejectUpgrade(socket, 400, { error: 'Bad Request', message: error.message });
+      reject(error);
+    });
+    server.handleUpgrade(req, socket, head, resolve);
+  });
+}
+
+/**
+ * Refuse an upgrade with a plain HTTP response
+ * @param {object} socket - The request's socket
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - JSON body
+ * @param {object} [headers] - Extra response headers
+ */
+function rejectUpgrade(socket, statusCode, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  const lines = [
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || ''}`,
+    'Content-Type: application/json; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    'Connection: close',
+    ...Object.entries(headers).map(([key, value]) => `${key}: ${value}`),
+  ];
+  socket.end(lines.join('\r\n') + '\r\n\r\n' + payload);
+}
+
+module.exports = {
+  MAX_PAYLOAD,
+  isWebSocketUpgrade,
+  acceptWebSocket,
+  rejectUpgrade,
+};
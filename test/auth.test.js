@@ -0,0 +1,131 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signToken, verifyToken } = require('../lib/auth');
+const { useMockServer } = require('../lib/server');
+
+const server = useMockServer({
+  directory: path.join(__dirname, '..', 'examples', 'mocks'),
+  hooks: { before, afterEach, after },
+});
+
+const login = (username, password) =>
+  fetch(`${server.url}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+
+const getStats = (headers = {}) => fetch(`${server.url}/admin/stats`, { headers });
+
+describe('login', () => {
+  it('issues tokens and a session cookie for a user from _users.json', async () => {
+    const response = await login('admin', 'admin123');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('set-cookie'), /^mock_session=[\w-]+\.[\w-]+\.[\w-]+;/);
+
+    const body = await response.json();
+    assert.equal(body.tokenType, 'Bearer');
+    assert.deepEqual(body.user, { id: '1', name: 'Admin User', role: 'admin' });
+  });
+
+  it('refuses a wrong password', async () => {
+    const response = await login('admin', 'wrong');
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).message, 'Invalid username or password');
+  });
+});
+
+describe('protected routes', () => {
+  it('serve the mock with a valid bearer token', async () => {
+    const { accessToken } = await (await login('admin', 'admin123')).json();
+
+    const response = await getStats({ Authorization: `Bearer ${accessToken}` });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).requestedBy, 'Admin User');
+  });
+
+  it('serve the mock with the session cookie', async () => {
+    const cookie = (await login('admin', 'admin123')).headers.get('set-cookie').split(';')[0];
+    assert.equal((await getStats({ Cookie: cookie })).status, 200);
+  });
+
+  it('answer 401 without credentials', async () => {
+    const response = await getStats();
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  it('answer 401 for a token that fails verification', async () => {
+    const response = await getStats({ Authorization: 'Bearer not.a.token' });
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get('www-authenticate'), /error="invalid_token"/);
+  });
+
+  it('answer 401 for a malformed session cookie', async () => {
+    assert.equal((await getStats({ Cookie: 'mock_session=%E0%A4%A' })).status, 401);
+  });
+
+  it('answer 403 when the user lacks the role', async () => {
+    const response = await getStats({ Authorization: `Basic ${Buffer.from('jane:jane123').toString('base64')}` });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).message, 'Requires one of the roles: admin');
+  });
+});
+
+describe('verifyToken', () => {
+  const SECRET = 'test-secret';
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  it('accepts a token it signed', () => {
+    assert.equal(verifyToken(signToken({ sub: '1' }, SECRET), SECRET).claims.sub, '1');
+  });
+
+  it('rejects a token whose header names another algorithm', () => {
+    const [, payload, signature] = signToken({ sub: '1' }, SECRET).split('.');
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${payload}`;
+
+    assert.deepEqual(verifyToken(`${unsigned}.`, SECRET), { error: 'The token algorithm must be HS256' });
+    assert.deepEqual(verifyToken(`${unsigned}.${signature}`, SECRET), { error: 'The token algorithm must be HS256' });
+    const rs256 = `${encode({ alg: 'RS256' })}.${payload}.${signature}`;
+    assert.deepEqual(verifyToken(rs256, SECRET), { error: 'The token algorithm must be HS256' });
+  });
+
+  it('rejects a header that is not JSON', () => {
+    const [, payload, signature] = signToken({ sub: '1' }, SECRET).split('.');
+    assert.deepEqual(verifyToken(`bm9wZQ.${payload}.${signature}`, SECRET), { error: 'The token is not a valid JWT' });
+  });
+});
+
+describe('unauthorized error scenario', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-auth-'));
+  fs.mkdirSync(path.join(directory, 'orders', 'errors'), { recursive: true });
+  fs.writeFileSync(path.join(directory, 'orders', 'GET.json'), JSON.stringify({ orders: [] }));
+  fs.writeFileSync(
+    path.join(directory, 'orders', 'errors', 'GET_unauthorized.json'),
+    JSON.stringify({ _statusCode: 401, error: 'Unauthorized' })
+  );
+  fs.writeFileSync(path.join(directory, '_users.json'), JSON.stringify([{ username: 'jane', password: 'jane123' }]));
+
+  const mocks = useMockServer({ directory, hooks: { before, afterEach, after } });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const getOrders = (headers = {}) => fetch(`${mocks.url}/orders`, { headers });
+  const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  it('applies to requests without credentials', async () => {
+    assert.equal((await getOrders()).status, 401);
+  });
+
+  it('lets any bearer token through, as before tokens were verified', async () => {
+    const response = await getOrders({ Authorization: 'Bearer anything' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { orders: [] });
+  });
+
+  it('checks basic credentials against _users.json', async () => {
+    assert.equal((await getOrders({ Authorization: basic('jane:jane123') })).status, 200);
+    assert.equal((await getOrders({ Authorization: basic('jane:wrong') })).status, 401);
+  });
+});
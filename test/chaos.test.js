@@ -0,0 +1,117 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  normalizeChaos,
+  parseChaosAssignments,
+  parseLatency,
+  pickWeighted,
+  rollError,
+  rollFault,
+  sampleLatency,
+} = require('../lib/chaos');
+const { useMockServer } = require('..');
+
+// A random source that returns the given rolls in turn
+const rolls = (...values) => () => values.shift();
+
+describe('chaos settings', () => {
+  it('parses latency specs', () => {
+    assert.equal(parseLatency('200'), 200);
+    assert.deepEqual(parseLatency('100-800'), { min: 100, max: 800 });
+    assert.deepEqual(parseLatency('300~100'), { mean: 300, jitter: 100 });
+    assert.deepEqual(parseLatency('p50:100,p95:800'), { p50: 100, p95: 800 });
+    assert.throws(() => parseLatency('fast'), /Invalid latency "fast"/);
+  });
+
+  it('normalizes assignments from the command line', () => {
+    assert.deepEqual(parseChaosAssignments('latency=100-800 bandwidth=50k errorRate=0.2 errors=500:3,503 drop=0.05'), {
+      latency: { min: 100, max: 800 },
+      bandwidth: 51200,
+      errorRate: 0.2,
+      errors: { 500: 3, 503: 1 },
+      drop: 0.05,
+    });
+  });
+
+  it('refuses unknown settings and rates outside 0-1', () => {
+    assert.throws(() => normalizeChaos({ jitter: 1 }), /Unknown chaos setting "jitter"/);
+    assert.throws(() => normalizeChaos({ errorRate: 2 }), /errorRate must be a probability between 0 and 1/);
+    assert.throws(() => normalizeChaos({ latency: { p: 1 } }), /Invalid latency/);
+    assert.throws(() => parseChaosAssignments('drop'), /Expected key=value/);
+  });
+});
+
+describe('chaos rolls', () => {
+  it('samples latency from ranges, jitter and percentiles', () => {
+    assert.equal(sampleLatency({ min: 100, max: 200 }, rolls(0.5)), 150);
+    assert.equal(sampleLatency({ mean: 300, jitter: 100 }, rolls(0)), 200);
+    assert.equal(sampleLatency({ p50: 100, p90: 500 }, rolls(0.25)), 50);
+    assert.equal(sampleLatency({ p50: 100, p90: 500 }, rolls(0.7)), 300);
+    assert.equal(sampleLatency({ p50: 100, p90: 500 }, rolls(0.95)), 500);
+  });
+
+  it('picks error codes by weight', () => {
+    assert.equal(pickWeighted({ 500: 3, 503: 1 }, rolls(0.7)), '500');
+    assert.equal(pickWeighted({ 500: 3, 503: 1 }, rolls(0.8)), '503');
+    assert.equal(pickWeighted({ 500: 0 }, rolls(0.1)), '500');
+  });
+
+  it('rolls an error only within the error rate', () => {
+    assert.equal(rollError({ errorRate: 0.1, errors: { 429: 1 } }, rolls(0.05, 0)), '429');
+    assert.equal(rollError({ errorRate: 0.1, errors: { 429: 1 } }, rolls(0.5)), null);
+    assert.equal(rollError({}, rolls(0)), null);
+  });
+
+  it('rolls faults in order with one roll', () => {
+    const chaos = { timeout: 0.1, drop: 0.1, malformed: 0.1 };
+    assert.equal(rollFault(chaos, rolls(0.05)), 'timeout');
+    assert.equal(rollFault(chaos, rolls(0.15)), 'drop');
+    assert.equal(rollFault(chaos, rolls(0.25)), 'malformed');
+    assert.equal(rollFault(chaos, rolls(0.35)), null);
+  });
+});
+
+describe('chaos responses', () => {
+  const server = useMockServer({
+    directory: path.join(__dirname, '..', 'examples', 'mocks'),
+    hooks: { before, afterEach, after },
+  });
+  const getUser = () => fetch(`${server.url}/users/1`);
+
+  it('answers with an error from the mix', async () => {
+    server.mocker.setChaos({ errorRate: 1, errors: { 503: 1 } });
+    assert.equal((await getUser()).status, 503);
+  });
+
+  it('limits route settings to that route', async () => {
+    server.mocker.setChaos({ errorRate: 1, errors: { 429: 1 } }, { method: 'GET', path: '/users/1' });
+    assert.equal((await getUser()).status, 429);
+    assert.equal((await fetch(`${server.url}/products`)).status, 200);
+  });
+
+  it('delays responses by the latency', async () => {
+    server.mocker.setChaos({ latency: 150 });
+    const start = Date.now();
+    await getUser();
+    assert.ok(Date.now() - start >= 140);
+  });
+
+  it('sends malformed and truncated bodies', async () => {
+    server.mocker.setChaos({ malformed: 1 });
+    const malformed = await (await getUser()).text();
+    assert.throws(() => JSON.parse(malformed));
+    assert.match(malformed, /,\}$/);
+
+    server.mocker.clearChaos();
+    const full = await (await getUser()).text();
+    server.mocker.setChaos({ truncate: 1 });
+    const truncated = await (await getUser()).text();
+    assert.equal(truncated, full.slice(0, Math.floor(full.length / 2)));
+  });
+
+  it('drops the connection', async () => {
+    server.mocker.setChaos({ drop: 1 });
+    await assert.rejects(getUser(), /fetch failed/);
+  });
+});
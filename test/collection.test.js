@@ -0,0 +1,103 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { applyCollection, normalizeOptions, queryItems } = require('../lib/collection');
+const { useMockServer } = require('..');
+
+const items = [
+  { id: 1, name: 'Desk Lamp', price: 40, category: 'home', tags: 'light' },
+  { id: 2, name: 'Floor Lamp', price: 120, category: 'home' },
+  { id: 3, name: 'Tent', price: 250, category: 'outdoor', brand: { name: 'Peak' } },
+  { id: 4, name: 'Lantern', price: 40, category: 'outdoor' },
+  { id: 5, name: 'Mug', price: 8, category: 'kitchen' },
+];
+const ids = (result) => result.items.map((item) => item.id);
+
+describe('queryItems', () => {
+  it('pages with page and limit', () => {
+    const { items: pageItems, ...paging } = queryItems(items, { page: '2', limit: '2' });
+    assert.deepEqual(
+      pageItems.map((item) => item.id),
+      [3, 4]
+    );
+    assert.deepEqual(paging, { total: 5, page: 2, limit: 2, pages: 3 });
+    assert.deepEqual(ids(queryItems(items, { page: '9', limit: '2' })), []);
+  });
+
+  it('falls back to the defaults for invalid paging values and caps the limit', () => {
+    const result = queryItems(items, { page: '-1', limit: 'all' }, { limit: 3 });
+    assert.equal(result.page, 1);
+    assert.equal(result.limit, 3);
+    assert.equal(queryItems(items, { limit: '500' }, { maxLimit: 4 }).limit, 4);
+  });
+
+  it('filters on fields, with repeated keys and range suffixes', () => {
+    assert.deepEqual(ids(queryItems(items, { category: 'home' })), [1, 2]);
+    assert.deepEqual(ids(queryItems(items, { category: ['home', 'kitchen'] })), [1, 2, 5]);
+    assert.deepEqual(ids(queryItems(items, { price_gte: '40', price_lt: '250' })), [1, 2, 4]);
+    assert.deepEqual(ids(queryItems(items, { category_ne: 'home' })), [3, 4, 5]);
+    assert.deepEqual(ids(queryItems(items, { name_like: 'LAMP' })), [1, 2]);
+    assert.deepEqual(ids(queryItems(items, { 'brand.name': 'Peak' })), [3]);
+  });
+
+  it('ignores parameters that are not fields of the items', () => {
+    assert.equal(queryItems(items, { cachebust: '123', utm_source: 'mail' }).total, 5);
+  });
+
+  it('searches string fields, or only the configured ones', () => {
+    assert.deepEqual(ids(queryItems(items, { q: 'lamp' })), [1, 2]);
+    assert.deepEqual(ids(queryItems(items, { q: 'light' })), [1]);
+    assert.deepEqual(ids(queryItems(items, { q: 'light' }, { search: ['name'] })), []);
+  });
+
+  it('sorts on several fields in either direction', () => {
+    assert.deepEqual(ids(queryItems(items, { sort: 'price,-id' })), [5, 4, 1, 2, 3]);
+    assert.deepEqual(ids(queryItems(items, { sort: 'price', order: 'desc' })), [3, 2, 1, 4, 5]);
+    assert.deepEqual(ids(queryItems(items, { sort: 'brand.name' })).slice(0, 1), [3]);
+  });
+});
+
+describe('applyCollection', () => {
+  it('keeps the envelope and corrects its paging fields', () => {
+    const body = { products: items, total: 99, page: 7, totalPages: 1, extra: true };
+    const context = { path: '/products', query: { limit: '2', page: '2', category: 'outdoor' } };
+    const result = applyCollection(body, 'products', context);
+
+    assert.deepEqual(result.body, { products: [], total: 2, page: 2, totalPages: 1, extra: true });
+    assert.equal(result.headers['X-Total-Count'], '2');
+    assert.equal(
+      result.headers.Link,
+      '</products?limit=2&page=1&category=outdoor>; rel="first", ' +
+        '</products?limit=2&page=1&category=outdoor>; rel="prev", ' +
+        '</products?limit=2&page=1&category=outdoor>; rel="last"'
+    );
+  });
+
+  it('refuses a directive that does not name an array', () => {
+    assert.throws(() => normalizeOptions({ limit: 5 }), /_collection must name the array to query/);
+    assert.throws(() => applyCollection({ products: {} }, 'products', { query: {} }), /is not an array/);
+  });
+});
+
+describe('collection mocks', () => {
+  const server = useMockServer({
+    directory: path.join(__dirname, '..', 'examples', 'mocks'),
+    hooks: { before, afterEach, after },
+  });
+
+  it('pages, filters and sorts a mock with _collection', async () => {
+    const response = await fetch(`${server.url}/products?category=electronics&sort=-price&limit=1`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-total-count'), '2');
+    assert.match(response.headers.get('link'), /rel="next"/);
+    assert.equal(response.headers.get('cache-control'), 'max-age=300');
+
+    const body = await response.json();
+    assert.deepEqual(
+      body.products.map((product) => product.name),
+      ['Smartphone Pro']
+    );
+    assert.equal(body.total, 2);
+    assert.equal(body.limit, 1);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { matchConditions, matchValue } = require('../lib/conditions');
+const { useMockServer } = require('..');
+
+const request = {
+  body: { title: 'Hello', price: 12.5, tags: ['a', 'b'], user: { address: { zip: '10115' } } },
+  query: { page: '2', plan: 'free' },
+  headers: { 'x-beta': '1' },
+  params: { id: '7' },
+  variables: { input: { title: 'Draft' } },
+};
+
+describe('matchValue', () => {
+  it('compares literals, loosely for URL and header values', () => {
+    assert.equal(matchValue('2', 2, { loose: true }), true);
+    assert.equal(matchValue('2', 2), false);
+    assert.equal(matchValue(['a', 'b'], ['a', 'b']), true);
+  });
+
+  it('applies comparison operators', () => {
+    assert.equal(matchValue(12.5, { $gt: 10, $lte: 12.5 }), true);
+    assert.equal(matchValue('15', { $gte: 20 }), false);
+    assert.equal(matchValue('abc', { $lt: 5 }), false);
+    assert.equal(matchValue('free', { $ne: 'premium' }), true);
+  });
+
+  it('applies list, pattern and length operators', () => {
+    assert.equal(matchValue('free', { $in: ['free', 'trial'] }), true);
+    assert.equal(matchValue('free', { $nin: ['free'] }), false);
+    assert.equal(matchValue('Hello', { $regex: '^hel', $flags: 'i' }), true);
+    assert.equal(matchValue(undefined, { $regex: '.*' }), false);
+    assert.equal(matchValue(['a', 'b'], { $length: { $gte: 2 } }), true);
+    assert.equal(matchValue('Hello', { $minLength: 6 }), false);
+    assert.equal(matchValue('Hello', { $maxLength: 5 }), true);
+    assert.equal(matchValue(5, { $minLength: 1 }), false);
+  });
+
+  it('checks presence and negation', () => {
+    assert.equal(matchValue(undefined, { $exists: false }), true);
+    assert.equal(matchValue(null, { $exists: true }), false);
+    assert.equal(matchValue('free', { $not: { $in: ['premium'] } }), true);
+  });
+
+  it('matches nested objects partially', () => {
+    assert.equal(matchValue(request.body, { user: { address: { zip: '10115' } } }), true);
+    assert.equal(matchValue(request.body, { 'user.address.zip': '99999' }), false);
+    assert.equal(matchValue('text', { zip: '10115' }), false);
+  });
+
+  it('refuses unknown operators', () => {
+    assert.throws(() => matchValue(1, { $near: 1 }), /Unknown condition operator: \$near/);
+  });
+});
+
+describe('matchConditions', () => {
+  it('requires every field of a condition to match', () => {
+    assert.equal(matchConditions({ query: { page: 2 }, params: { id: '7' } }, request), true);
+    assert.equal(matchConditions({ query: { page: 2 }, params: { id: '8' } }, request), false);
+  });
+
+  it('matches when any condition in a list does', () => {
+    assert.equal(matchConditions([{ query: { plan: 'premium' } }, { headers: { 'X-Beta': '1' } }], request), true);
+    assert.equal(matchConditions([{ query: { plan: 'premium' } }], request), false);
+  });
+
+  it('reads dotted paths from the body and GraphQL variables', () => {
+    assert.equal(matchConditions({ body: { 'user.address.zip': { $regex: '^10' } } }, request), true);
+    assert.equal(matchConditions({ variables: { 'input.title': 'Draft' } }, request), true);
+  });
+
+  it('groups conditions with all, any and not', () => {
+    const condition = {
+      all: [{ query: { plan: 'free' } }, { body: { price: { $gt: 10 } } }],
+      any: [{ headers: { 'x-beta': { $exists: true } } }, { query: { page: '9' } }],
+      not: { params: { id: '1' } },
+    };
+    assert.equal(matchConditions(condition, request), true);
+    assert.equal(matchConditions({ ...condition, not: { params: { id: '7' } } }, request), false);
+    assert.equal(matchConditions({ any: [] }, request), false);
+  });
+});
+
+describe('error scenarios with conditions', () => {
+  const server = useMockServer({
+    directory: path.join(__dirname, '..', 'examples', 'mocks'),
+    hooks: { before, afterEach, after },
+  });
+
+  const createProduct = (body) =>
+    fetch(`${server.url}/products`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  it('answers with the error whose conditions match the request', async () => {
+    const response = await createProduct({ name: 'Lamp', price: 0, category: 'home' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).message, 'Invalid product price');
+
+    const missing = await createProduct({ name: 'Lamp', price: 10 });
+    assert.equal((await missing.json()).message, 'Missing required fields');
+  });
+
+  it('serves the mock when no conditions match', async () => {
+    const response = await createProduct({ name: 'Lamp', price: 10, category: 'home' });
+    assert.equal(response.status, 201);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  findConfigFile,
+  loadConfig,
+  normalizeBasePath,
+  normalizeRoutes,
+  validateConfig,
+} = require('../lib/config');
+const { createMockServer } = require('..');
+
+const writeJson = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+};
+
+describe('config validation', () => {
+  it('accepts known settings', () => {
+    validateConfig({ port: 4000, basePath: '/api', cors: { origin: '*' }, routes: { '/a/*': { delay: 10 } } }, 'x');
+  });
+
+  it('lists every problem at once', () => {
+    assert.throws(
+      () => validateConfig({ prot: 4000, port: 70000, errorRate: 2, directory: 'a', directories: ['b'] }, 'cfg.json'),
+      {
+        message: [
+          'Invalid config in cfg.json:',
+          '  - Unknown setting "prot"',
+          '  - "port" must be a port number between 0 and 65535 (got 70000)',
+          '  - "errorRate" must be between 0 and 1 (got 2)',
+          '  - Use either "directory" or "directories", not both',
+        ].join('\n'),
+      }
+    );
+    assert.throws(() => validateConfig([], 'cfg.json'), /cfg.json must export an object of settings/);
+  });
+
+  it('parses route settings into delay, headers and chaos', () => {
+    assert.deepEqual(
+      normalizeRoutes({ 'get /users/[id]': { delay: 1500 }, '/payments/*': { errorRate: 0.3, headers: { A: '1' } } }),
+      [
+        { method: 'GET', pattern: '/users/[id]', delay: 1500, headers: {}, chaos: {} },
+        { method: null, pattern: '/payments/*', delay: undefined, headers: { A: '1' }, chaos: { errorRate: 0.3 } },
+      ]
+    );
+  });
+
+  it('explains invalid route settings', () => {
+    assert.throws(() => normalizeRoutes({ users: {} }), /route "users" must look like "GET \/users\/\[id\]"/);
+    assert.throws(() => normalizeRoutes({ '/a': { delay: -1 } }), /"delay" must be a number of milliseconds/);
+    assert.throws(() => normalizeRoutes({ '/a': { wait: 1 } }), /Unknown chaos setting "wait" \(use delay, headers/);
+  });
+
+  it('normalizes the base path', () => {
+    assert.equal(normalizeBasePath('api/v1/'), '/api/v1');
+    assert.equal(normalizeBasePath('/'), '');
+    assert.equal(normalizeBasePath(undefined), '');
+  });
+});
+
+describe('config files', () => {
+  let directory;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-config-'));
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('loads a JSON file, resolving paths from its directory', () => {
+    const filePath = path.join(directory, 'api-mocker.config.json');
+    writeJson(filePath, { port: 4000, directories: ['shared', './mocks'], saveRequests: 'out/requests.json' });
+
+    assert.equal(findConfigFile(directory), filePath);
+    assert.deepEqual(loadConfig(filePath), {
+      port: 4000,
+      directories: [path.join(directory, 'shared'), path.join(directory, 'mocks')],
+      saveRequests: path.join(directory, 'out', 'requests.json'),
+    });
+  });
+
+  it('loads a JS file exporting a function', () => {
+    const filePath = path.join(directory, 'api-mocker.config.js');
+    fs.writeFileSync(filePath, 'module.exports = () => ({ seed: "fixed", stateful: true });\n');
+    assert.deepEqual(loadConfig(filePath), { seed: 'fixed', stateful: true });
+  });
+
+  it('reports files that are missing or do not parse', () => {
+    assert.throws(() => loadConfig(path.join(directory, 'nope.json')), /Config file not found/);
+
+    const broken = path.join(directory, 'broken.json');
+    fs.writeFileSync(broken, '{ port: 4000 }');
+    assert.throws(() => loadConfig(broken), /Failed to load broken.json/);
+  });
+});
+
+describe('configured servers', () => {
+  let root;
+  let server;
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-layers-'));
+    writeJson(path.join(root, 'shared', 'users', 'GET.json'), { from: 'shared' });
+    writeJson(path.join(root, 'shared', 'health', 'GET.json'), { ok: true });
+    writeJson(path.join(root, 'mocks', 'users', 'GET.json'), { from: 'mocks' });
+    writeJson(path.join(root, 'mocks', 'payments', 'GET.json'), { paid: true });
+
+    server = await createMockServer({
+      directories: [path.join(root, 'shared'), path.join(root, 'mocks')],
+      basePath: '/api/v1',
+      headers: { 'X-Mock-Server': 'api-mocker' },
+      routes: {
+        '/payments/*': { headers: { 'Retry-After': '5' } },
+        'GET /payments': { errorRate: 1, errors: { 503: 1 } },
+      },
+    });
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const get = (requestPath) => fetch(`${server.url}${requestPath}`);
+
+  it('serves later directories over earlier ones, file by file', async () => {
+    assert.deepEqual(await (await get('/api/v1/users')).json(), { from: 'mocks' });
+    assert.deepEqual(await (await get('/api/v1/health')).json(), { ok: true });
+  });
+
+  it('serves the mocks only under the base path', async () => {
+    assert.equal((await get('/users')).status, 404);
+  });
+
+  it('adds global and route headers, and applies route chaos', async () => {
+    const health = await get('/api/v1/health');
+    assert.equal(health.headers.get('x-mock-server'), 'api-mocker');
+    assert.equal(health.headers.get('retry-after'), null);
+
+    const payments = await get('/api/v1/payments');
+    assert.equal(payments.status, 503);
+    assert.equal(payments.headers.get('retry-after'), '5');
+  });
+});
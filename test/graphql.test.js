@@ -0,0 +1,140 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useMockServer } = require('..');
+
+const server = useMockServer({
+  directory: path.join(__dirname, '..', 'examples', 'mocks'),
+  hooks: { before, afterEach, after },
+});
+
+const GET_USER = 'query GetUser($id: ID!) { user(id: $id) { id name } }';
+
+const query = (body) =>
+  fetch(`${server.url}/graphql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+const getQuery = (params) => fetch(`${server.url}/graphql?${new URLSearchParams(params)}`);
+
+describe('graphql', () => {
+  it('answers an operation from its mock file', async () => {
+    const response = await query({ query: GET_USER, variables: { id: '7' } });
+    assert.equal(response.status, 200);
+
+    const { data } = await response.json();
+    assert.equal(data.user.id, '7');
+    assert.equal(data.user.name, 'Jane Smith');
+  });
+
+  it('serves the variant whose conditions match the variables', async () => {
+    const response = await query({ query: GET_USER, variables: { id: 'suspended' } });
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.data.user, null);
+    assert.equal(body.errors[0].extensions.code, 'FORBIDDEN');
+  });
+
+  it('answers GET requests with the query and variables in the query string', async () => {
+    const response = await getQuery({ query: GET_USER, variables: JSON.stringify({ id: '3' }) });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.user.id, '3');
+  });
+
+  it('refuses mutations sent with GET', async () => {
+    const response = await getQuery({ query: 'mutation CreatePost { deletePost(id: 1) }' });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'POST');
+  });
+
+  it('fills in variable defaults declared by the operation', async () => {
+    const response = await query({ query: 'query GetUser($id: ID = "42") { user(id: $id) { id } }' });
+    assert.equal((await response.json()).data.user.id, '42');
+  });
+
+  it('runs the operation named by operationName', async () => {
+    const document = `${GET_USER} query Other { users { id } }`;
+    const response = await query({ query: document, operationName: 'GetUser', variables: { id: '5' } });
+    assert.equal((await response.json()).data.user.id, '5');
+
+    const ambiguous = await query({ query: document });
+    assert.equal(ambiguous.status, 400);
+    const [error] = (await ambiguous.json()).errors;
+    assert.equal(error.message, 'Must provide operation name if query contains multiple operations.');
+    assert.equal(error.extensions.code, 'BAD_REQUEST');
+  });
+
+  it('answers 400 with the location of a syntax error', async () => {
+    const response = await query({ query: 'query { user(id: 1) {' });
+    assert.equal(response.status, 400);
+
+    const [error] = (await response.json()).errors;
+    assert.equal(error.extensions.code, 'GRAPHQL_PARSE_FAILED');
+    assert.match(error.message, /^Syntax Error/);
+    assert.deepEqual(error.locations, [{ line: 1, column: 22 }]);
+  });
+});
+
+describe('graphql schema mocks', () => {
+  it('generates the selected fields, following aliases and fragments', async () => {
+    const response = await query({
+      query: `
+        query Profile {
+          author: user(id: 1) { ...UserFields role }
+          posts(first: 2) { title author { name } }
+        }
+        fragment UserFields on User { id email }
+      `,
+    });
+    assert.equal(response.status, 200);
+
+    const { data } = await response.json();
+    assert.deepEqual(Object.keys(data), ['author', 'posts']);
+    assert.deepEqual(Object.keys(data.author), ['id', 'email', 'role']);
+    assert.match(data.author.email, /@/);
+    assert.ok(['ADMIN', 'EDITOR', 'VIEWER'].includes(data.author.role));
+    assert.equal(data.posts.length, 2);
+    assert.deepEqual(Object.keys(data.posts[0]), ['title', 'author']);
+  });
+
+  it('resolves union members through inline fragments and __typename', async () => {
+    const response = await query({
+      query: 'query Search { search(term: "x") { __typename ... on User { name } ... on Post { title } } }',
+    });
+    const { data } = await response.json();
+
+    data.search.forEach((result) => {
+      const expected = result.__typename === 'User' ? ['__typename', 'name'] : ['__typename', 'title'];
+      assert.deepEqual(Object.keys(result), expected);
+    });
+  });
+
+  it('returns the same data for the same operation and variables', async () => {
+    const request = { query: 'query Post($id: ID!) { post(id: $id) { id title } }', variables: { id: '1' } };
+    const first = await (await query(request)).json();
+    const second = await (await query(request)).json();
+    assert.deepEqual(first, second);
+  });
+
+  it('answers 400 for an operation the schema does not allow', async () => {
+    const invalid = [
+      ['query Bad { user(id: 1) { nope } }', /Cannot query field "nope" on type "User"/],
+      ['query Bad { user(id: 1) { ...Missing } }', /Unknown fragment "Missing"/],
+      ['query Bad { user { id } }', /argument "id" of type "ID!" is required/],
+      ['query Bad($id: ID!) { user(id: $id) { id } }', /Variable "\$id" of required type "ID!" was not provided/],
+    ];
+
+    for (const [document, message] of invalid) {
+      const response = await query({ query: document });
+      assert.equal(response.status, 400, document);
+
+      const [error] = (await response.json()).errors;
+      assert.equal(error.extensions.code, 'GRAPHQL_VALIDATION_FAILED');
+      assert.match(error.message, message);
+      assert.ok(error.locations.length > 0);
+    }
+  });
+});
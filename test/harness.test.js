@@ -0,0 +1,87 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useMockServer } = require('..');
+
+const server = useMockServer({
+  directory: path.join(__dirname, '..', 'examples', 'mocks'),
+  hooks: { before, afterEach, after },
+});
+
+const getUser = (id) => fetch(`${server.url}/users/${id}`);
+
+describe('overrides', () => {
+  it('answers a route with the given response instead of its mock file', async () => {
+    server.override('GET /users/[id]', { statusCode: 404, body: { error: 'No user {{params.id}}' } });
+
+    const response = await getUser(7);
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'No user 7' });
+  });
+
+  it('only answers the next n requests with times', async () => {
+    server.override('GET /users/[id]', { statusCode: 503, body: {} }, { times: 2 });
+
+    assert.equal((await getUser(1)).status, 503);
+    assert.equal((await getUser(1)).status, 503);
+
+    const response = await getUser(1);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).name, 'John Doe');
+  });
+
+  it('stops answering once removed', async () => {
+    const remove = server.override('GET /users/[id]', { statusCode: 500, body: {} });
+    assert.equal((await getUser(1)).status, 500);
+
+    remove();
+    assert.equal((await getUser(1)).status, 200);
+  });
+});
+
+describe('reset', () => {
+  it('drops overrides, forced errors and the journal', async () => {
+    server.override('GET /users/[id]', { statusCode: 418, body: {} });
+    server.forceError(500, { path: '/products' });
+    await getUser(1);
+
+    server.reset();
+
+    assert.equal((await getUser(1)).status, 200);
+    assert.equal((await fetch(`${server.url}/products`)).status, 200);
+    assert.equal(server.requests().length, 2);
+  });
+});
+
+describe('journal', () => {
+  it('verifies how many times a request was made', async () => {
+    await getUser(1);
+    await getUser(2);
+    await fetch(`${server.url}/products`);
+
+    assert.equal(server.verify({ method: 'GET', path: '/users/[id]' }, { times: 2 }).matched, true);
+    assert.equal(server.verify({ path: '/users/2' }, { times: 1 }).matched, true);
+    assert.equal(server.requests({ path: '/products' })[0].status, 200);
+  });
+
+  it('explains a failed verification', async () => {
+    await getUser(1);
+
+    const result = server.verify({ method: 'DELETE', path: '/users/1' });
+    assert.equal(result.matched, false);
+    assert.equal(result.count, 0);
+    assert.match(result.message, /DELETE \/users\/1/);
+  });
+});
+
+describe('package entry', () => {
+  it('exports the harness next to ApiMocker', () => {
+    const ApiMocker = require('..');
+    const harness = require('../lib/server');
+
+    assert.equal(typeof ApiMocker, 'function');
+    assert.equal(ApiMocker.createMockServer, harness.createMockServer);
+    assert.equal(ApiMocker.useMockServer, harness.useMockServer);
+    assert.equal(ApiMocker.createApp, harness.createApp);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http2 = require('http2');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { generateCertificate, getLocalCertificate, readCertificate } = require('../lib/certificate');
+const { createMockServer } = require('..');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples', 'mocks');
+
+/**
+ * GET a path over HTTPS, trusting the given certificate
+ */
+function httpsGet(url, ca) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, { ca }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, protocol: res.httpVersion, body: JSON.parse(body) }));
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ * GET a path over HTTP/2, trusting the given certificate
+ */
+function http2Get(url, requestPath, ca) {
+  return new Promise((resolve, reject) => {
+    const session = http2.connect(url, { ca });
+    session.on('error', reject);
+    const request = session.request({ ':path': requestPath });
+    let status;
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('response', (headers) => (status = headers[':status']));
+    request.on('data', (chunk) => (body += chunk));
+    request.on('end', () => {
+      session.close();
+      resolve({ status, body: JSON.parse(body) });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+describe('generated certificate', () => {
+  let credentials;
+  before(async () => {
+    credentials = await generateCertificate();
+  });
+
+  it('parses as an X.509 certificate for the local hosts, signed by its key', () => {
+    const x509 = new crypto.X509Certificate(credentials.cert);
+
+    assert.equal(x509.subjectAltName, 'DNS:localhost, IP Address:127.0.0.1, IP Address:0:0:0:0:0:0:0:1');
+    assert.equal(x509.publicKey.asymmetricKeyType, 'ec');
+    assert.equal(x509.checkPrivateKey(crypto.createPrivateKey(credentials.key)), true);
+    assert.equal(x509.verify(x509.publicKey), true);
+    assert.deepEqual(x509.keyUsage, ['1.3.6.1.5.5.7.3.1']);
+    assert.equal(x509.ca, false);
+  });
+
+  it('is valid for less than the 398 days browsers accept', () => {
+    const x509 = new crypto.X509Certificate(credentials.cert);
+    const days = (new Date(x509.validTo) - new Date(x509.validFrom)) / (24 * 60 * 60 * 1000);
+    assert.ok(days > 396 && days < 398, `valid for ${days} days`);
+    assert.ok(new Date(x509.validFrom) <= new Date());
+  });
+});
+
+describe('local certificate cache', () => {
+  let cacheDir;
+  before(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-cert-'));
+  });
+  after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+  it('generates the certificate once and reuses it', async () => {
+    const first = await getLocalCertificate({ cacheDir });
+    assert.equal(first.generated, true);
+    assert.equal(fs.statSync(first.keyPath).mode & 0o777, 0o600);
+
+    const second = await getLocalCertificate({ cacheDir });
+    assert.equal(second.generated, false);
+    assert.equal(second.cert, first.cert);
+  });
+
+  it('replaces a cached certificate that does not cover the hosts', async () => {
+    const cached = await getLocalCertificate({ cacheDir });
+    const other = await getLocalCertificate({ cacheDir, hosts: ['localhost', 'mocks.test'] });
+    assert.equal(other.generated, true);
+    assert.notEqual(other.cert, cached.cert);
+    assert.match(new crypto.X509Certificate(other.cert).subjectAltName, /DNS:mocks\.test/);
+  });
+
+  it('refuses a key that does not belong to the certificate', async () => {
+    const { cert } = await generateCertificate();
+    const { key } = await generateCertificate();
+    fs.writeFileSync(path.join(cacheDir, 'cert.pem'), cert);
+    fs.writeFileSync(path.join(cacheDir, 'key.pem'), key);
+
+    assert.throws(
+      () => readCertificate(path.join(cacheDir, 'cert.pem'), path.join(cacheDir, 'key.pem')),
+      /does not belong to the certificate/
+    );
+  });
+});
+
+describe('serving over TLS', () => {
+  let credentials;
+  before(async () => {
+    credentials = await generateCertificate();
+  });
+
+  it('serves mocks over HTTPS', async () => {
+    const server = await createMockServer({ directory: EXAMPLES, https: credentials });
+    try {
+      assert.match(server.url, /^https:\/\//);
+      const response = await httpsGet(`${server.url}/users/7`, credentials.cert);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.id, 7);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('serves mocks over HTTP/2, and HTTP/1.1 on the same port', async () => {
+    const server = await createMockServer({ directory: EXAMPLES, https: credentials, http2: true });
+    try {
+      const response = await http2Get(server.url, '/users/7', credentials.cert);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.id, 7);
+
+      const fallback = await httpsGet(`${server.url}/users/7`, credentials.cert);
+      assert.equal(fallback.protocol, '1.1');
+      assert.equal(fallback.status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+});
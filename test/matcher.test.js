@@ -0,0 +1,88 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareScores, diagnoseRoutes, matchRoute, matchRoutePattern, routeScore } = require('../lib/matcher');
+const { useMockServer } = require('..');
+
+const parts = (route) => route.split('/').filter(Boolean);
+const match = (route, requestPath) => matchRoute(parts(route), parts(requestPath));
+
+// Sort routes from most to least specific
+const rank = (routes) => [...routes].sort((a, b) => compareScores(routeScore(parts(b)), routeScore(parts(a))));
+
+describe('matchRoute', () => {
+  it('matches static and dynamic segments', () => {
+    assert.deepEqual(match('/users/[id]/posts', '/users/7/posts'), { id: '7' });
+    assert.equal(match('/users/[id]', '/users'), null);
+    assert.equal(match('/users/[id]', '/users/7/posts'), null);
+  });
+
+  it('matches optional segments with and without a value', () => {
+    assert.deepEqual(match('/shop/[[category]]', '/shop/lamps'), { category: 'lamps' });
+    assert.deepEqual(match('/shop/[[category]]', '/shop'), {});
+  });
+
+  it('joins catch-all segments and gives back the ones later parts need', () => {
+    assert.deepEqual(match('/docs/[...slug]', '/docs/guide/intro'), { slug: 'guide/intro' });
+    assert.equal(match('/docs/[...slug]', '/docs'), null);
+    assert.deepEqual(match('/files/[[...path]]', '/files'), {});
+    assert.deepEqual(match('/repos/[...path]/raw/[file]', '/repos/a/b/raw/c.txt'), { path: 'a/b', file: 'c.txt' });
+  });
+
+  it('matches prefix patterns ending in /*', () => {
+    assert.equal(matchRoutePattern('/admin/*', '/admin/users/7'), true);
+    assert.equal(matchRoutePattern('/admin/[section]', '/admin/users/7'), false);
+  });
+});
+
+describe('route precedence', () => {
+  it('prefers more static segments, then the most specific segment from the left', () => {
+    const routes = ['/docs/[[...slug]]', '/docs/[...slug]', '/docs/[[page]]', '/docs/[page]', '/docs/intro'];
+    assert.deepEqual(rank(routes), [
+      '/docs/intro',
+      '/docs/[page]',
+      '/docs/[[page]]',
+      '/docs/[...slug]',
+      '/docs/[[...slug]]',
+    ]);
+    assert.deepEqual(rank(['/[a]/users', '/users/[id]']), ['/users/[id]', '/[a]/users']);
+  });
+
+  it('prefers a route that ends over one continuing with an unmatched optional segment', () => {
+    assert.deepEqual(rank(['/shop/[[category]]', '/shop']), ['/shop', '/shop/[[category]]']);
+  });
+
+  it('reports ambiguous and shadowed routes', () => {
+    const { ambiguous, shadowed } = diagnoseRoutes([
+      { method: 'GET', path: '/users/[id]' },
+      { method: 'GET', path: '/users/[name]' },
+      { method: 'GET', path: '/shop' },
+      { method: 'GET', path: '/shop/[[category]]' },
+      { method: 'GET', path: '/shop/[category]' },
+    ]);
+
+    assert.deepEqual(ambiguous, [{ method: 'GET', routes: ['/users/[id]', '/users/[name]'], sample: '/users/:id' }]);
+    assert.deepEqual(shadowed, [{ method: 'GET', route: '/shop/[[category]]', by: ['/shop/[category]', '/shop'] }]);
+  });
+});
+
+describe('serving ranked routes', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-routes-'));
+  ['docs/intro', 'docs/[page]', 'docs/[...slug]', 'files/[[...path]]'].forEach((route) => {
+    fs.mkdirSync(path.join(directory, route), { recursive: true });
+    fs.writeFileSync(path.join(directory, route, 'GET.json'), JSON.stringify({ route, params: '{{params}}' }));
+  });
+
+  const server = useMockServer({ directory, hooks: { before, afterEach, after } });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const get = async (requestPath) => (await fetch(`${server.url}${requestPath}`)).json();
+
+  it('answers each request from the most specific route', async () => {
+    assert.deepEqual(await get('/docs/intro'), { route: 'docs/intro', params: {} });
+    assert.deepEqual(await get('/docs/setup'), { route: 'docs/[page]', params: { page: 'setup' } });
+    assert.deepEqual(await get('/docs/guide/setup'), { route: 'docs/[...slug]', params: { slug: 'guide/setup' } });
+    assert.deepEqual(await get('/files'), { route: 'files/[[...path]]', params: {} });
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportOpenApi, findOperation, importOpenApi, readSpec, sampleFromSchema } = require('../lib/openapi');
+const ApiMocker = require('..');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples', 'mocks');
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Shop', version: '1.0.0' },
+  paths: {
+    '/products': {
+      get: {
+        responses: {
+          200: {
+            description: 'Products',
+            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Product' } } } },
+          },
+        },
+      },
+      post: {
+        responses: {
+          201: { description: 'Created', content: { 'application/json': { example: { id: 9, name: 'Lamp' } } } },
+          409: { $ref: '#/components/responses/Conflict' },
+        },
+      },
+    },
+    '/products/{id}': {
+      delete: { responses: { 204: { description: 'Deleted' } } },
+    },
+    '/products/me': {
+      get: { responses: { 200: { description: 'Mine', content: { 'application/json': { example: { me: true } } } } } },
+    },
+    '/../outside': {
+      get: { responses: { 200: { description: 'Escapes the mocks directory' } } },
+    },
+  },
+  components: {
+    schemas: {
+      Product: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string', minLength: 8 },
+          email: { type: 'string', format: 'email' },
+          status: { type: 'string', enum: ['active', 'archived'] },
+          parent: { $ref: '#/components/schemas/Product' },
+        },
+      },
+    },
+    responses: {
+      Conflict: {
+        description: 'Product already exists',
+        content: { 'application/json': { example: { error: 'Conflict' } } },
+      },
+    },
+  },
+};
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+describe('OpenAPI import', () => {
+  let directory;
+  let results;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-openapi-'));
+    results = importOpenApi(spec, directory);
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('writes the success response of each operation', () => {
+    assert.deepEqual(readJson(path.join(directory, 'products', 'GET.json')), [
+      { id: 1, name: 'stringxx', email: 'user@example.com', status: 'active', parent: null },
+    ]);
+    assert.deepEqual(readJson(path.join(directory, 'products', 'POST.json')), { _statusCode: 201, id: 9, name: 'Lamp' });
+    assert.deepEqual(readJson(path.join(directory, 'products', '[id]', 'DELETE.json')), { _statusCode: 204 });
+  });
+
+  it('writes error responses as opt-in scenarios and global templates', () => {
+    const scenario = readJson(path.join(directory, 'products', 'errors', 'POST_product_already_exists.json'));
+    assert.deepEqual(scenario, {
+      _statusCode: 409,
+      error: 'Conflict',
+      _conditions: [{ headers: { 'x-mock-error': 'product_already_exists' } }],
+    });
+    assert.deepEqual(readJson(path.join(directory, '_errors', '409.json')), { error: 'Conflict' });
+  });
+
+  it('skips paths that would leave the mocks directory', () => {
+    const skipped = results.find((result) => result.apiPath === '/../outside');
+    assert.equal(skipped.written, false);
+    assert.match(skipped.reason, /segment ".." can't be a mock directory/);
+    assert.equal(fs.existsSync(path.join(directory, '..', 'outside')), false);
+  });
+
+  it('keeps existing files unless asked to overwrite', () => {
+    fs.writeFileSync(path.join(directory, 'products', 'POST.json'), '{"edited":true}\n');
+    const again = importOpenApi(spec, directory);
+    assert.ok(again.every((result) => !result.written));
+    assert.deepEqual(readJson(path.join(directory, 'products', 'POST.json')), { edited: true });
+
+    importOpenApi(spec, directory, { overwrite: true });
+    assert.equal(readJson(path.join(directory, 'products', 'POST.json')).name, 'Lamp');
+  });
+
+  it('serves the imported tree, with scenarios picked by the x-mock-error header', async () => {
+    const server = await ApiMocker.createMockServer({ directory });
+    try {
+      const created = await fetch(`${server.url}/products`, { method: 'POST' });
+      assert.equal(created.status, 201);
+
+      const conflict = await fetch(`${server.url}/products`, {
+        method: 'POST',
+        headers: { 'x-mock-error': 'product_already_exists' },
+      });
+      assert.equal(conflict.status, 409);
+      assert.deepEqual(await conflict.json(), { error: 'Conflict' });
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('OpenAPI helpers', () => {
+  it('refuses documents that are not OpenAPI 3', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-openapi-'));
+    try {
+      const filePath = path.join(directory, 'swagger.json');
+      fs.writeFileSync(filePath, JSON.stringify({ swagger: '2.0' }));
+      assert.throws(() => readSpec(filePath), /is not an OpenAPI 3 document/);
+
+      const yamlPath = path.join(directory, 'api.yaml');
+      fs.writeFileSync(yamlPath, 'openapi: 3.1.0\npaths: {}\n');
+      assert.equal(readSpec(yamlPath).openapi, '3.1.0');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('prefers static path segments when finding an operation', () => {
+    assert.equal(findOperation(spec, '/products/me', 'GET').operation, spec.paths['/products/me'].get);
+    assert.deepEqual(findOperation(spec, '/products/42', 'DELETE').params, { id: '42' });
+    assert.equal(findOperation(spec, '/products/42', 'GET'), null);
+  });
+
+  it('samples composed schemas', () => {
+    const schema = {
+      allOf: [{ properties: { id: { type: 'integer' } } }, { properties: { tags: { items: { type: 'string' } } } }],
+    };
+    assert.deepEqual(sampleFromSchema(spec, schema), { id: 1, tags: ['string'] });
+    assert.equal(sampleFromSchema(spec, { oneOf: [{ type: 'boolean' }, { type: 'string' }] }), true);
+  });
+});
+
+describe('OpenAPI export', () => {
+  const doc = exportOpenApi(new ApiMocker({ directory: EXAMPLES }), { title: 'Examples', version: '2.0.0' });
+
+  it('describes every HTTP route with its path parameters', () => {
+    assert.equal(doc.openapi, '3.0.3');
+    assert.deepEqual(doc.info, { title: 'Examples', version: '2.0.0' });
+
+    const getPost = doc.paths['/users/{id}/posts/{postId}'].get;
+    assert.deepEqual(
+      getPost.parameters.map((parameter) => parameter.name),
+      ['id', 'postId']
+    );
+    assert.equal(doc.paths['/notifications'], undefined);
+  });
+
+  it('turns variants into named examples and schema files into request bodies', () => {
+    const listUsers = doc.paths['/users'].get.responses[200].content['application/json'];
+    assert.deepEqual(Object.keys(listUsers.examples).sort(), ['default', 'empty', 'paginated']);
+    assert.equal(listUsers.schema.type, 'object');
+
+    const createUser = doc.paths['/users'].post;
+    assert.ok(createUser.requestBody.content['application/json'].schema.required.includes('email'));
+  });
+
+  it('adds error scenarios as responses', () => {
+    // Both examples answer 400; the first file read describes it
+    const { description } = doc.paths['/products'].post.responses[400];
+    assert.ok(['invalid price', 'missing fields'].includes(description), description);
+  });
+});
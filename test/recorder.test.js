@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { recordResponse, resolveRecordDir } = require('../lib/recorder');
+const { createMockServer, closeServer } = require('../lib/server');
+
+const json = (data) => Buffer.from(JSON.stringify(data));
+const readMock = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+describe('recordResponse', () => {
+  let mockDirectory;
+  before(() => {
+    mockDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-record-'));
+  });
+  after(() => fs.rmSync(mockDirectory, { recursive: true, force: true }));
+
+  const record = (exchange, options) =>
+    recordResponse(mockDirectory, { method: 'GET', statusCode: 200, headers: {}, ...exchange }, options);
+
+  it('writes an object body with its status and headers as directives', () => {
+    const result = record({
+      path: '/orders',
+      statusCode: 201,
+      headers: { 'content-type': 'application/json', 'x-request-id': 'abc', date: 'today' },
+      body: json({ id: 1 }),
+    });
+
+    assert.equal(result.written, true);
+    assert.equal(result.dropped, null);
+    assert.deepEqual(readMock(result.filePath), { _statusCode: 201, _headers: { 'x-request-id': 'abc' }, id: 1 });
+  });
+
+  it('writes an array body as-is and reports the status and headers it drops', () => {
+    const result = record({
+      path: '/tags',
+      statusCode: 201,
+      headers: { 'content-type': 'application/json', 'x-total-count': '2' },
+      body: json(['a', 'b']),
+    });
+
+    assert.equal(result.written, true);
+    assert.deepEqual(readMock(result.filePath), ['a', 'b']);
+    assert.equal(result.dropped, "status 201 and headers x-total-count (a JSON array can't carry directives)");
+  });
+
+  it('writes a string body as-is', () => {
+    const result = record({
+      path: '/missing',
+      statusCode: 404,
+      headers: { 'content-type': 'application/json' },
+      body: json('Not found'),
+    });
+
+    assert.equal(readMock(result.filePath), 'Not found');
+    assert.equal(result.dropped, "status 404 (a JSON string can't carry directives)");
+  });
+
+  it('drops nothing for a plain 200 array', () => {
+    const result = record({ path: '/colors', headers: { 'content-type': 'application/json' }, body: json([]) });
+    assert.equal(result.dropped, null);
+  });
+
+  it('skips null bodies, non-JSON bodies and existing files', () => {
+    const headers = { 'content-type': 'application/json' };
+    assert.equal(record({ path: '/nothing', headers, body: json(null) }).written, false);
+    const html = record({ path: '/page', headers: { 'content-type': 'text/html' }, body: Buffer.from('<p>') });
+    assert.equal(html.written, false);
+
+    assert.equal(record({ path: '/again', headers, body: json({ v: 1 }) }).written, true);
+    const again = record({ path: '/again', headers, body: json({ v: 2 }) });
+    assert.equal(again.reason, 'file exists');
+    assert.deepEqual(readMock(again.filePath), { v: 1 });
+    assert.equal(record({ path: '/again', headers, body: json({ v: 2 }) }, { overwrite: true }).written, true);
+  });
+
+  it('collapses ids into [param] directories and refuses unsafe segments', () => {
+    assert.deepEqual(resolveRecordDir(mockDirectory, '/users/42/posts', true), ['users', '[id]', 'posts']);
+    assert.deepEqual(resolveRecordDir(mockDirectory, '/users/42/posts', false), ['users', '42', 'posts']);
+    assert.throws(() => resolveRecordDir(mockDirectory, '/users/../../etc', false));
+  });
+});
+
+describe('record mode', () => {
+  let upstream;
+  let mockDirectory;
+  before(async () => {
+    mockDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-record-'));
+    upstream = http.createServer((req, res) => {
+      res.writeHead(201, { 'Content-Type': 'application/json', 'X-Total-Count': '2' });
+      res.end(JSON.stringify([{ id: 1 }, { id: 2 }]));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  });
+  after(async () => {
+    await closeServer(upstream);
+    fs.rmSync(mockDirectory, { recursive: true, force: true });
+  });
+
+  it('saves the upstream response and logs what an array body could not keep', async () => {
+    const messages = [];
+    const server = await createMockServer({
+      directory: mockDirectory,
+      proxy: `http://127.0.0.1:${upstream.address().port}`,
+      record: true,
+      logger: (message) => messages.push(message),
+    });
+
+    try {
+      const response = await fetch(`${server.url}/items`);
+      assert.equal(response.status, 201);
+      assert.deepEqual(await response.json(), [{ id: 1 }, { id: 2 }]);
+    } finally {
+      await server.close();
+    }
+
+    assert.deepEqual(readMock(path.join(mockDirectory, 'items', 'GET.json')), [{ id: 1 }, { id: 2 }]);
+    const dropped = "status 201 and headers x-total-count (a JSON array can't carry directives)";
+    assert.ok(messages.includes(`Not recorded for GET /items: ${dropped}`));
+  });
+});
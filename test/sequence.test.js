@@ -0,0 +1,92 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandSteps, normalizeSequence, sortStepFiles, stepIndex } = require('../lib/sequence');
+const { useMockServer } = require('..');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples', 'mocks');
+
+describe('sequence directives', () => {
+  it('expands steps by _times and applies the default options', () => {
+    const sequence = normalizeSequence([{ step: 'a', _times: 2 }, { step: 'b' }]);
+    assert.deepEqual(
+      sequence.steps.map((step) => step.step),
+      ['a', 'a', 'b']
+    );
+    assert.equal(sequence.mode, 'stick');
+    assert.equal(sequence.scope, 'route');
+  });
+
+  it('refuses empty sequences and invalid options', () => {
+    assert.throws(() => normalizeSequence([]), /_sequence needs at least one step/);
+    assert.throws(() => normalizeSequence({ steps: [{}], mode: 'bounce' }), /Invalid sequence mode "bounce"/);
+    assert.throws(() => normalizeSequence({ steps: [{}], scope: 'user' }), /Invalid sequence scope "user"/);
+    assert.throws(() => expandSteps([{ _times: 0 }]), /_times must be a positive integer/);
+  });
+
+  it('sticks to the last step or loops', () => {
+    assert.deepEqual(
+      [0, 1, 2, 3].map((call) => stepIndex(call, 2, 'stick')),
+      [0, 1, 1, 1]
+    );
+    assert.deepEqual(
+      [0, 1, 2, 3].map((call) => stepIndex(call, 2, 'loop')),
+      [0, 1, 0, 1]
+    );
+  });
+
+  it('orders step files by number', () => {
+    const files = ['10.json', '2-failing.json', '_sequence.json', '1.json', 'notes.txt', '3.js'];
+    assert.deepEqual(sortStepFiles(files), ['1.json', '2-failing.json', '3.js', '10.json']);
+  });
+});
+
+describe('sequenced mocks', () => {
+  const server = useMockServer({ directory: EXAMPLES, hooks: { before, afterEach, after } });
+  const status = async (id) => (await (await fetch(`${server.url}/jobs/${id}`)).json()).status;
+
+  it('serves the steps in order, counting each job id separately', async () => {
+    assert.equal(await status(1), 'pending');
+    assert.equal(await status(1), 'pending');
+    assert.equal(await status(2), 'pending');
+    assert.equal(await status(1), 'running');
+    assert.equal(await status(1), 'done');
+    assert.equal(await status(1), 'done');
+  });
+
+  it('keeps the file headers on every step', async () => {
+    const response = await fetch(`${server.url}/jobs/3`);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+  });
+
+  it('starts over when reset', async () => {
+    await status(1);
+    await status(1);
+    assert.equal(await status(1), 'running');
+
+    assert.equal(server.mocker.resetSequences({ method: 'GET', path: '/jobs/1' }), 1);
+    assert.equal(await status(1), 'pending');
+  });
+});
+
+describe('sequence directories', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-sequence-'));
+  const stepsDir = path.join(directory, 'deploy', 'GET');
+  fs.mkdirSync(stepsDir, { recursive: true });
+  fs.writeFileSync(path.join(stepsDir, '_sequence.json'), JSON.stringify({ mode: 'loop' }));
+  fs.writeFileSync(path.join(stepsDir, '1.json'), JSON.stringify({ _statusCode: 503, _times: 2, error: 'busy' }));
+  fs.writeFileSync(path.join(stepsDir, '2-ready.json'), JSON.stringify({ ready: true }));
+
+  const server = useMockServer({ directory, hooks: { before, afterEach, after } });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('serves numbered step files, looping when configured', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await fetch(`${server.url}/deploy`)).status);
+    }
+    assert.deepEqual(statuses, [503, 503, 200, 503]);
+  });
+});
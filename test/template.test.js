@@ -0,0 +1,88 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { renderTemplate } = require('../lib/template');
+const { createGenerator } = require('../lib/generator');
+const { useMockServer } = require('..');
+
+const context = {
+  params: { id: '42', code: '007' },
+  query: { page: '2', active: 'true', q: '' },
+  body: { user: { email: 'jane@example.com', tags: ['a', 'b'] } },
+  headers: { 'x-tenant': 'acme' },
+};
+
+describe('renderTemplate', () => {
+  it('keeps the type of a value that fills the whole string', () => {
+    assert.deepEqual(renderTemplate({ id: '{{params.id}}', tags: '{{body.user.tags}}' }, context), {
+      id: 42,
+      tags: ['a', 'b'],
+    });
+  });
+
+  it('coerces URL values only when the round trip is lossless', () => {
+    assert.equal(renderTemplate('{{query.active}}', context), true);
+    assert.equal(renderTemplate('{{params.code}}', context), '007');
+  });
+
+  it('interpolates tokens inside a longer string', () => {
+    const rendered = renderTemplate('/users/{{params.id}}?page={{query.page}}&tags={{body.user.tags}}', context);
+    assert.equal(rendered, '/users/42?page=2&tags=["a","b"]');
+  });
+
+  it('reads headers case-insensitively', () => {
+    assert.equal(renderTemplate('{{headers.X-Tenant}}', context), 'acme');
+  });
+
+  it('uses the fallback for missing and empty values', () => {
+    assert.equal(renderTemplate('{{query.size || 20}}', context), 20);
+    assert.equal(renderTemplate("{{query.q || 'all'}}", context), 'all');
+    assert.equal(renderTemplate('{{body.missing.deep}}', context), null);
+    assert.equal(renderTemplate('[{{body.missing}}]', context), '[]');
+  });
+
+  it('renders object keys and nested values', () => {
+    assert.deepEqual(renderTemplate({ '{{headers.x-tenant}}': [{ page: '{{query.page}}' }] }, context), {
+      acme: [{ page: 2 }],
+    });
+  });
+
+  it('calls context functions with literal arguments', () => {
+    const rendered = renderTemplate('{{fake.number(5, 5)}}', { fake: createGenerator('seed') });
+    assert.equal(rendered, 5);
+  });
+
+  it('expands _repeat into numbered copies of _template', () => {
+    const rendered = renderTemplate({ _repeat: 3, _template: { id: '{{repeat.id}}', of: '{{repeat.count}}' } }, {});
+    assert.deepEqual(rendered, [
+      { id: 1, of: 3 },
+      { id: 2, of: 3 },
+      { id: 3, of: 3 },
+    ]);
+    assert.throws(() => renderTemplate({ _repeat: -1, _template: {} }, {}), /non-negative integer/);
+  });
+});
+
+describe('templated mocks', () => {
+  const server = useMockServer({
+    directory: path.join(__dirname, '..', 'examples', 'mocks'),
+    hooks: { before, afterEach, after },
+  });
+
+  it('fills path params into the body', async () => {
+    const response = await fetch(`${server.url}/users/5/posts/9`);
+    const body = await response.json();
+    assert.equal(body.id, 9);
+    assert.equal(body.userId, 5);
+  });
+
+  it('fills the request body into headers', async () => {
+    const response = await fetch(`${server.url}/users/5/posts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 12, title: 'Hello' }),
+    });
+    assert.equal(response.status, 201);
+    assert.equal(response.headers.get('location'), '/users/5/posts/12');
+  });
+});
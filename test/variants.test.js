@@ -0,0 +1,68 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useMockServer } = require('../lib/server');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples', 'mocks');
+
+/**
+ * Run the same variant checks against a server started with the given options
+ */
+function describeVariants(title, options) {
+  describe(title, () => {
+    const server = useMockServer({ directory: EXAMPLES, ...options, hooks: { before, afterEach, after } });
+
+    const getUsers = async (search = '', headers = {}) => {
+      const response = await fetch(`${server.url}/users${search}`, { headers });
+      return response.json();
+    };
+
+    it('serves the base file when no variant applies', async () => {
+      const body = await getUsers();
+      assert.deepEqual(body.users.map((user) => user.id), [1, 2]);
+    });
+
+    it('serves the variant named by the x-mock-variant header', async () => {
+      const body = await getUsers('', { 'X-Mock-Variant': 'empty' });
+      assert.deepEqual(body.users, []);
+    });
+
+    it('serves the variant named by the _variant query parameter', async () => {
+      const body = await getUsers('?_variant=empty');
+      assert.deepEqual(body.users, []);
+    });
+
+    it('serves the variant whose conditions match', async () => {
+      const body = await getUsers('?page=2');
+      assert.equal(body.page, 2);
+      assert.equal(body.users[0].name, 'Page Two User');
+    });
+
+    it('serves the variant set through the control API until cleared', async () => {
+      server.mocker.setVariant('GET', '/users', 'empty');
+      assert.deepEqual((await getUsers()).users, []);
+
+      server.mocker.clearVariants();
+      assert.equal((await getUsers()).users.length, 2);
+    });
+  });
+}
+
+describeVariants('variants', {});
+
+describeVariants('variants in stateful mode', { stateful: true });
+
+describe('stateful mode without a variant', () => {
+  const server = useMockServer({ directory: EXAMPLES, stateful: true, hooks: { before, afterEach, after } });
+
+  it('serves the collection from the store', async () => {
+    await fetch(`${server.url}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Ann', email: 'ann@example.com' }),
+    });
+
+    const body = await (await fetch(`${server.url}/users`)).json();
+    assert.deepEqual(body.users.map((user) => user.name), ['John Doe', 'Jane Smith', 'Ann']);
+  });
+});
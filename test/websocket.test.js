@@ -0,0 +1,163 @@
+const { describe, it, before, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { useMockServer } = require('..');
+const { MAX_PAYLOAD } = require('../lib/websocket');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples', 'mocks');
+
+/**
+ * Connect to a WebSocket mock, collecting messages so none are missed between awaits
+ */
+async function connect(url, protocols) {
+  const ws = new WebSocket(url, protocols);
+  const queue = [];
+  const waiting = [];
+  ws.on('message', (data, isBinary) => {
+    const message = isBinary ? data : data.toString('utf8');
+    if (waiting.length > 0) {
+      waiting.shift()(message);
+    } else {
+      queue.push(message);
+    }
+  });
+  ws.next = () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise((resolve) => waiting.push(resolve)));
+  ws.nextJson = async () => JSON.parse(await ws.next());
+  await once(ws, 'open');
+  return ws;
+}
+
+describe('websocket mocks', () => {
+  const server = useMockServer({ directory: EXAMPLES, hooks: { before, afterEach, after } });
+  const url = (route) => `${server.url.replace('http', 'ws')}${route}`;
+  const sockets = [];
+  const open = async (route, protocols) => {
+    const ws = await connect(url(route), protocols);
+    sockets.push(ws);
+    return ws;
+  };
+  afterEach(() => sockets.splice(0).forEach((ws) => ws.terminate()));
+
+  it('sends the scripted messages after connecting', async () => {
+    const ws = await open('/notifications');
+    assert.deepEqual(await ws.nextJson(), { type: 'welcome', userId: 'guest' });
+  });
+
+  it('answers client messages with the first matching reply', async () => {
+    const ws = await open('/notifications');
+    await ws.next();
+
+    ws.send(JSON.stringify({ type: 'ping' }));
+    assert.deepEqual(await ws.nextJson(), { type: 'pong' });
+
+    ws.send(JSON.stringify({ type: 'subscribe', channel: 'orders' }));
+    assert.deepEqual(await ws.nextJson(), { type: 'subscribed', channel: 'orders' });
+  });
+
+  it('echoes unmatched text and binary messages', async () => {
+    const ws = await open('/notifications');
+    await ws.next();
+
+    ws.send('hello');
+    assert.equal(await ws.next(), 'hello');
+
+    ws.send(Buffer.from([1, 2, 3]));
+    assert.deepEqual(await ws.next(), Buffer.from([1, 2, 3]));
+  });
+
+  it('reassembles fragmented messages', async () => {
+    const ws = await open('/notifications');
+    await ws.next();
+
+    ws.send('frag', { fin: false });
+    ws.send('mented', { fin: true });
+    assert.equal(await ws.next(), 'fragmented');
+  });
+
+  it('sends messages on demand to open connections', async () => {
+    const ws = await open('/notifications');
+    await ws.next();
+
+    server.mocker.sendMessage({ path: '/notifications', data: { type: 'alert' } });
+    assert.deepEqual(await ws.nextJson(), { type: 'alert' });
+  });
+
+  it('closes with 1009 when a message is larger than the limit', async () => {
+    const ws = await open('/notifications');
+    await ws.next();
+
+    ws.send(Buffer.alloc(MAX_PAYLOAD + 1));
+    const [code] = await once(ws, 'close');
+    assert.equal(code, 1009);
+  });
+
+  it('closes with 1002 when a client frame is not masked', async () => {
+    const request = http.request(`${server.url}/notifications`, {
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': Buffer.from('0123456789abcdef').toString('base64'),
+      },
+    });
+    request.end();
+    const [, socket] = await once(request, 'upgrade');
+
+    // The welcome message, then the close frame answering the unmasked "hi"
+    const frames = [];
+    socket.on('data', (chunk) => frames.push(chunk));
+    socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+    await once(socket, 'close');
+
+    const data = Buffer.concat(frames);
+    const closeFrame = data.subarray(data.lastIndexOf(0x88));
+    assert.equal(closeFrame.readUInt16BE(2), 1002);
+  });
+
+  it('refuses an upgrade to a path without a WebSocket mock', async () => {
+    const ws = new WebSocket(url('/nowhere'));
+    const [, response] = await once(ws, 'unexpected-response');
+    assert.equal(response.statusCode, 404);
+    response.destroy();
+  });
+});
+
+describe('scripted websocket close', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mocker-ws-'));
+  fs.mkdirSync(path.join(directory, 'session'));
+  fs.writeFileSync(
+    path.join(directory, 'session', 'WS.json'),
+    JSON.stringify({
+      protocol: 'graphql-ws',
+      messages: [{ data: 'bye' }, { delay: 10, close: { code: 4000, reason: 'Session expired' } }],
+    })
+  );
+  fs.mkdirSync(path.join(directory, 'broken'));
+  fs.writeFileSync(path.join(directory, 'broken', 'WS.json'), JSON.stringify({ messages: [{ close: { code: 1005 } }] }));
+
+  const server = useMockServer({ directory, hooks: { before, afterEach, after } });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const url = (route) => `${server.url.replace('http', 'ws')}${route}`;
+
+  it('confirms the configured subprotocol and closes with the scripted code', async () => {
+    const ws = await connect(url('/session'), ['other', 'graphql-ws']);
+    assert.equal(ws.protocol, 'graphql-ws');
+    assert.equal(await ws.next(), 'bye');
+
+    const [code, reason] = await once(ws, 'close');
+    assert.equal(code, 4000);
+    assert.equal(reason.toString(), 'Session expired');
+  });
+
+  it('refuses the upgrade when the script has a close code that cannot be sent', async () => {
+    const ws = new WebSocket(url('/broken'));
+    const [, response] = await once(ws, 'unexpected-response');
+    assert.equal(response.statusCode, 500);
+    response.destroy();
+  });
+});